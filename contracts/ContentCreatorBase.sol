@@ -0,0 +1,1025 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlEnumerableUpgradeable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./interfaces/IContentNFT.sol";
+import "./interfaces/IRandomnessProvider.sol";
+import "./libraries/AppealLogic.sol";
+import "./libraries/ContentLogic.sol";
+import "./libraries/CreatorLogic.sol";
+import "./libraries/EmissionLogic.sol";
+import "./libraries/ReputationLogic.sol";
+import "./libraries/ValidationLogic.sol";
+import "./libraries/ValidatorLogic.sol";
+import "./libraries/VestingLogic.sol";
+
+// Types, storage, events and shared internals of ContentCreatorSystem.
+// ContentCreatorSystem and ContentCreatorExtension both inherit it so they
+// read and write the same proxy storage. The layout is append-only: new state
+// variables go after the last one declared here, never between existing ones.
+abstract contract ContentCreatorBase is
+    Initializable,
+    ERC20Upgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    AccessControlEnumerableUpgradeable
+{
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Token Constants
+    uint256 public constant INITIAL_SUPPLY = 100_000_000 * 10 ** 18; // 100 million tokens
+    uint256 public constant MAX_SUPPLY = 200_000_000 * 10 ** 18; // 200 million tokens
+
+    // Content Management Constants (defaults for every ContentType)
+    uint256 public constant MIN_VALIDATORS_REQUIRED = 2;
+    uint256 public constant MIN_QUALITY_SCORE = 50;
+    uint256 public constant COOLDOWN_PERIOD = 1 days;
+    uint256 public constant BASE_REWARD = 10 * 10 ** 18; // 10 tokens base reward
+    uint256 public constant VALIDATION_WINDOW = 7 days;
+
+    // Bounds for per-ContentType parameters
+    uint256 public constant MAX_VALIDATORS_REQUIRED =
+        ValidationLogic.MAX_VALIDATORS_REQUIRED;
+    uint256 public constant MAX_BASE_REWARD = ValidationLogic.MAX_BASE_REWARD;
+    uint256 public constant MAX_COOLDOWN_PERIOD =
+        ValidationLogic.MAX_COOLDOWN_PERIOD;
+    uint256 public constant MIN_VALIDATION_WINDOW =
+        ValidationLogic.MIN_VALIDATION_WINDOW;
+    uint256 public constant MAX_VALIDATION_WINDOW =
+        ValidationLogic.MAX_VALIDATION_WINDOW;
+
+    // Reward Mechanism
+    uint256 public constant VALIDATOR_STAKE_REQUIREMENT =
+        ValidatorLogic.VALIDATOR_STAKE_REQUIREMENT;
+    uint256 public constant VESTING_PERIOD = VestingLogic.VESTING_PERIOD;
+    uint256 public constant ENGAGEMENT_MULTIPLIER =
+        CreatorLogic.ENGAGEMENT_MULTIPLIER;
+    uint256 public constant SEASONAL_BONUS_MULTIPLIER =
+        CreatorLogic.SEASONAL_BONUS_MULTIPLIER;
+    uint256 public constant MIN_STAKE_DURATION =
+        ValidatorLogic.MIN_STAKE_DURATION;
+    uint256 public constant VALIDATOR_REWARD_SHARE = 20; // % of the type's base reward per finalized content
+
+    // Slashing
+    uint256 public constant UNSTAKE_SLASH_WINDOW =
+        ValidatorLogic.UNSTAKE_SLASH_WINDOW;
+    uint256 public constant MAX_SCORE_DEVIATION =
+        ValidatorLogic.MAX_SCORE_DEVIATION;
+    uint256 public constant BASIS_POINTS = ValidatorLogic.BASIS_POINTS;
+    uint256 public constant MISSED_REVEAL_PENALTY =
+        ValidatorLogic.MISSED_REVEAL_PENALTY;
+
+    // Appeals
+    uint256 public constant APPEAL_BOND = 100 * 10 ** 18; // 100 tokens
+    uint256 public constant APPEAL_WINDOW = AppealLogic.APPEAL_WINDOW;
+
+    // Emission schedule
+    uint256 public constant EMISSION_EPOCH = EmissionLogic.EMISSION_EPOCH;
+    uint256 public constant INITIAL_EPOCH_EMISSION =
+        EmissionLogic.INITIAL_EPOCH_EMISSION;
+    uint256 public constant EMISSION_HALVING_EPOCHS =
+        EmissionLogic.EMISSION_HALVING_EPOCHS;
+    uint256 public constant FULL_RATE_EMISSION =
+        EmissionLogic.FULL_RATE_EMISSION;
+
+    // Fees
+    uint256 public constant MAX_SUBMISSION_FEE = 100 * 10 ** 18; // 100 tokens
+    uint256 public constant MAX_TRANSFER_FEE = 500; // basis points (5%)
+    uint256 public constant MAX_PROTOCOL_CUT = 1000; // basis points (10%) of tips and subscriptions
+
+    // Creator reputation
+    uint256 public constant REPUTATION_HALF_LIFE =
+        ReputationLogic.REPUTATION_HALF_LIFE;
+    uint256 public constant REPUTATION_PER_LEVEL =
+        ReputationLogic.REPUTATION_PER_LEVEL;
+
+    // Co-created content
+    uint256 public constant MAX_CO_CREATORS = ContentLogic.MAX_CO_CREATORS;
+
+    // Subscriptions
+    uint256 public constant MIN_SUBSCRIPTION_PERIOD = 1 days;
+    uint256 public constant MAX_SUBSCRIPTION_PERIOD = 365 days;
+
+    // Enums
+    enum ContentType {
+        Article,
+        Image,
+        Video,
+        Other
+    }
+    enum ContentStatus {
+        Pending,
+        Approved,
+        Rejected,
+        Removed,
+        UnderAppeal,
+        Expired
+    }
+    // What updating approved content of a type does to its approval
+    enum UpdatePolicy {
+        Revalidate,
+        KeepApproval
+    }
+
+    // Structs
+    // Struct for a randomly drawn validator panel
+    struct Panel {
+        bool required; // set once the panel has been requested
+        bool assigned;
+        address[] members;
+        mapping(address => bool) isMember;
+    }
+
+    // Struct linking a randomness request to the panel it will fill
+    struct PanelRequest {
+        bytes32 contentId;
+        bool isAppeal;
+    }
+
+    struct Content {
+        address creator;
+        string contentHash;
+        uint256 timestamp;
+        ContentType contentType;
+        ContentStatus status;
+        uint256 qualityScore;
+        bool isValidated;
+        uint256 validationCount;
+        mapping(address => bool) validators;
+        address[] validatorList;
+        bool rewarded;
+        uint256 deadline;
+        uint256 commitCount;
+        mapping(address => bytes32) commitments;
+        address[] committers;
+        Split[] splits; // empty unless co-created
+        mapping(address => bool) isCoCreator;
+        uint256 version; // 0 until first updated
+        uint256 updatedAt; // when the current version was recorded, 0 for the original
+    }
+
+    // Struct for one version of a content item's hash
+    struct ContentVersion {
+        string contentHash;
+        uint256 timestamp;
+        bool keptApproval; // carried the previous approval instead of being validated
+    }
+
+    // Struct for one co-creator's share of co-created content
+    struct Split {
+        address account;
+        uint256 share; // basis points; a content's shares sum to BASIS_POINTS
+    }
+
+    // Struct returned by the registry views; Content itself holds mappings
+    // and cannot leave storage
+    struct ContentRecord {
+        bytes32 contentId;
+        address creator;
+        string contentHash;
+        uint256 timestamp;
+        ContentType contentType;
+        ContentStatus status;
+        uint256 qualityScore;
+        bool isValidated;
+        uint256 validationCount;
+        uint256 deadline;
+        uint256 version;
+    }
+
+    // Struct for an appeal against a rejection or moderator removal
+    struct Appeal {
+        address appellant;
+        uint256 bond;
+        ContentStatus originalStatus;
+        uint256 score;
+        uint256 voteCount;
+        uint256 filedAt;
+        bool resolved;
+        bool restored;
+        mapping(address => bool) voters;
+    }
+
+    // Struct for owner-configurable parameters of a ContentType
+    struct ContentTypeParams {
+        uint256 minValidators;
+        uint256 minQualityScore;
+        uint256 baseReward;
+        uint256 cooldownPeriod;
+        uint256 validationWindow;
+    }
+
+    // Struct for vesting schedule
+    struct VestingSchedule {
+        uint256 totalAmount;
+        uint256 releasedAmount;
+        uint256 startTime;
+        bool initialized;
+    }
+
+    // Struct for a single reward tranche, vested linearly from its own start
+    struct VestingTranche {
+        uint256 amount;
+        uint256 released;
+        uint256 startTime;
+    }
+
+    // Struct for validator stakes
+    struct ValidatorStake {
+        uint256 amount; // the validator's own stake, not yet unbonding
+        uint256 startTime;
+        bool isStaked;
+        uint256 unstakeRequestedAt;
+        uint256 delegated; // backing delegated by token holders
+        uint256 rewardPerToken; // delegators' rewards per delegated token, scaled by REWARD_PRECISION
+    }
+
+    // Struct for one holder's delegation to a validator
+    struct Delegation {
+        uint256 amount;
+        uint256 rewardDebt; // amount * rewardPerToken already accounted for
+        uint256 unclaimed;
+    }
+
+    // Struct for stake or a delegation on its way out, slashable until
+    // withdrawn if it is a validator's own stake
+    struct Unbonding {
+        address validator; // the account itself for its own stake
+        uint256 amount;
+        uint256 availableAt;
+    }
+
+    // Struct for validator participation and earnings
+    struct ValidatorStats {
+        uint256 totalValidations;
+        uint256 finalizedValidations;
+        uint256 agreedValidations;
+        uint256 lifetimeEarnings;
+        uint256 missedReveals;
+    }
+
+    // Struct for creator achievements
+    struct CreatorAchievements {
+        uint256 totalContent;
+        uint256 highQualityContent;
+        uint256 totalEngagement;
+        uint256 rewardPoints;
+        uint8 level;
+        uint256 supportReceived; // tips and subscription payments, in CCT
+        uint256 rejectedContent;
+        uint256 removedContent; // by a moderator or for plagiarism
+    }
+
+    // Struct for a creator's decaying reputation, as of updatedAt
+    struct Reputation {
+        uint256 score;
+        uint256 updatedAt;
+    }
+
+    // Struct for raw engagement metrics reported for a content item
+    struct EngagementMetrics {
+        uint256 views;
+        uint256 likes;
+        uint256 shares;
+    }
+
+    // Struct for one day of engagement on a content item
+    struct EngagementSnapshot {
+        uint256 day; // block.timestamp / 1 days
+        uint256 views;
+        uint256 likes;
+        uint256 shares;
+        uint256 points;
+        uint256 seasonId; // season credited with the points, 0 if none
+    }
+
+    // Struct for a content item's engagement totals and daily history
+    struct ContentEngagement {
+        uint256 views;
+        uint256 likes;
+        uint256 shares;
+        uint256 points;
+        uint256 rewardedPoints;
+        EngagementSnapshot[] history;
+        uint256 creditedPoints; // points of the latest snapshot credited to creators and seasons
+    }
+
+    // Struct for a season's reward pool and aggregate score
+    struct Season {
+        uint256 startTime;
+        uint256 endTime;
+        uint256 rewardPool;
+        uint256 totalScore;
+        bool finalized;
+    }
+
+    // Struct for a creator's performance within a season
+    struct SeasonStats {
+        uint256 approvedContent;
+        uint256 qualityPoints;
+        uint256 engagementPoints;
+        bool claimed;
+    }
+
+    // Struct for a fan's recurring payment to a creator
+    struct Subscription {
+        uint256 amount; // CCT per period
+        uint256 period;
+        uint256 nextPaymentAt;
+    }
+
+    // Roles
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant PARAMETER_ADMIN_ROLE =
+        keccak256("PARAMETER_ADMIN_ROLE");
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE");
+    bytes32 public constant VALIDATOR_MANAGER_ROLE =
+        keccak256("VALIDATOR_MANAGER_ROLE");
+    bytes32 public constant VALIDATOR_ROLE = keccak256("VALIDATOR_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+
+    // Content Management
+    mapping(bytes32 => Content) public contents;
+    mapping(address => bytes32[]) public creatorContent;
+    mapping(address => uint256) public lastContentSubmission;
+    mapping(ContentType => ContentTypeParams) public contentTypeParams;
+    mapping(bytes32 => bool) public removedByModerator;
+    mapping(bytes32 => Appeal) public appeals;
+    bytes32[] internal pendingContentIds;
+    mapping(bytes32 => uint256) internal pendingContentIndex;
+
+    // State variables for Reward mechanism
+    mapping(address => VestingSchedule) public vestingSchedules;
+    mapping(address => VestingTranche[]) internal vestingTranches;
+    mapping(address => uint256) internal vestingCursor; // first tranche not fully released
+    mapping(address => ValidatorStake) public validatorStakes;
+    mapping(address => ValidatorStats) public validatorStats;
+    EnumerableSet.AddressSet internal stakedValidators;
+    mapping(address => CreatorAchievements) public creatorAchievements;
+    mapping(bytes32 => ContentEngagement) internal engagement;
+    address public engagementOracle; // records signed reporter batches
+
+    // Slashing state
+    address public treasury; // receives slashed stake and fees, burned when unset
+    mapping(bytes32 => mapping(address => uint256)) public validatorScores;
+    mapping(bytes32 => mapping(address => bool)) public validatorSlashed;
+
+    // Validator assignment
+    IRandomnessProvider public randomnessProvider;
+    uint256 internal panelRequestNonce;
+    mapping(uint256 => PanelRequest) internal panelRequests;
+    mapping(bytes32 => Panel) internal contentPanels;
+    mapping(bytes32 => Panel) internal appealPanels;
+
+    uint256 public seasonStartTime;
+    uint256 public seasonDuration;
+    bool public seasonalRewardsActive;
+
+    // Seasonal leaderboard
+    uint256 public currentSeason;
+    uint256 public seasonRewardAmount; // minted into each season's pool when it ends
+    uint256 public unallocatedSeasonPool; // carried into the next season
+    mapping(uint256 => Season) public seasons;
+    mapping(uint256 => mapping(address => SeasonStats)) public seasonStats;
+
+    // EIP-2612 permit nonces
+    mapping(address => uint256) internal permitNonces;
+
+    // Fees, paid to the treasury
+    uint256 public submissionFee; // escrowed per submission until finalized
+    uint256 public transferFee; // basis points of each transfer
+    mapping(bytes32 => uint256) internal heldSubmissionFees;
+    uint256 internal submissionFeesCollected;
+    uint256 internal transferFeesCollected;
+    uint256 internal rewardsPaidFromTreasury;
+
+    // Emission schedule
+    uint256 public emissionStart;
+    uint256 internal emissionEpoch; // epoch that epochEmitted belongs to
+    uint256 internal epochEmitted; // rewards minted during emissionEpoch
+
+    // Creator payments
+    uint256 public protocolCut; // basis points of tips and subscriptions, to the treasury
+    mapping(address => mapping(address => Subscription)) internal subscriptions; // fan => creator
+
+    // Ownership tokens for approved content
+    IContentNFT public contentNFT;
+
+    // Content registry indexes
+    bytes32[] internal contentIds; // in submission order
+    mapping(ContentType => bytes32[]) internal contentIdsByType;
+    mapping(ContentStatus => EnumerableSet.Bytes32Set)
+        internal contentIdsByStatus;
+
+    // Content versioning
+    mapping(ContentType => UpdatePolicy) public updatePolicies;
+    mapping(bytes32 => ContentVersion[]) internal contentVersions; // empty until first updated
+
+    // Duplicate and plagiarism guard
+    mapping(bytes32 => bytes32) internal hashClaims; // keccak256 of a content hash => content that claimed it
+    mapping(bytes32 => bytes32) internal fingerprintClaims; // fingerprint => first content to claim it
+    mapping(bytes32 => bytes32) internal contentFingerprints; // optional perceptual hash supplied on submission
+    mapping(bytes32 => bytes32) internal duplicateOf; // content => earlier content with the same hash or fingerprint
+    mapping(bytes32 => bytes32) internal attributedTo; // confirmed copy => the original it copied
+    mapping(bytes32 => mapping(address => uint256)) internal creatorRewardsPaid; // content => payee => rewards vested for it
+
+    // Creator reputation
+    mapping(address => Reputation) internal creatorReputation;
+
+    // Flexible staking and delegation
+    mapping(address => mapping(address => Delegation)) internal delegations; // delegator => validator
+    mapping(address => Unbonding[]) internal unbondings;
+    mapping(address => uint256) internal unbondingCursor; // first entry not yet withdrawn
+    mapping(bytes32 => mapping(address => uint256)) internal validatorWeights; // content => validator => backing when they committed
+
+    // ERC-2771 forwarder whose relayed calls carry the signer's address in the
+    // last 20 bytes of calldata. Code rather than storage, like the extension
+    // address, so it is fixed per implementation.
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable trustedForwarder;
+
+    // Events - Token Related
+    event ModeratorAdded(address indexed moderator);
+    event ModeratorRemoved(address indexed moderator);
+    event ValidatorAdded(address indexed validator);
+    event ValidatorRemoved(address indexed validator);
+    event TokensMinted(address indexed to, uint256 amount);
+    event TokensBurned(address indexed from, uint256 amount);
+
+    // Events - Content Related
+    event ContentSubmitted(
+        bytes32 indexed contentId,
+        address indexed creator,
+        ContentType contentType
+    );
+    event CoCreatorAdded(
+        bytes32 indexed contentId,
+        address indexed coCreator,
+        uint256 share
+    );
+    event ScoreCommitted(bytes32 indexed contentId, address indexed validator);
+    event ContentValidated(
+        bytes32 indexed contentId,
+        address indexed validator,
+        uint256 qualityScore
+    );
+    event ContentStatusUpdated(
+        bytes32 indexed contentId,
+        ContentStatus newStatus
+    );
+    event QualityScoreUpdated(bytes32 indexed contentId, uint256 newScore);
+    event ContentUpdated(
+        bytes32 indexed contentId,
+        uint256 indexed version,
+        string contentHash,
+        bool revalidated
+    );
+    event UpdatePolicyUpdated(
+        ContentType indexed contentType,
+        UpdatePolicy policy
+    );
+    event ParametersUpdated(
+        ContentType indexed contentType,
+        uint256 minValidators,
+        uint256 minQualityScore,
+        uint256 baseReward,
+        uint256 cooldownPeriod,
+        uint256 validationWindow
+    );
+    event ContentExpired(bytes32 indexed contentId, uint256 validationCount);
+
+    // Events - Appeals
+    event AppealFiled(
+        bytes32 indexed contentId,
+        address indexed appellant,
+        uint256 bond
+    );
+    event AppealVoteCast(
+        bytes32 indexed contentId,
+        address indexed validator,
+        uint256 score
+    );
+    event AppealResolved(
+        bytes32 indexed contentId,
+        bool restored,
+        uint256 score
+    );
+    event AppealBondRefunded(
+        bytes32 indexed contentId,
+        address indexed appellant,
+        uint256 amount
+    );
+    event AppealBondForfeited(bytes32 indexed contentId, uint256 amount);
+    event AppealExpired(bytes32 indexed contentId, uint256 voteCount);
+
+    // Events for Reward Mechanism
+    event RewardVested(address indexed user, uint256 amount);
+    event VestedRewardReleased(address indexed user, uint256 amount);
+    event ValidatorStaked(address indexed validator, uint256 amount);
+    event ValidatorUnstaked(address indexed validator, uint256 amount);
+    event UnstakeRequested(address indexed validator, uint256 availableAt);
+    event StakeUnbonding(
+        address indexed account,
+        address indexed validator,
+        uint256 amount,
+        uint256 availableAt
+    );
+    event UnbondingWithdrawn(address indexed account, uint256 amount);
+    event StakeDelegated(
+        address indexed delegator,
+        address indexed validator,
+        uint256 amount
+    );
+    event DelegatorsRewarded(
+        address indexed validator,
+        bytes32 indexed contentId,
+        uint256 amount
+    );
+    event DelegationRewardClaimed(
+        address indexed delegator,
+        address indexed validator,
+        uint256 amount
+    );
+    event RevealMissed(
+        bytes32 indexed contentId,
+        address indexed validator,
+        uint256 penalty
+    );
+    event ValidatorSlashed(
+        address indexed validator,
+        bytes32 indexed contentId,
+        uint256 amount
+    );
+    event TreasuryUpdated(address indexed treasury);
+    event RandomnessProviderUpdated(address indexed provider);
+    event PanelRequested(
+        bytes32 indexed contentId,
+        bool isAppeal,
+        uint256 requestId
+    );
+    event ValidatorsAssigned(
+        bytes32 indexed contentId,
+        bool isAppeal,
+        address[] validators
+    );
+    event ValidatorRewarded(
+        address indexed validator,
+        bytes32 indexed contentId,
+        uint256 amount
+    );
+    event AchievementUnlocked(address indexed creator, uint8 level);
+    event ReputationUpdated(address indexed creator, uint256 score);
+    event EngagementOracleUpdated(address indexed oracle);
+    event EngagementRecorded(
+        bytes32 indexed contentId,
+        uint256 indexed day,
+        uint256 views,
+        uint256 likes,
+        uint256 shares,
+        uint256 points
+    );
+    event SeasonalRewardDistributed(address indexed creator, uint256 amount);
+    event SeasonStarted(uint256 indexed seasonId, uint256 startTime);
+    event SeasonEnded(
+        uint256 indexed seasonId,
+        uint256 rewardPool,
+        uint256 totalScore
+    );
+    event SeasonFunded(
+        uint256 indexed seasonId,
+        address indexed funder,
+        uint256 amount
+    );
+    event SeasonRewardAmountUpdated(uint256 amount);
+
+    // Events - Fees
+    event SubmissionFeeUpdated(uint256 fee);
+    event TransferFeeUpdated(uint256 basisPoints);
+    event SubmissionFeeRefunded(
+        bytes32 indexed contentId,
+        address indexed creator,
+        uint256 amount
+    );
+    event SubmissionFeeForfeited(bytes32 indexed contentId, uint256 amount);
+    event RewardsFundedFromTreasury(uint256 amount);
+
+    // Events - Emission
+    event RewardScaledDown(uint256 requested, uint256 paid);
+
+    // Events - Creator Payments
+    event ProtocolCutUpdated(uint256 basisPoints);
+    event ContentTipped(
+        bytes32 indexed contentId,
+        address indexed tipper,
+        address indexed creator,
+        uint256 amount,
+        uint256 cut
+    );
+    event Subscribed(
+        address indexed fan,
+        address indexed creator,
+        uint256 amount,
+        uint256 period
+    );
+    event SubscriptionCharged(
+        address indexed fan,
+        address indexed creator,
+        uint256 amount,
+        uint256 nextPaymentAt
+    );
+    event SubscriptionCancelled(address indexed fan, address indexed creator);
+
+    // Events - Content NFTs
+    event ContentNFTUpdated(address indexed contentNFT);
+
+    // Events - Plagiarism
+    // `fingerprint` is the keccak256 of the content hash for an exact match
+    event DuplicateFlagged(
+        bytes32 indexed contentId,
+        bytes32 indexed originalId,
+        bytes32 fingerprint
+    );
+    event PlagiarismConfirmed(
+        bytes32 indexed copyId,
+        bytes32 indexed originalId,
+        uint256 clawedBack
+    );
+    event RewardClawedBack(
+        address indexed account,
+        bytes32 indexed contentId,
+        uint256 amount
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address trustedForwarder_) {
+        trustedForwarder = trustedForwarder_;
+    }
+
+    // Modifiers
+    modifier onlyModerator() {
+        _checkModerator();
+        _;
+    }
+
+    modifier onlyValidator() {
+        _checkValidator();
+        _;
+    }
+
+    modifier contentExists(bytes32 contentId) {
+        _checkContentExists(contentId);
+        _;
+    }
+
+    modifier onlyContentCreator(bytes32 contentId) {
+        require(
+            contents[contentId].creator == _msgSender(),
+            "Not content creator"
+        );
+        _;
+    }
+
+    // Modifiers for Reward Mechanism
+    modifier onlyStakedValidator() {
+        _checkStakedValidator();
+        _;
+    }
+
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder == trustedForwarder;
+    }
+
+    // Internal functions
+
+    // The signer of a forwarded call, or the direct caller otherwise
+    function _msgSender() internal view override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    function _contextSuffixLength() internal pure override returns (uint256) {
+        return 20;
+    }
+
+    function _grantRole(bytes32 role, address account) internal override {
+        super._grantRole(role, account);
+        if (role == MODERATOR_ROLE) {
+            emit ModeratorAdded(account);
+        } else if (role == VALIDATOR_ROLE) {
+            emit ValidatorAdded(account);
+        }
+    }
+
+    function _revokeRole(bytes32 role, address account) internal override {
+        super._revokeRole(role, account);
+        if (role == MODERATOR_ROLE) {
+            emit ModeratorRemoved(account);
+        } else if (role == VALIDATOR_ROLE) {
+            // A removed validator's stake starts unbonding at once rather
+            // than staying locked; it stays slashable until withdrawn.
+            // Renouncing still has to wait out the minimum stake duration
+            ValidatorStake storage stake = validatorStakes[account];
+            if (stake.isStaked) {
+                ValidatorLogic.unbond(
+                    stake,
+                    unbondings[account],
+                    account,
+                    stake.amount,
+                    _msgSender() != account
+                );
+            }
+            stakedValidators.remove(account);
+            emit ValidatorRemoved(account);
+        }
+    }
+
+    // Modifier bodies live here so each use does not inline the checks
+    function _checkModerator() internal view {
+        require(
+            hasRole(MODERATOR_ROLE, _msgSender()),
+            "Caller is not a moderator"
+        );
+    }
+
+    function _checkValidator() internal view {
+        require(
+            hasRole(VALIDATOR_ROLE, _msgSender()),
+            "Caller is not a validator"
+        );
+    }
+
+    function _checkContentExists(bytes32 contentId) internal view {
+        require(
+            contents[contentId].creator != address(0),
+            "Content does not exist"
+        );
+    }
+
+    function _checkStakedValidator() internal view {
+        ValidatorStake storage stake = validatorStakes[_msgSender()];
+        require(stake.unstakeRequestedAt == 0, "Unstake pending");
+        require(stake.isStaked, "Validator not staked");
+        require(
+            stake.amount >= VALIDATOR_STAKE_REQUIREMENT,
+            "Insufficient stake"
+        );
+    }
+
+    // Routes forfeited funds to the treasury, or burns them when none is set
+    function _collectPenalty(uint256 amount) internal {
+        if (treasury != address(0)) {
+            _transfer(address(this), treasury, amount);
+        } else {
+            _burn(address(this), amount);
+        }
+    }
+
+    // Moves up to `amount` from the treasury into the contract, limited by
+    // what the treasury has approved for this contract. The treasury opts in
+    // by approving; without an allowance every reward is minted.
+    function _drawFromTreasury(
+        uint256 amount
+    ) internal returns (uint256 drawn) {
+        if (treasury == address(0)) {
+            return 0;
+        }
+        drawn = allowance(treasury, address(this));
+        if (balanceOf(treasury) < drawn) {
+            drawn = balanceOf(treasury);
+        }
+        if (amount < drawn) {
+            drawn = amount;
+        }
+        if (drawn > 0) {
+            _spendAllowance(treasury, address(this), drawn);
+            _transfer(treasury, address(this), drawn);
+            rewardsPaidFromTreasury += drawn;
+            emit RewardsFundedFromTreasury(drawn);
+        }
+    }
+
+    // Puts up to `amount` of rewards into the contract, from the treasury
+    // first and minting the rest within the emission budget. Returns what was
+    // funded; callers pay that instead of `amount`, so a reward is scaled
+    // down rather than reverting as the epoch budget runs low or MAX_SUPPLY
+    // is hit.
+    function _fundRewards(uint256 amount) internal returns (uint256 funded) {
+        funded = _drawFromTreasury(amount);
+        if (amount > funded) {
+            funded += _mintRewards(amount - funded);
+        }
+        if (funded < amount) {
+            emit RewardScaledDown(amount, funded);
+        }
+    }
+
+    function _mintRewards(uint256 amount) internal returns (uint256 minted) {
+        // Proxies upgraded from before the schedule start it on first use
+        if (emissionStart == 0) {
+            emissionStart = block.timestamp;
+        }
+        uint256 epoch = EmissionLogic.epochAt(emissionStart, block.timestamp);
+        if (epoch != emissionEpoch) {
+            emissionEpoch = epoch;
+            epochEmitted = 0;
+        }
+
+        uint256 budget = EmissionLogic.epochBudget(epoch);
+        minted = EmissionLogic.scale(amount, budget, budget - epochEmitted);
+        uint256 headroom = _supplyHeadroom();
+        if (headroom < minted) {
+            minted = headroom;
+        }
+        if (minted > 0) {
+            epochEmitted += minted;
+            _mint(address(this), minted);
+        }
+    }
+
+    // What may still be minted as rewards this epoch, never more than is
+    // left below MAX_SUPPLY
+    function _remainingEmission() internal view returns (uint256 remaining) {
+        uint256 epoch = EmissionLogic.epochAt(emissionStart, block.timestamp);
+        uint256 budget = EmissionLogic.epochBudget(epoch);
+        uint256 emitted = epoch == emissionEpoch ? epochEmitted : 0;
+        remaining = budget > emitted ? budget - emitted : 0;
+
+        uint256 headroom = _supplyHeadroom();
+        if (headroom < remaining) {
+            remaining = headroom;
+        }
+    }
+
+    function _supplyHeadroom() internal view returns (uint256) {
+        uint256 supply = totalSupply();
+        return supply < MAX_SUPPLY ? MAX_SUPPLY - supply : 0;
+    }
+
+    // Whoever holds the content's NFT, or its creator when it has none. Removal
+    // rights follow this address.
+    function _contentOwner(
+        bytes32 contentId
+    ) internal view returns (address owner) {
+        if (address(contentNFT) != address(0)) {
+            owner = contentNFT.holderOf(contentId);
+        }
+        if (owner == address(0)) {
+            owner = contents[contentId].creator;
+        }
+    }
+
+    // Escrows the submission fee for a content item's validation until
+    // _settleSubmissionFee refunds or forfeits it
+    function _holdSubmissionFee(bytes32 contentId, address payer) internal {
+        uint256 fee = submissionFee;
+        if (fee > 0) {
+            _transfer(payer, address(this), fee);
+            heldSubmissionFees[contentId] = fee;
+        }
+    }
+
+    // Returns an escrowed submission fee to the content's owner, who paid it,
+    // or forfeits it to the treasury. Each fee is settled once, at the outcome
+    // of the validation it was held for.
+    function _settleSubmissionFee(bytes32 contentId, bool refund) internal {
+        uint256 fee = heldSubmissionFees[contentId];
+        if (fee == 0) {
+            return;
+        }
+        delete heldSubmissionFees[contentId];
+
+        if (refund) {
+            address owner = _contentOwner(contentId);
+            _transfer(address(this), owner, fee);
+            emit SubmissionFeeRefunded(contentId, owner, fee);
+        } else {
+            submissionFeesCollected += fee;
+            _collectPenalty(fee);
+            emit SubmissionFeeForfeited(contentId, fee);
+        }
+    }
+
+    // Asks the randomness provider for the panel that alone may score the
+    // content or vote on its appeal
+    function _requestPanel(
+        Panel storage panel,
+        bytes32 contentId,
+        bool isAppeal
+    ) internal {
+        require(
+            address(randomnessProvider) != address(0),
+            "Randomness provider not set"
+        );
+        panel.required = true;
+
+        uint256 requestId = ++panelRequestNonce;
+        panelRequests[requestId] = PanelRequest(contentId, isAppeal);
+        emit PanelRequested(contentId, isAppeal, requestId);
+        randomnessProvider.requestRandomness(requestId);
+    }
+
+    // Mints the NFT of newly approved content, or unfreezes it and refreshes
+    // its hash when the content is restored or updated
+    function _activateContentNFT(bytes32 contentId) internal {
+        if (address(contentNFT) != address(0)) {
+            Content storage content = contents[contentId];
+            contentNFT.activate(
+                content.creator,
+                contentId,
+                content.contentHash
+            );
+        }
+    }
+
+    // Moves a content item between the status indexes after its status
+    // changed from `previous`
+    function _reindexStatus(
+        bytes32 contentId,
+        ContentStatus previous
+    ) internal {
+        ContentStatus status = contents[contentId].status;
+        if (status != previous) {
+            contentIdsByStatus[previous].remove(contentId);
+            contentIdsByStatus[status].add(contentId);
+        }
+    }
+
+    // Who is paid for a content item. Co-creators share its income until its
+    // NFT leaves the submitter; from then on the holder takes all of it.
+    function _payeeShares(
+        bytes32 contentId
+    ) internal view returns (Split[] memory shares) {
+        address owner = _contentOwner(contentId);
+        if (owner == contents[contentId].creator) {
+            return CreatorLogic.creditShares(contents[contentId]);
+        }
+        shares = new Split[](1);
+        shares[0] = Split(owner, BASIS_POINTS);
+    }
+
+    // Vests `amount` to a content item's payees by share, the last payee
+    // taking the rounding remainder, and books it against the content
+    function _vestShares(bytes32 contentId, uint256 amount) internal {
+        Split[] memory payees = _payeeShares(contentId);
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < payees.length; i++) {
+            uint256 part = i == payees.length - 1
+                ? remaining
+                : (amount * payees[i].share) / BASIS_POINTS;
+            remaining -= part;
+            if (part > 0) {
+                _vestReward(contentId, payees[i].account, part);
+            }
+        }
+    }
+
+    // Books a rejection or removal of a content item against its co-creators'
+    // achievements and reputation, or reverses it once an appeal overturns it
+    function _recordStrike(
+        bytes32 contentId,
+        ContentStatus strike,
+        bool overturned
+    ) internal {
+        CreatorLogic.recordStrike(
+            creatorAchievements,
+            creatorReputation,
+            contents[contentId],
+            strike,
+            overturned
+        );
+    }
+
+    function _vestReward(
+        bytes32 contentId,
+        address account,
+        uint256 amount
+    ) internal {
+        creatorRewardsPaid[contentId][account] += amount;
+        _addVestingTranche(account, amount);
+    }
+
+    function _addVestingTranche(address user, uint256 amount) internal {
+        VestingLogic.addTranche(
+            vestingSchedules,
+            vestingTranches,
+            user,
+            amount
+        );
+    }
+}
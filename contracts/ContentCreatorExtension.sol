@@ -0,0 +1,466 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/ECDSAUpgradeable.sol";
+import "./ContentCreatorBase.sol";
+import "./libraries/AppealLogic.sol";
+import "./libraries/CreatorLogic.sol";
+import "./libraries/EmissionLogic.sol";
+import "./libraries/SeasonLogic.sol";
+import "./libraries/ValidationLogic.sol";
+import "./libraries/VestingLogic.sol";
+
+// Administration, expired appeals, season management, fees, creator payments
+// and EIP-2612 permits of ContentCreatorSystem, split out to keep the core
+// under the contract size limit. It is only reached through the core's
+// fallback, so it always runs against the proxy's storage; read-only views are
+// one hop further on, in ContentCreatorViews.
+contract ContentCreatorExtension is ContentCreatorBase {
+    // Code, not storage, like the core's extension address
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable views;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(
+        address trustedForwarder_,
+        address views_
+    ) ContentCreatorBase(trustedForwarder_) {
+        views = views_;
+        _disableInitializers();
+    }
+
+    // ============ Role Management Functions ============
+
+    // Wrappers kept from the owner-managed role mappings; they follow the
+    // same admin rules as grantRole/revokeRole.
+    function addModerator(address moderator) external {
+        require(moderator != address(0), "Invalid address");
+        require(!hasRole(MODERATOR_ROLE, moderator), "Already a moderator");
+        grantRole(MODERATOR_ROLE, moderator);
+    }
+
+    function removeModerator(address moderator) external {
+        require(hasRole(MODERATOR_ROLE, moderator), "Not a moderator");
+        revokeRole(MODERATOR_ROLE, moderator);
+    }
+
+    function addValidator(address validator) external {
+        require(validator != address(0), "Invalid address");
+        require(!hasRole(VALIDATOR_ROLE, validator), "Already a validator");
+        grantRole(VALIDATOR_ROLE, validator);
+    }
+
+    function removeValidator(address validator) external {
+        require(hasRole(VALIDATOR_ROLE, validator), "Not a validator");
+        revokeRole(VALIDATOR_ROLE, validator);
+    }
+
+    // ============ Token Management Functions ============
+
+    function mint(
+        address to,
+        uint256 amount
+    ) external onlyRole(MINTER_ROLE) whenNotPaused nonReentrant {
+        require(to != address(0), "Invalid address");
+        require(totalSupply() + amount <= MAX_SUPPLY, "Exceeds maximum supply");
+        _mint(to, amount);
+        emit TokensMinted(to, amount);
+    }
+
+    function burn(uint256 amount) external whenNotPaused nonReentrant {
+        _burn(_msgSender(), amount);
+        emit TokensBurned(_msgSender(), amount);
+    }
+
+    // ============ Administration ============
+
+    function setContentTypeParams(
+        ContentType contentType,
+        ContentTypeParams calldata params
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        ValidationLogic.setParams(contentTypeParams, contentType, params);
+    }
+
+    function setRandomnessProvider(
+        address provider
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        require(provider != address(0), "Invalid address");
+        randomnessProvider = IRandomnessProvider(provider);
+        emit RandomnessProviderUpdated(provider);
+    }
+
+    function setEngagementOracle(
+        address oracle
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        engagementOracle = oracle;
+        emit EngagementOracleUpdated(oracle);
+    }
+
+    function setTreasury(address newTreasury) external onlyRole(TREASURY_ROLE) {
+        treasury = newTreasury;
+        emit TreasuryUpdated(newTreasury);
+    }
+
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    function emergencyWithdraw(
+        address token,
+        uint256 amount
+    ) external onlyRole(TREASURY_ROLE) {
+        if (token == address(this)) {
+            require(balanceOf(address(this)) >= amount, "Insufficient balance");
+            _transfer(address(this), _msgSender(), amount);
+        } else {
+            (bool success, ) = token.call(
+                abi.encodeWithSelector(0xa9059cbb, _msgSender(), amount)
+            );
+            require(success, "Transfer failed");
+        }
+    }
+
+    // ============ Appeals ============
+
+    // Lets anyone close an appeal that has not reached its quorum within
+    // APPEAL_WINDOW, keeping the original status and refunding the bond
+    function expireAppeal(
+        bytes32 contentId
+    ) external whenNotPaused nonReentrant contentExists(contentId) {
+        Appeal storage appeal = appeals[contentId];
+        AppealLogic.expire(contents[contentId], appeal, contentId);
+        _reindexStatus(contentId, ContentStatus.UnderAppeal);
+        _transfer(address(this), appeal.appellant, appeal.bond);
+        emit AppealBondRefunded(contentId, appeal.appellant, appeal.bond);
+    }
+
+    // ============ Season Functions ============
+
+    function startNewSeason() external onlyRole(PARAMETER_ADMIN_ROLE) {
+        require(!seasonalRewardsActive, "Season already active");
+        seasonStartTime = block.timestamp;
+        seasonalRewardsActive = true;
+
+        currentSeason++;
+        Season storage season = seasons[currentSeason];
+        season.startTime = block.timestamp;
+        season.rewardPool = unallocatedSeasonPool;
+        unallocatedSeasonPool = 0;
+
+        emit SeasonStarted(currentSeason, block.timestamp);
+    }
+
+    function endSeason() external onlyRole(PARAMETER_ADMIN_ROLE) {
+        require(seasonalRewardsActive, "No active season");
+        require(
+            block.timestamp >= seasonStartTime + seasonDuration,
+            "Season not finished"
+        );
+
+        distributeSeasonalRewards();
+        seasonalRewardsActive = false;
+    }
+
+    function setSeasonRewardAmount(
+        uint256 amount
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        seasonRewardAmount = amount;
+        emit SeasonRewardAmountUpdated(amount);
+    }
+
+    // ============ Fee Functions ============
+
+    // Charged in CCT on every submission and held until the content is
+    // finalized: refunded on approval, forfeited on rejection or removal
+    function setSubmissionFee(
+        uint256 fee
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        require(fee <= MAX_SUBMISSION_FEE, "Fee exceeds maximum");
+        submissionFee = fee;
+        emit SubmissionFeeUpdated(fee);
+    }
+
+    function setTransferFee(
+        uint256 basisPoints
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        require(basisPoints <= MAX_TRANSFER_FEE, "Fee exceeds maximum");
+        transferFee = basisPoints;
+        emit TransferFeeUpdated(basisPoints);
+    }
+
+    function fundSeason(uint256 amount) external nonReentrant whenNotPaused {
+        require(seasonalRewardsActive, "No active season");
+        require(amount > 0, "Invalid amount");
+
+        _transfer(_msgSender(), address(this), amount);
+        seasons[currentSeason].rewardPool += amount;
+        emit SeasonFunded(currentSeason, _msgSender(), amount);
+    }
+
+    function claimSeasonalReward(
+        uint256 seasonId
+    ) external nonReentrant whenNotPaused {
+        uint256 amount = SeasonLogic.claim(
+            seasons,
+            seasonStats,
+            seasonId,
+            _msgSender()
+        );
+        _addVestingTranche(_msgSender(), amount);
+    }
+
+    // ============ Creator Payments ============
+
+    function setProtocolCut(
+        uint256 basisPoints
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        require(basisPoints <= MAX_PROTOCOL_CUT, "Cut exceeds maximum");
+        protocolCut = basisPoints;
+        emit ProtocolCutUpdated(basisPoints);
+    }
+
+    function tipContent(
+        bytes32 contentId,
+        uint256 amount
+    ) external whenNotPaused nonReentrant contentExists(contentId) {
+        require(amount > 0, "Invalid amount");
+        Content storage content = contents[contentId];
+        require(content.status != ContentStatus.Removed, "Content removed");
+
+        // Tips are split between co-creators by share, or go to the holder of
+        // the content's NFT once it has changed hands
+        address tipper = _msgSender();
+        Split[] memory payees = _payeeShares(contentId);
+        uint256 remaining = amount;
+        uint256 cut;
+        for (uint256 i = 0; i < payees.length; i++) {
+            require(tipper != payees[i].account, "Cannot tip own content");
+            uint256 part = i == payees.length - 1
+                ? remaining
+                : (amount * payees[i].share) / BASIS_POINTS;
+            remaining -= part;
+            if (part > 0) {
+                cut += _payCreator(tipper, payees[i].account, part);
+            }
+        }
+        emit ContentTipped(
+            contentId,
+            tipper,
+            _contentOwner(contentId),
+            amount,
+            cut
+        );
+    }
+
+    // Pays the first period now. Later periods are pulled by
+    // collectSubscription from the allowance the fan gives this contract.
+    function subscribe(
+        address creator,
+        uint256 amount,
+        uint256 period
+    ) external whenNotPaused nonReentrant {
+        address fan = _msgSender();
+        require(creator != address(0) && creator != fan, "Invalid creator");
+        require(amount > 0, "Invalid amount");
+        require(
+            period >= MIN_SUBSCRIPTION_PERIOD &&
+                period <= MAX_SUBSCRIPTION_PERIOD,
+            "Invalid period"
+        );
+
+        subscriptions[fan][creator] = Subscription({
+            amount: amount,
+            period: period,
+            nextPaymentAt: block.timestamp + period
+        });
+        _payCreator(fan, creator, amount);
+
+        emit Subscribed(fan, creator, amount, period);
+        emit SubscriptionCharged(
+            fan,
+            creator,
+            amount,
+            block.timestamp + period
+        );
+    }
+
+    function cancelSubscription(address creator) external {
+        address fan = _msgSender();
+        require(subscriptions[fan][creator].period != 0, "Not subscribed");
+        delete subscriptions[fan][creator];
+        emit SubscriptionCancelled(fan, creator);
+    }
+
+    // Anyone may trigger a due payment. One period is charged per call and a
+    // late payment starts the next period from now, so missed periods are
+    // never charged retroactively.
+    function collectSubscription(
+        address fan,
+        address creator
+    ) external whenNotPaused nonReentrant {
+        Subscription storage subscription = subscriptions[fan][creator];
+        require(subscription.period != 0, "Not subscribed");
+        require(
+            block.timestamp >= subscription.nextPaymentAt,
+            "Payment not due"
+        );
+
+        subscription.nextPaymentAt = block.timestamp + subscription.period;
+        _spendAllowance(fan, address(this), subscription.amount);
+        _payCreator(fan, creator, subscription.amount);
+
+        emit SubscriptionCharged(
+            fan,
+            creator,
+            subscription.amount,
+            subscription.nextPaymentAt
+        );
+    }
+
+    // ============ Content NFTs ============
+
+    function setContentNFT(
+        address nft
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        contentNFT = IContentNFT(nft);
+        emit ContentNFTUpdated(nft);
+    }
+
+    // Mints the NFT of content approved before the NFT contract was set
+    function mintContentNFT(
+        bytes32 contentId
+    ) external whenNotPaused contentExists(contentId) {
+        require(address(contentNFT) != address(0), "Content NFT not set");
+        Content storage content = contents[contentId];
+        require(
+            content.status == ContentStatus.Approved,
+            "Content not approved"
+        );
+        require(contentNFT.holderOf(contentId) == address(0), "Already minted");
+        contentNFT.activate(content.creator, contentId, content.contentHash);
+    }
+
+    // ============ Permit (EIP-2612) ============
+
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256(
+            "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+
+    // Approves `spender` from an off-chain signature by `owner`, so holders
+    // can approve without paying gas. Written out here rather than inheriting
+    // ERC20PermitUpgradeable, whose storage would shift the existing layout.
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "ERC20Permit: expired deadline");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                PERMIT_TYPEHASH,
+                owner,
+                spender,
+                value,
+                permitNonces[owner]++,
+                deadline
+            )
+        );
+        address signer = ECDSAUpgradeable.recover(
+            ECDSAUpgradeable.toTypedDataHash(DOMAIN_SEPARATOR(), structHash),
+            v,
+            r,
+            s
+        );
+        require(signer == owner, "ERC20Permit: invalid signature");
+
+        _approve(owner, spender, value);
+    }
+
+    function nonces(address owner) external view returns (uint256) {
+        return permitNonces[owner];
+    }
+
+    // Built from the proxy's address, the address users interact with
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256(bytes(name())),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    // Internal functions
+
+    // Moves `amount` from `from` to `creator`, sending protocolCut basis
+    // points of it to the treasury when one is set, and books what the
+    // creator received toward their level
+    function _payCreator(
+        address from,
+        address creator,
+        uint256 amount
+    ) internal returns (uint256 cut) {
+        if (treasury != address(0)) {
+            cut = (amount * protocolCut) / BASIS_POINTS;
+        }
+        if (cut > 0) {
+            _transfer(from, treasury, cut);
+        }
+        _transfer(from, creator, amount - cut);
+        CreatorLogic.recordSupport(
+            creatorAchievements[creator],
+            creator,
+            amount - cut
+        );
+    }
+
+    // Seals the current season's pool; creators then pull their pro-rata
+    // share through claimSeasonalReward, so gas does not grow with creators.
+    function distributeSeasonalRewards() internal {
+        uint256 funded = seasonRewardAmount > 0
+            ? _fundRewards(seasonRewardAmount)
+            : 0;
+
+        unallocatedSeasonPool += SeasonLogic.finalize(
+            seasons[currentSeason],
+            currentSeason,
+            funded
+        );
+    }
+
+    // Runs functions neither the core nor this contract defines on the views
+    // contract, still in the context of the proxy's storage
+    fallback() external {
+        address target = views;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+// ERC-2771 forwarder trusted by ContentCreatorSystem. Relayers submit
+// requests signed by users (EIP-712 domain "MinimalForwarder", version
+// "0.0.1") and pay the gas; the system sees the signer as the caller.
+contract ContentCreatorForwarder is MinimalForwarder {
+
+}
@@ -0,0 +1,190 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ContentCreatorBase.sol";
+import "./libraries/AppealLogic.sol";
+import "./libraries/ContentLogic.sol";
+import "./libraries/CreatorLogic.sol";
+import "./libraries/ValidationLogic.sol";
+import "./libraries/VestingLogic.sol";
+
+// Content versions and plagiarism rulings of ContentCreatorSystem. Calls the
+// core, ContentCreatorExtension and ContentCreatorViews do not define end up
+// here, against the proxy's storage; anything else goes on to
+// ContentCreatorStaking.
+contract ContentCreatorIntegrity is ContentCreatorBase {
+    // Code, not storage, like the core's extension address
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable staking;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(
+        address trustedForwarder_,
+        address staking_
+    ) ContentCreatorBase(trustedForwarder_) {
+        staking = staking_;
+        _disableInitializers();
+    }
+
+    // ============ Content Versions ============
+
+    function setUpdatePolicy(
+        ContentType contentType,
+        UpdatePolicy policy
+    ) external onlyRole(PARAMETER_ADMIN_ROLE) {
+        updatePolicies[contentType] = policy;
+        emit UpdatePolicyUpdated(contentType, policy);
+    }
+
+    // Replaces a decided content item's hash with a new version under the
+    // same id. Approved content of a KeepApproval type stays approved; any
+    // other update is validated from scratch, paying the submission fee again
+    // and waiting out the owner's submission cooldown, with the content's NFT
+    // frozen until the new version is approved.
+    function updateContent(
+        bytes32 contentId,
+        string memory contentHash
+    ) external whenNotPaused nonReentrant contentExists(contentId) {
+        address owner = _contentOwner(contentId);
+        require(_msgSender() == owner, "Not authorized");
+        Content storage content = contents[contentId];
+        ContentStatus previous = content.status;
+
+        bool revalidate = ContentLogic.update(
+            contents,
+            removedByModerator,
+            contentVersions[contentId],
+            hashClaims,
+            duplicateOf,
+            contentId,
+            contentHash,
+            updatePolicies[content.contentType] == UpdatePolicy.KeepApproval
+        );
+        if (!revalidate) {
+            _activateContentNFT(contentId);
+            return;
+        }
+
+        ContentLogic.restartCooldown(
+            lastContentSubmission,
+            contentTypeParams[content.contentType],
+            creatorReputation[owner],
+            owner
+        );
+        ValidationLogic.reopen(
+            content,
+            contentPanels[contentId],
+            validatorScores[contentId],
+            validatorSlashed[contentId],
+            pendingContentIds,
+            pendingContentIndex,
+            contentId,
+            contentTypeParams[content.contentType].validationWindow
+        );
+        // The new version gets a new ruling, which may be appealed afresh
+        AppealLogic.reset(appeals[contentId], appealPanels[contentId]);
+        _reindexStatus(contentId, previous);
+        if (address(contentNFT) != address(0)) {
+            contentNFT.freeze(contentId);
+        }
+        _holdSubmissionFee(contentId, owner);
+        _requestPanel(contentPanels[contentId], contentId, false);
+    }
+
+    // ============ Plagiarism ============
+
+    // Confirms that `copyId` copied the earlier `originalId`, typically after
+    // it was flagged as a duplicate. The copy is removed for good and
+    // attributed to the original, and the rewards its co-creators were vested
+    // for it are clawed back and vested to the original's payees instead.
+    function confirmPlagiarism(
+        bytes32 copyId,
+        bytes32 originalId
+    )
+        external
+        onlyModerator
+        nonReentrant
+        contentExists(copyId)
+        contentExists(originalId)
+    {
+        // A moderator removal already counted against the copy's creators
+        bool counted = removedByModerator[copyId];
+        ContentStatus previous = ContentLogic.removeCopy(
+            contents,
+            attributedTo,
+            removedByModerator,
+            pendingContentIds,
+            pendingContentIndex,
+            copyId,
+            originalId
+        );
+        _reindexStatus(copyId, previous);
+        _settleSubmissionFee(copyId, false);
+        if (!counted) {
+            _recordStrike(copyId, ContentStatus.Removed, false);
+        }
+        if (address(contentNFT) != address(0)) {
+            contentNFT.freeze(copyId);
+        }
+
+        uint256 recovered;
+        Split[] memory copiers = CreatorLogic.creditShares(contents[copyId]);
+        for (uint256 i = 0; i < copiers.length; i++) {
+            recovered += _clawback(copyId, copiers[i].account);
+        }
+        if (recovered > 0) {
+            _vestShares(originalId, recovered);
+        }
+        emit PlagiarismConfirmed(copyId, originalId, recovered);
+    }
+
+    // Internal functions
+
+    // Takes back the rewards `account` was vested for a content item, from
+    // what is still vesting first and then from their balance
+    function _clawback(
+        bytes32 contentId,
+        address account
+    ) internal returns (uint256 taken) {
+        uint256 owed = creatorRewardsPaid[contentId][account];
+        if (owed == 0) {
+            return 0;
+        }
+        delete creatorRewardsPaid[contentId][account];
+
+        taken = VestingLogic.clawback(
+            vestingSchedules,
+            vestingTranches,
+            vestingCursor,
+            account,
+            owed
+        );
+        uint256 rest = owed - taken;
+        if (balanceOf(account) < rest) {
+            rest = balanceOf(account);
+        }
+        if (rest > 0) {
+            _transfer(account, address(this), rest);
+            taken += rest;
+        }
+        emit RewardClawedBack(account, contentId, taken);
+    }
+
+    // Runs functions no earlier contract in the chain defines on the staking
+    // contract, still in the context of the proxy's storage
+    fallback() external {
+        address target = staking;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
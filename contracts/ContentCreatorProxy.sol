@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+// Imported so the ProxyAdmin artifact is compiled alongside the proxy
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+
+// Holds ContentCreatorSystem's storage and token balances at a fixed address
+// while the implementation behind it is upgraded. `admin` should be a
+// ProxyAdmin, which scripts/deploy.js hands to the governance timelock.
+contract ContentCreatorProxy is TransparentUpgradeableProxy {
+    constructor(
+        address logic,
+        address admin,
+        bytes memory data
+    ) TransparentUpgradeableProxy(logic, admin, data) {}
+}
@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ContentCreatorBase.sol";
+import "./libraries/ValidatorLogic.sol";
+
+// Validator stakes, the unbonding queue and delegation of ContentCreatorSystem.
+// It is the last stop of the delegate chain: calls no earlier contract
+// defines end up here, against the proxy's storage.
+contract ContentCreatorStaking is ContentCreatorBase {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(
+        address trustedForwarder_
+    ) ContentCreatorBase(trustedForwarder_) {
+        _disableInitializers();
+    }
+
+    // ============ Validator Stakes ============
+
+    // Opens a stake of exactly the minimum, as before stakes could vary
+    function stakeAsValidator() external nonReentrant whenNotPaused {
+        require(!validatorStakes[_msgSender()].isStaked, "Already staked");
+        _stake(VALIDATOR_STAKE_REQUIREMENT);
+    }
+
+    // Opens a stake of at least the minimum, or tops up an open one
+    function increaseStake(uint256 amount) external nonReentrant whenNotPaused {
+        _stake(amount);
+    }
+
+    // Unbonds the whole stake; it stays slashable until withdrawn
+    function requestUnstake() external {
+        _unbond(validatorStakes[_msgSender()].amount);
+    }
+
+    // Unbonds part of the stake, leaving at least the minimum, or all of it
+    function unbondStake(uint256 amount) external {
+        _unbond(amount);
+    }
+
+    function unstakeValidator() external nonReentrant {
+        uint256 amount = _withdrawUnbonded();
+        emit ValidatorUnstaked(_msgSender(), amount);
+    }
+
+    // Pays out every unbonding entry of the caller, validator or delegator,
+    // whose slash window has passed
+    function withdrawUnbonded() external nonReentrant {
+        _withdrawUnbonded();
+    }
+
+    // Slashes a validator whose score on finalized content strayed more than
+    // MAX_SCORE_DEVIATION from the consensus. basisPoints of 10_000 is a full
+    // slash. Stake still unbonding is slashed too; delegations never are.
+    function slashValidator(
+        address validator,
+        bytes32 contentId,
+        uint256 basisPoints
+    ) external onlyModerator nonReentrant contentExists(contentId) {
+        uint256 amount = ValidatorLogic.slash(
+            contents[contentId],
+            validatorScores[contentId],
+            validatorSlashed[contentId],
+            validatorStakes[validator],
+            unbondings[validator],
+            unbondingCursor[validator],
+            validator,
+            basisPoints
+        );
+        _collectPenalty(amount);
+
+        emit ValidatorSlashed(validator, contentId, amount);
+    }
+
+    // ============ Delegation ============
+
+    // Backs a staked validator with the caller's tokens. The delegation adds
+    // to the validator's weight and earns part of its rewards.
+    function delegateStake(
+        address validator,
+        uint256 amount
+    ) external nonReentrant whenNotPaused {
+        address delegator = _msgSender();
+        require(balanceOf(delegator) >= amount, "Insufficient balance");
+
+        ValidatorLogic.delegate(
+            validatorStakes[validator],
+            delegations[delegator][validator],
+            delegator,
+            validator,
+            amount
+        );
+        _transfer(delegator, address(this), amount);
+    }
+
+    function undelegateStake(address validator, uint256 amount) external {
+        address delegator = _msgSender();
+        ValidatorLogic.undelegate(
+            validatorStakes[validator],
+            delegations[delegator][validator],
+            unbondings[delegator],
+            delegator,
+            validator,
+            amount
+        );
+    }
+
+    // Vests what a delegation has earned, like any other reward
+    function claimDelegationRewards(
+        address validator
+    ) external nonReentrant whenNotPaused {
+        address delegator = _msgSender();
+        uint256 reward = ValidatorLogic.claimDelegationReward(
+            validatorStakes[validator],
+            delegations[delegator][validator]
+        );
+        _addVestingTranche(delegator, reward);
+
+        emit DelegationRewardClaimed(delegator, validator, reward);
+    }
+
+    // ============ Internal Functions ============
+
+    function _stake(uint256 amount) internal {
+        address validator = _msgSender();
+        require(hasRole(VALIDATOR_ROLE, validator), "Not a validator");
+        require(balanceOf(validator) >= amount, "Insufficient balance");
+
+        ValidatorLogic.stake(validatorStakes[validator], validator, amount);
+        _transfer(validator, address(this), amount);
+        stakedValidators.add(validator);
+    }
+
+    function _unbond(uint256 amount) internal {
+        address validator = _msgSender();
+        ValidatorStake storage stake = validatorStakes[validator];
+        ValidatorLogic.unbond(
+            stake,
+            unbondings[validator],
+            validator,
+            amount,
+            false
+        );
+        if (!stake.isStaked) {
+            stakedValidators.remove(validator);
+        }
+    }
+
+    function _withdrawUnbonded() internal returns (uint256 amount) {
+        address account = _msgSender();
+        amount = ValidatorLogic.withdraw(
+            unbondings[account],
+            unbondingCursor,
+            account
+        );
+        // A fully unbonded validator's unstake is over once its queue is empty
+        ValidatorStake storage stake = validatorStakes[account];
+        if (
+            !stake.isStaked &&
+            unbondingCursor[account] == unbondings[account].length
+        ) {
+            stake.unstakeRequestedAt = 0;
+        }
+        _transfer(address(this), account, amount);
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+// Governance timelock for ContentCreatorSystem. It is granted the minter,
+// treasury, parameter admin and default admin roles, so minting, treasury
+// withdrawals and parameter changes are scheduled publicly, wait at least
+// `minDelay`, can be cancelled by a proposer, and are then executable by
+// anyone (executors = [address(0)]).
+contract ContentCreatorTimelock is TimelockController {
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {}
+}
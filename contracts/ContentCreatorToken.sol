@@ -1,202 +1,69 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-
-contract ContentCreatorSystem is ERC20, ReentrancyGuard, Pausable, Ownable {
-    // Token Constants
-    uint256 public constant INITIAL_SUPPLY = 100_000_000 * 10 ** 18; // 100 million tokens
-    uint256 public constant MAX_SUPPLY = 200_000_000 * 10 ** 18; // 200 million tokens
-
-    // Content Management Constants
-    uint256 public constant MIN_VALIDATORS_REQUIRED = 2;
-    uint256 public constant MIN_QUALITY_SCORE = 50;
-    uint256 public constant COOLDOWN_PERIOD = 1 days;
-    uint256 public constant BASE_REWARD = 10 * 10 ** 18; // 10 tokens base reward
-
-    // Reward Mechanism
-    uint256 public constant VALIDATOR_STAKE_REQUIREMENT = 1000 * 10 ** 18; // 1000 tokens
-    uint256 public constant VESTING_PERIOD = 7 days;
-    uint256 public constant ENGAGEMENT_MULTIPLIER = 2;
-    uint256 public constant SEASONAL_BONUS_MULTIPLIER = 3;
-    uint256 public constant MIN_STAKE_DURATION = 30 days;
-
-    // Enums
-    enum ContentType {
-        Article,
-        Image,
-        Video,
-        Other
-    }
-    enum ContentStatus {
-        Pending,
-        Approved,
-        Rejected,
-        Removed
-    }
-
-    // Structs
-    struct Content {
-        address creator;
-        string contentHash;
-        uint256 timestamp;
-        ContentType contentType;
-        ContentStatus status;
-        uint256 qualityScore;
-        bool isValidated;
-        uint256 validationCount;
-        mapping(address => bool) validators;
-    }
-
-    // Struct for vesting schedule
-    struct VestingSchedule {
-        uint256 totalAmount;
-        uint256 releasedAmount;
-        uint256 startTime;
-        bool initialized;
-    }
-
-    // Struct for validator stakes
-    struct ValidatorStake {
-        uint256 amount;
-        uint256 startTime;
-        bool isStaked;
-    }
-
-    // Struct for creator achievements
-    struct CreatorAchievements {
-        uint256 totalContent;
-        uint256 highQualityContent;
-        uint256 totalEngagement;
-        uint256 rewardPoints;
-        uint8 level;
-    }
-
-    // Role Management
-    mapping(address => bool) public moderators;
-    mapping(address => bool) public validators;
-
-    // Content Management
-    mapping(bytes32 => Content) public contents;
-    mapping(address => bytes32[]) public creatorContent;
-    mapping(address => uint256) public lastContentSubmission;
-
-    // State variables for Reward mechanism
-    mapping(address => VestingSchedule) public vestingSchedules;
-    mapping(address => ValidatorStake) public validatorStakes;
-    mapping(address => CreatorAchievements) public creatorAchievements;
-    mapping(bytes32 => uint256) public contentEngagement;
-
-    uint256 public seasonStartTime;
-    uint256 public seasonDuration = 90 days;
-    bool public seasonalRewardsActive;
-
-    // Events - Token Related
-    event ModeratorAdded(address indexed moderator);
-    event ModeratorRemoved(address indexed moderator);
-    event ValidatorAdded(address indexed validator);
-    event ValidatorRemoved(address indexed validator);
-    event TokensMinted(address indexed to, uint256 amount);
-    event TokensBurned(address indexed from, uint256 amount);
-
-    // Events - Content Related
-    event ContentSubmitted(
-        bytes32 indexed contentId,
-        address indexed creator,
-        ContentType contentType
-    );
-    event ContentValidated(
-        bytes32 indexed contentId,
-        address indexed validator,
-        uint256 qualityScore
-    );
-    event ContentStatusUpdated(
-        bytes32 indexed contentId,
-        ContentStatus newStatus
-    );
-    event QualityScoreUpdated(bytes32 indexed contentId, uint256 newScore);
-
-    // Events for Reward Mechanism
-    event RewardVested(address indexed user, uint256 amount);
-    event ValidatorStaked(address indexed validator, uint256 amount);
-    event ValidatorUnstaked(address indexed validator, uint256 amount);
-    event AchievementUnlocked(address indexed creator, uint8 level);
-    event EngagementRecorded(
-        bytes32 indexed contentId,
-        uint256 engagementScore
-    );
-    event SeasonalRewardDistributed(address indexed creator, uint256 amount);
-
-    // Modifiers
-    modifier onlyModerator() {
-        require(moderators[msg.sender], "Caller is not a moderator");
-        _;
-    }
-
-    modifier onlyValidator() {
-        require(validators[msg.sender], "Caller is not a validator");
-        _;
-    }
-
-    modifier contentExists(bytes32 contentId) {
-        require(
-            contents[contentId].creator != address(0),
-            "Content does not exist"
-        );
-        _;
-    }
-
-    modifier onlyContentCreator(bytes32 contentId) {
-        require(
-            contents[contentId].creator == msg.sender,
-            "Not content creator"
-        );
-        _;
-    }
-
-    // Modifiers for Reward Mechanism
-    modifier onlyStakedValidator() {
-        require(validatorStakes[msg.sender].isStaked, "Validator not staked");
-        require(
-            validatorStakes[msg.sender].amount >= VALIDATOR_STAKE_REQUIREMENT,
-            "Insufficient stake"
-        );
-        _;
-    }
-
-    constructor() ERC20("Content Creator Token", "CCT") {
-        _mint(msg.sender, INITIAL_SUPPLY);
-    }
-
-    // ============ Role Management Functions ============
-
-    function addModerator(address moderator) external onlyOwner {
-        require(moderator != address(0), "Invalid address");
-        require(!moderators[moderator], "Already a moderator");
-        moderators[moderator] = true;
-        emit ModeratorAdded(moderator);
-    }
-
-    function removeModerator(address moderator) external onlyOwner {
-        require(moderators[moderator], "Not a moderator");
-        moderators[moderator] = false;
-        emit ModeratorRemoved(moderator);
-    }
-
-    function addValidator(address validator) external onlyOwner {
-        require(validator != address(0), "Invalid address");
-        require(!validators[validator], "Already a validator");
-        validators[validator] = true;
-        emit ValidatorAdded(validator);
-    }
-
-    function removeValidator(address validator) external onlyOwner {
-        require(validators[validator], "Not a validator");
-        validators[validator] = false;
-        emit ValidatorRemoved(validator);
+import "./ContentCreatorBase.sol";
+import "./interfaces/IRandomnessProvider.sol";
+import "./libraries/AppealLogic.sol";
+import "./libraries/ContentLogic.sol";
+import "./libraries/CreatorLogic.sol";
+import "./libraries/SeasonLogic.sol";
+import "./libraries/ValidationLogic.sol";
+import "./libraries/ValidatorLogic.sol";
+import "./libraries/VestingLogic.sol";
+
+// Entry point of the Content Creator System, deployed behind a
+// TransparentUpgradeableProxy (ContentCreatorProxy). Calls to functions not
+// defined here are delegated to ContentCreatorExtension, which shares this
+// contract's storage through ContentCreatorBase.
+contract ContentCreatorSystem is ContentCreatorBase, IRandomnessConsumer {
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Code, not storage, so every proxy on this implementation shares it
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(
+        address extension_,
+        address trustedForwarder_
+    ) ContentCreatorBase(trustedForwarder_) {
+        extension = extension_;
+        _disableInitializers();
+    }
+
+    function initialize(address provider) external initializer {
+        require(provider != address(0), "Invalid address");
+        __ERC20_init("Content Creator Token", "CCT");
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __AccessControlEnumerable_init();
+
+        address deployer = _msgSender();
+        _mint(deployer, INITIAL_SUPPLY);
+        seasonDuration = 90 days;
+        emissionStart = block.timestamp;
+        randomnessProvider = IRandomnessProvider(provider);
+        emit RandomnessProviderUpdated(provider);
+
+        // The deployer starts with every role and hands them out from there
+        _grantRole(DEFAULT_ADMIN_ROLE, deployer);
+        _grantRole(MINTER_ROLE, deployer);
+        _grantRole(PAUSER_ROLE, deployer);
+        _grantRole(PARAMETER_ADMIN_ROLE, deployer);
+        _grantRole(VALIDATOR_MANAGER_ROLE, deployer);
+        _grantRole(TREASURY_ROLE, deployer);
+        _setRoleAdmin(VALIDATOR_ROLE, VALIDATOR_MANAGER_ROLE);
+
+        for (uint256 i = 0; i <= uint256(ContentType.Other); i++) {
+            contentTypeParams[ContentType(i)] = ContentTypeParams({
+                minValidators: MIN_VALIDATORS_REQUIRED,
+                minQualityScore: MIN_QUALITY_SCORE,
+                baseReward: BASE_REWARD,
+                cooldownPeriod: COOLDOWN_PERIOD,
+                validationWindow: VALIDATION_WINDOW
+            });
+        }
     }
 
     // ============ Content Management Functions ============
@@ -205,179 +72,240 @@ contract ContentCreatorSystem is ERC20, ReentrancyGuard, Pausable, Ownable {
         string memory contentHash,
         ContentType contentType
     ) external whenNotPaused nonReentrant returns (bytes32) {
-        require(bytes(contentHash).length > 0, "Content hash cannot be empty");
-        require(
-            block.timestamp >=
-                lastContentSubmission[msg.sender] + COOLDOWN_PERIOD,
-            "Cooldown period not elapsed"
-        );
-
-        bytes32 contentId = keccak256(
-            abi.encodePacked(msg.sender, contentHash, block.timestamp)
-        );
+        return
+            _submitContent(
+                contentHash,
+                contentType,
+                new Split[](0),
+                bytes32(0)
+            );
+    }
 
-        require(
-            contents[contentId].creator == address(0),
-            "Content already exists"
-        );
+    // Submits content with a perceptual or other fingerprint hash. Content
+    // whose fingerprint was claimed before is flagged as a possible duplicate
+    // of the earlier item for moderators to review.
+    function submitContentWithFingerprint(
+        string memory contentHash,
+        ContentType contentType,
+        bytes32 fingerprint
+    ) external whenNotPaused nonReentrant returns (bytes32) {
+        return
+            _submitContent(
+                contentHash,
+                contentType,
+                new Split[](0),
+                fingerprint
+            );
+    }
 
-        Content storage newContent = contents[contentId];
-        newContent.creator = msg.sender;
-        newContent.contentHash = contentHash;
-        newContent.timestamp = block.timestamp;
-        newContent.contentType = contentType;
-        newContent.status = ContentStatus.Pending;
-        newContent.qualityScore = 0;
-        newContent.isValidated = false;
-        newContent.validationCount = 0;
-
-        creatorContent[msg.sender].push(contentId);
-        lastContentSubmission[msg.sender] = block.timestamp;
-
-        emit ContentSubmitted(contentId, msg.sender, contentType);
-        return contentId;
+    // Submits content co-created with others. `splits` lists every
+    // co-creator, the submitter included, with shares summing to BASIS_POINTS;
+    // rewards, tips and achievements are divided by those shares.
+    function submitContentWithSplits(
+        string memory contentHash,
+        ContentType contentType,
+        Split[] memory splits
+    ) external whenNotPaused nonReentrant returns (bytes32) {
+        return _submitContent(contentHash, contentType, splits, bytes32(0));
     }
 
-    function validateContent(
+    // Phase one: commit keccak256(abi.encodePacked(contentId, validator,
+    // qualityScore, salt)) so no score is visible before the commit phase closes
+    function commitScore(
         bytes32 contentId,
-        uint256 qualityScore
+        bytes32 commitment
     )
         external
         onlyValidator
+        onlyStakedValidator
         whenNotPaused
         nonReentrant
         contentExists(contentId)
     {
-        require(qualityScore <= 100, "Invalid quality score");
+        ValidationLogic.commitScore(
+            contents[contentId],
+            contentPanels[contentId],
+            contentTypeParams,
+            validatorWeights[contentId],
+            contentId,
+            _msgSender(),
+            commitment,
+            ValidatorLogic.backing(validatorStakes[_msgSender()])
+        );
+    }
 
-        Content storage content = contents[contentId];
-        require(!content.validators[msg.sender], "Already validated");
-        require(content.creator != msg.sender, "Cannot validate own content");
-        require(content.status == ContentStatus.Pending, "Content not pending");
-
-        content.validators[msg.sender] = true;
-        content.validationCount++;
-        content.qualityScore =
-            ((content.qualityScore * (content.validationCount - 1)) +
-                qualityScore) /
-            content.validationCount;
-
-        if (content.validationCount >= MIN_VALIDATORS_REQUIRED) {
-            content.isValidated = true;
-            if (content.qualityScore >= MIN_QUALITY_SCORE) {
-                content.status = ContentStatus.Approved;
-                _rewardCreator(content.creator, content.qualityScore);
-            } else {
-                content.status = ContentStatus.Rejected;
-            }
-            emit ContentStatusUpdated(contentId, content.status);
+    // Phase two: reveal once the commit phase has closed; only revealed
+    // scores count towards the quality score
+    function revealScore(
+        bytes32 contentId,
+        uint256 qualityScore,
+        bytes32 salt
+    ) external whenNotPaused nonReentrant contentExists(contentId) {
+        bool quorumReached = ValidationLogic.revealScore(
+            contents[contentId],
+            contentTypeParams,
+            validatorScores[contentId],
+            validatorWeights[contentId],
+            validatorStats,
+            contentId,
+            _msgSender(),
+            qualityScore,
+            salt
+        );
+        if (quorumReached) {
+            _finalizeContent(contentId);
         }
-
-        emit ContentValidated(contentId, msg.sender, qualityScore);
-        emit QualityScoreUpdated(contentId, content.qualityScore);
     }
 
-    function removeContent(
+    // Anyone can close out content whose validation window has passed
+    function finalizeExpired(
         bytes32 contentId
     ) external whenNotPaused nonReentrant contentExists(contentId) {
-        require(
-            msg.sender == contents[contentId].creator || moderators[msg.sender],
-            "Not authorized"
-        );
-        require(
-            contents[contentId].status != ContentStatus.Removed,
-            "Already removed"
+        bool partialQuorum = ValidationLogic.expire(
+            contents,
+            contentTypeParams,
+            contentId
         );
 
-        contents[contentId].status = ContentStatus.Removed;
-        emit ContentStatusUpdated(contentId, ContentStatus.Removed);
-    }
-
-    // ============ Token Management Functions ============
+        uint256 penalty = ValidatorLogic.penaliseMissedReveals(
+            contents[contentId],
+            validatorStakes,
+            unbondings,
+            unbondingCursor,
+            validatorStats,
+            contentId
+        );
+        if (penalty > 0) {
+            _collectPenalty(penalty);
+        }
 
-    function mint(
-        address to,
-        uint256 amount
-    ) external onlyOwner whenNotPaused nonReentrant {
-        require(to != address(0), "Invalid address");
-        require(totalSupply() + amount <= MAX_SUPPLY, "Exceeds maximum supply");
-        _mint(to, amount);
-        emit TokensMinted(to, amount);
+        if (partialQuorum) {
+            _finalizeContent(contentId);
+        } else {
+            ValidationLogic.removePending(
+                pendingContentIds,
+                pendingContentIndex,
+                contentId
+            );
+            // No verdict was reached, so the creator is not charged
+            _settleSubmissionFee(contentId, true);
+            _reindexStatus(contentId, ContentStatus.Pending);
+        }
     }
 
-    function burn(uint256 amount) external whenNotPaused nonReentrant {
-        _burn(msg.sender, amount);
-        emit TokensBurned(msg.sender, amount);
+    function removeContent(
+        bytes32 contentId
+    ) external whenNotPaused nonReentrant contentExists(contentId) {
+        ContentStatus previous = contents[contentId].status;
+        ContentLogic.remove(
+            contents[contentId],
+            removedByModerator,
+            pendingContentIds,
+            pendingContentIndex,
+            contentId,
+            _msgSender(),
+            _contentOwner(contentId),
+            hasRole(MODERATOR_ROLE, _msgSender())
+        );
+        _settleSubmissionFee(contentId, false);
+        _reindexStatus(contentId, previous);
+        if (removedByModerator[contentId]) {
+            _recordStrike(contentId, ContentStatus.Removed, false);
+            AppealLogic.reset(appeals[contentId], appealPanels[contentId]);
+        }
+        if (address(contentNFT) != address(0)) {
+            contentNFT.freeze(contentId);
+        }
     }
 
-    // ============ Emergency Functions ============
+    // ============ Appeal Functions ============
 
-    function pause() external onlyOwner {
-        _pause();
+    function appealContent(
+        bytes32 contentId
+    )
+        external
+        whenNotPaused
+        nonReentrant
+        contentExists(contentId)
+        onlyContentCreator(contentId)
+    {
+        ContentStatus previous = contents[contentId].status;
+        AppealLogic.fileAppeal(
+            contents,
+            appeals,
+            removedByModerator,
+            contentId,
+            _msgSender(),
+            APPEAL_BOND
+        );
+        _transfer(_msgSender(), address(this), APPEAL_BOND);
+        _reindexStatus(contentId, previous);
+        _requestPanel(appealPanels[contentId], contentId, true);
     }
 
-    function unpause() external onlyOwner {
-        _unpause();
-    }
+    // ============ Validator Assignment Functions ============
 
-    function emergencyWithdraw(
-        address token,
-        uint256 amount
-    ) external onlyOwner {
-        if (token == address(this)) {
-            require(balanceOf(address(this)) >= amount, "Insufficient balance");
-            _transfer(address(this), owner(), amount);
-        } else {
-            (bool success, ) = token.call(
-                abi.encodeWithSelector(0xa9059cbb, owner(), amount)
-            );
-            require(success, "Transfer failed");
-        }
+    function fulfillRandomness(
+        uint256 requestId,
+        uint256 randomness
+    ) external override {
+        require(
+            _msgSender() == address(randomnessProvider),
+            "Caller is not the randomness provider"
+        );
+        PanelRequest memory request = panelRequests[requestId];
+        require(request.contentId != bytes32(0), "Unknown request");
+        delete panelRequests[requestId];
+
+        Content storage content = contents[request.contentId];
+        ValidatorLogic.drawPanel(
+            stakedValidators,
+            validatorStakes,
+            content,
+            request.isAppeal
+                ? appealPanels[request.contentId]
+                : contentPanels[request.contentId],
+            request.contentId,
+            contentTypeParams[content.contentType].minValidators,
+            randomness,
+            request.isAppeal
+        );
     }
 
-    // ============ View Functions ============
-
-    function getContent(
-        bytes32 contentId
+    function voteOnAppeal(
+        bytes32 contentId,
+        uint256 score
     )
         external
-        view
-        returns (
-            address creator,
-            string memory contentHash,
-            uint256 timestamp,
-            ContentType contentType,
-            ContentStatus status,
-            uint256 qualityScore,
-            bool isValidated,
-            uint256 validationCount
-        )
+        onlyValidator
+        onlyStakedValidator
+        whenNotPaused
+        nonReentrant
+        contentExists(contentId)
     {
-        Content storage content = contents[contentId];
-        return (
-            content.creator,
-            content.contentHash,
-            content.timestamp,
-            content.contentType,
-            content.status,
-            content.qualityScore,
-            content.isValidated,
-            content.validationCount
+        bool resolved = AppealLogic.castVote(
+            contents,
+            appeals,
+            appealPanels[contentId],
+            contentTypeParams,
+            contentId,
+            _msgSender(),
+            score
         );
+        if (resolved) {
+            _settleAppeal(contentId);
+        }
     }
 
-    function getCreatorContents(
-        address creator
-    ) external view returns (bytes32[] memory) {
-        return creatorContent[creator];
-    }
+    // ============ Token Functions ============
 
-    // Override transfer functions to implement pause
+    // Override transfer functions to implement pause and the transfer fee
     function transfer(
         address to,
         uint256 amount
     ) public override whenNotPaused returns (bool) {
-        return super.transfer(to, amount);
+        _transferWithFee(_msgSender(), to, amount);
+        return true;
     }
 
     function transferFrom(
@@ -385,214 +313,251 @@ contract ContentCreatorSystem is ERC20, ReentrancyGuard, Pausable, Ownable {
         address to,
         uint256 amount
     ) public override whenNotPaused returns (bool) {
-        return super.transferFrom(from, to, amount);
+        _spendAllowance(from, _msgSender(), amount);
+        _transferWithFee(from, to, amount);
+        return true;
     }
 
-    // New functions for Phase 3
-
-    function stakeAsValidator() external nonReentrant whenNotPaused {
-        require(validators[msg.sender], "Not a validator");
-        require(!validatorStakes[msg.sender].isStaked, "Already staked");
-        require(
-            balanceOf(msg.sender) >= VALIDATOR_STAKE_REQUIREMENT,
-            "Insufficient balance"
-        );
-
-        _transfer(msg.sender, address(this), VALIDATOR_STAKE_REQUIREMENT);
-
-        validatorStakes[msg.sender] = ValidatorStake({
-            amount: VALIDATOR_STAKE_REQUIREMENT,
-            startTime: block.timestamp,
-            isStaked: true
-        });
-
-        emit ValidatorStaked(msg.sender, VALIDATOR_STAKE_REQUIREMENT);
+    // Moderators record engagement directly; bulk reports arrive through the
+    // engagement oracle once enough reporters have signed them
+    function recordEngagement(
+        bytes32 contentId,
+        EngagementMetrics calldata metrics
+    ) external {
+        recordEngagementForDay(contentId, block.timestamp / 1 days, metrics);
     }
 
-    function unstakeValidator() external nonReentrant {
-        require(validatorStakes[msg.sender].isStaked, "Not staked");
+    // Records the numbers of a given day, which may be today or a day after
+    // the latest one recorded for the content
+    function recordEngagementForDay(
+        bytes32 contentId,
+        uint256 day,
+        EngagementMetrics calldata metrics
+    ) public contentExists(contentId) {
         require(
-            block.timestamp >=
-                validatorStakes[msg.sender].startTime + MIN_STAKE_DURATION,
-            "Minimum stake duration not met"
+            hasRole(MODERATOR_ROLE, _msgSender()) ||
+                _msgSender() == engagementOracle,
+            "Caller is not a moderator"
         );
-
-        uint256 stakeAmount = validatorStakes[msg.sender].amount;
-        validatorStakes[msg.sender].isStaked = false;
-        validatorStakes[msg.sender].amount = 0;
-
-        _transfer(address(this), msg.sender, stakeAmount);
-        emit ValidatorUnstaked(msg.sender, stakeAmount);
-    }
-
-    function recordEngagement(
-        bytes32 contentId,
-        uint256 engagementScore
-    ) external onlyModerator contentExists(contentId) {
-        require(engagementScore <= 100, "Invalid engagement score");
-
-        contentEngagement[contentId] = engagementScore;
-
-        // Update creator achievements
         Content storage content = contents[contentId];
-        CreatorAchievements storage achievements = creatorAchievements[
-            content.creator
-        ];
-        achievements.totalEngagement += engagementScore;
-
-        // Check for level up
-        uint8 newLevel = calculateCreatorLevel(achievements);
-        if (newLevel > achievements.level) {
-            achievements.level = newLevel;
-            emit AchievementUnlocked(content.creator, newLevel);
+        uint256 reward = CreatorLogic.recordEngagement(
+            engagement[contentId],
+            creatorAchievements,
+            seasons,
+            seasonStats,
+            seasonalRewardsActive ? currentSeason : 0,
+            content,
+            contentTypeParams[content.contentType].baseReward,
+            contentId,
+            day,
+            metrics
+        );
+        if (reward > 0) {
+            reward = _fundRewards(reward);
+        }
+        if (reward > 0) {
+            _vestShares(contentId, reward);
         }
-
-        emit EngagementRecorded(contentId, engagementScore);
-    }
-
-    function startNewSeason() external onlyOwner {
-        require(!seasonalRewardsActive, "Season already active");
-        seasonStartTime = block.timestamp;
-        seasonalRewardsActive = true;
     }
 
-    function endSeason() external onlyOwner {
-        require(seasonalRewardsActive, "No active season");
-        require(
-            block.timestamp >= seasonStartTime + seasonDuration,
-            "Season not finished"
+    function releaseVested() external nonReentrant whenNotPaused {
+        address beneficiary = _msgSender();
+        uint256 amount = VestingLogic.release(
+            vestingSchedules,
+            vestingTranches,
+            vestingCursor,
+            beneficiary
         );
-
-        distributeSeasonalRewards();
-        seasonalRewardsActive = false;
+        require(amount > 0, "No vested tokens to release");
+        _transfer(address(this), beneficiary, amount);
+        emit VestedRewardReleased(beneficiary, amount);
     }
 
     // Internal functions
 
-    function _rewardCreator(
-        address creator,
-        uint256 qualityScore
-    ) internal virtual {
-        uint256 baseReward = (qualityScore * BASE_REWARD) / 100;
-
-        // Apply engagement multiplier
-        uint256 totalReward = baseReward;
-        CreatorAchievements storage achievements = creatorAchievements[creator];
-
-        if (achievements.level > 0) {
-            totalReward += (baseReward * achievements.level) / 10; // 10% bonus per level
-        }
-
-        if (seasonalRewardsActive) {
-            totalReward = (totalReward * SEASONAL_BONUS_MULTIPLIER);
+    function _submitContent(
+        string memory contentHash,
+        ContentType contentType,
+        Split[] memory splits,
+        bytes32 fingerprint
+    ) internal returns (bytes32 contentId) {
+        contentId = ContentLogic.submit(
+            contents,
+            creatorContent,
+            lastContentSubmission,
+            contentTypeParams[contentType],
+            creatorReputation[_msgSender()],
+            pendingContentIds,
+            pendingContentIndex,
+            _msgSender(),
+            contentHash,
+            contentType
+        );
+        ContentLogic.claim(
+            contents,
+            removedByModerator,
+            hashClaims,
+            fingerprintClaims,
+            contentFingerprints,
+            duplicateOf,
+            contentId,
+            contentHash,
+            fingerprint
+        );
+        contentIds.push(contentId);
+        contentIdsByType[contentType].push(contentId);
+        contentIdsByStatus[ContentStatus.Pending].add(contentId);
+
+        // Co-creators are recorded before a panel is drawn so none of them
+        // can be assigned to score it
+        if (splits.length > 0) {
+            ContentLogic.addCoCreators(
+                contents[contentId],
+                creatorContent,
+                contentId,
+                splits
+            );
         }
+        _holdSubmissionFee(contentId, _msgSender());
+        _requestPanel(contentPanels[contentId], contentId, false);
+    }
 
-        // Create vesting schedule and mint tokens
-        VestingSchedule storage schedule = vestingSchedules[creator];
-        if (!schedule.initialized) {
-            schedule.initialized = true;
-            schedule.startTime = block.timestamp;
+    function _finalizeContent(bytes32 contentId) internal {
+        Content storage content = contents[contentId];
+        ContentTypeParams storage params = contentTypeParams[
+            content.contentType
+        ];
+        content.isValidated = true;
+        ValidationLogic.removePending(
+            pendingContentIds,
+            pendingContentIndex,
+            contentId
+        );
+        if (content.qualityScore >= params.minQualityScore) {
+            content.status = ContentStatus.Approved;
+            // A revised version earns no second creator reward
+            if (!content.rewarded) {
+                content.rewarded = true;
+                _rewardCreator(contentId);
+            }
+            _settleSubmissionFee(contentId, true);
+            _activateContentNFT(contentId);
+        } else {
+            content.status = ContentStatus.Rejected;
+            _settleSubmissionFee(contentId, false);
+            _recordStrike(contentId, ContentStatus.Rejected, false);
         }
-        schedule.totalAmount += totalReward;
+        _rewardValidators(contentId);
+        _reindexStatus(contentId, ContentStatus.Pending);
+        emit ContentStatusUpdated(contentId, content.status);
+    }
 
-        // Mint tokens directly to creator
-        _mint(creator, totalReward);
+    function _rewardValidators(bytes32 contentId) internal {
+        Content storage content = contents[contentId];
+        uint256 pool = (contentTypeParams[content.contentType].baseReward *
+            VALIDATOR_REWARD_SHARE) / 100;
+        pool = _fundRewards(pool);
+
+        uint256 distributed = ValidatorLogic.distributeRewards(
+            content,
+            validatorScores[contentId],
+            validatorWeights[contentId],
+            validatorStakes,
+            validatorStats,
+            vestingSchedules,
+            vestingTranches,
+            contentId,
+            pool
+        );
 
-        // Update achievements
-        achievements.totalContent++;
-        if (qualityScore >= 80) {
-            achievements.highQualityContent++;
+        // Burn rounding dust so the contract holds exactly what is owed
+        if (pool > distributed) {
+            _burn(address(this), pool - distributed);
         }
-        achievements.rewardPoints += totalReward;
     }
 
-    function calculateCreatorLevel(
-        CreatorAchievements memory achievements
-    ) internal pure returns (uint8) {
-        if (
-            achievements.highQualityContent >= 100 &&
-            achievements.totalEngagement >= 10000
-        ) {
-            return 5;
-        } else if (
-            achievements.highQualityContent >= 50 &&
-            achievements.totalEngagement >= 5000
-        ) {
-            return 4;
-        } else if (
-            achievements.highQualityContent >= 25 &&
-            achievements.totalEngagement >= 2500
-        ) {
-            return 3;
-        } else if (
-            achievements.highQualityContent >= 10 &&
-            achievements.totalEngagement >= 1000
-        ) {
-            return 2;
-        } else if (
-            achievements.highQualityContent >= 5 &&
-            achievements.totalEngagement >= 500
-        ) {
-            return 1;
-        }
-        return 0;
-    }
+    function _settleAppeal(bytes32 contentId) internal {
+        Content storage content = contents[contentId];
+        Appeal storage appeal = appeals[contentId];
+        _reindexStatus(contentId, ContentStatus.UnderAppeal);
 
-    function distributeSeasonalRewards() internal {
-        // Implementation of seasonal reward distribution logic
-        // This could be based on relative performance during the season
+        if (appeal.restored) {
+            if (!content.rewarded) {
+                content.rewarded = true;
+                _rewardCreator(contentId);
+            }
+            _recordStrike(contentId, appeal.originalStatus, true);
+            _activateContentNFT(contentId);
+            _transfer(address(this), appeal.appellant, appeal.bond);
+            emit AppealBondRefunded(contentId, appeal.appellant, appeal.bond);
+        } else {
+            _collectPenalty(appeal.bond);
+            emit AppealBondForfeited(contentId, appeal.bond);
+        }
     }
 
-    // View functions
-
-    function getVestingSchedule(
-        address user
-    )
-        external
-        view
-        returns (
-            uint256 totalAmount,
-            uint256 releasedAmount,
-            uint256 startTime,
-            bool initialized
-        )
-    {
-        VestingSchedule storage schedule = vestingSchedules[user];
-        return (
-            schedule.totalAmount,
-            schedule.releasedAmount,
-            schedule.startTime,
-            schedule.initialized
-        );
-    }
+    // Rewards every co-creator for their share of approved content;
+    // reputation and season bonuses apply to each co-creator's own part
+    function _rewardCreator(bytes32 contentId) internal virtual {
+        Content storage content = contents[contentId];
+        uint256 typeBaseReward = contentTypeParams[content.contentType]
+            .baseReward;
+        Split[] memory credits = CreatorLogic.creditShares(content);
+
+        for (uint256 i = 0; i < credits.length; i++) {
+            uint256 totalReward = CreatorLogic.creditReward(
+                creatorAchievements,
+                creatorReputation,
+                seasonStats[currentSeason],
+                seasons[currentSeason],
+                seasonalRewardsActive,
+                credits[i].account,
+                content.qualityScore,
+                typeBaseReward,
+                credits[i].share
+            );
 
-    function getValidatorStake(
-        address validator
-    ) external view returns (uint256 amount, uint256 startTime, bool isStaked) {
-        ValidatorStake storage stake = validatorStakes[validator];
-        return (stake.amount, stake.startTime, stake.isStaked);
+            // Fund the reward and lock what was funded in a new vesting tranche
+            uint256 funded = _fundRewards(totalReward);
+            if (funded > 0) {
+                _vestReward(contentId, credits[i].account, funded);
+            }
+        }
     }
 
-    function getCreatorAchievements(
-        address creator
-    )
-        external
-        view
-        returns (
-            uint256 totalContent,
-            uint256 highQualityContent,
-            uint256 totalEngagement,
-            uint256 rewardPoints,
-            uint8 level
-        )
-    {
-        CreatorAchievements storage achievements = creatorAchievements[creator];
-        return (
-            achievements.totalContent,
-            achievements.highQualityContent,
-            achievements.totalEngagement,
-            achievements.rewardPoints,
-            achievements.level
-        );
+    // Sends transferFee basis points of `amount` to the treasury and the rest
+    // to `to`. Transfers to or from the treasury are not charged.
+    function _transferWithFee(
+        address from,
+        address to,
+        uint256 amount
+    ) internal {
+        uint256 fee;
+        if (treasury != address(0) && from != treasury && to != treasury) {
+            fee = (amount * transferFee) / BASIS_POINTS;
+        }
+        if (fee > 0) {
+            transferFeesCollected += fee;
+            _transfer(from, treasury, fee);
+        }
+        _transfer(from, to, amount - fee);
+    }
+
+    // Runs functions this contract does not define on the extension, in the
+    // context of this contract's storage
+    fallback() external {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
     }
 }
@@ -0,0 +1,585 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./ContentCreatorBase.sol";
+import "./libraries/ContentLogic.sol";
+import "./libraries/EmissionLogic.sol";
+import "./libraries/ReputationLogic.sol";
+import "./libraries/SeasonLogic.sol";
+import "./libraries/ValidationLogic.sol";
+import "./libraries/VestingLogic.sol";
+
+// Read-only views of ContentCreatorSystem. Calls neither the core nor
+// ContentCreatorExtension implements fall through both of them to this
+// contract, so it also runs against the proxy's storage. Anything else goes
+// on to ContentCreatorIntegrity and then ContentCreatorStaking.
+contract ContentCreatorViews is ContentCreatorBase {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Code, not storage, like the core's extension address
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable integrity;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(
+        address trustedForwarder_,
+        address integrity_
+    ) ContentCreatorBase(trustedForwarder_) {
+        integrity = integrity_;
+        _disableInitializers();
+    }
+
+    // ============ View Functions ============
+
+    function moderators(address account) external view returns (bool) {
+        return hasRole(MODERATOR_ROLE, account);
+    }
+
+    function validators(address account) external view returns (bool) {
+        return hasRole(VALIDATOR_ROLE, account);
+    }
+
+    function getContent(
+        bytes32 contentId
+    )
+        external
+        view
+        returns (
+            address creator,
+            string memory contentHash,
+            uint256 timestamp,
+            ContentType contentType,
+            ContentStatus status,
+            uint256 qualityScore,
+            bool isValidated,
+            uint256 validationCount
+        )
+    {
+        Content storage content = contents[contentId];
+        return (
+            content.creator,
+            content.contentHash,
+            content.timestamp,
+            content.contentType,
+            content.status,
+            content.qualityScore,
+            content.isValidated,
+            content.validationCount
+        );
+    }
+
+    // Co-creators and their shares; empty for content with a single creator
+    function getContentSplits(
+        bytes32 contentId
+    ) external view returns (Split[] memory) {
+        return contents[contentId].splits;
+    }
+
+    function getPendingContentCount() external view returns (uint256) {
+        return pendingContentIds.length;
+    }
+
+    function getPendingContents(
+        uint256 offset,
+        uint256 limit,
+        uint256 deadlineBefore
+    )
+        external
+        view
+        returns (bytes32[] memory contentIds, uint256[] memory deadlines)
+    {
+        return
+            ValidationLogic.getPendingContents(
+                contents,
+                pendingContentIds,
+                offset,
+                limit,
+                deadlineBefore
+            );
+    }
+
+    function getCreatorContents(
+        address creator
+    ) external view returns (bytes32[] memory) {
+        return creatorContent[creator];
+    }
+
+    // ============ Content Versions ============
+
+    // One version of a content item's hash, 0 being the original
+    function getContentVersion(
+        bytes32 contentId,
+        uint256 version
+    ) external view returns (ContentVersion memory) {
+        require(
+            contents[contentId].creator != address(0) &&
+                version <= contents[contentId].version,
+            "Version does not exist"
+        );
+        return _version(contentId, version);
+    }
+
+    // Pages through a content item's versions, oldest first
+    function getContentVersions(
+        bytes32 contentId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ContentVersion[] memory versions, uint256 total) {
+        if (contents[contentId].creator != address(0)) {
+            total = contents[contentId].version + 1;
+        }
+        versions = new ContentVersion[](_pageSize(total, offset, limit));
+        for (uint256 i = 0; i < versions.length; i++) {
+            versions[i] = _version(contentId, offset + i);
+        }
+    }
+
+    // ============ Duplicates and Plagiarism ============
+
+    // The content item holding `contentHash`, or zero if it is unclaimed or
+    // was released
+    function getHashClaimant(
+        string calldata contentHash
+    ) external view returns (bytes32 claimant) {
+        claimant = hashClaims[keccak256(bytes(contentHash))];
+        if (
+            claimant != bytes32(0) &&
+            !ContentLogic.holdsHash(
+                contents[claimant],
+                removedByModerator[claimant]
+            )
+        ) {
+            claimant = bytes32(0);
+        }
+    }
+
+    // The first content item submitted with `fingerprint`, or zero
+    function getFingerprintClaimant(
+        bytes32 fingerprint
+    ) external view returns (bytes32) {
+        return fingerprintClaims[fingerprint];
+    }
+
+    // A content item's fingerprint, the earlier item it was flagged as a
+    // duplicate of, and the original it was confirmed to copy; zero where
+    // none applies
+    function getContentProvenance(
+        bytes32 contentId
+    )
+        external
+        view
+        returns (bytes32 fingerprint, bytes32 duplicate, bytes32 original)
+    {
+        return (
+            contentFingerprints[contentId],
+            duplicateOf[contentId],
+            attributedTo[contentId]
+        );
+    }
+
+    // ============ Content Registry ============
+
+    // Pages through every content item in submission order, oldest first.
+    // `total` is the size of the whole index, for computing further pages.
+    function getContents(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ContentRecord[] memory records, uint256 total) {
+        return _recordsOf(contentIds, offset, limit);
+    }
+
+    // Pages through the content items of one type in submission order
+    function getContentsByType(
+        ContentType contentType,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ContentRecord[] memory records, uint256 total) {
+        return _recordsOf(contentIdsByType[contentType], offset, limit);
+    }
+
+    // Pages through a creator's content, co-created items included
+    function getCreatorContentRecords(
+        address creator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ContentRecord[] memory records, uint256 total) {
+        return _recordsOf(creatorContent[creator], offset, limit);
+    }
+
+    // Pages through the content items currently in `status`. Items leave the
+    // index by swap-and-pop, so the order changes as statuses move.
+    function getContentsByStatus(
+        ContentStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ContentRecord[] memory records, uint256 total) {
+        EnumerableSet.Bytes32Set storage ids = contentIdsByStatus[status];
+        total = ids.length();
+        records = new ContentRecord[](_pageSize(total, offset, limit));
+        for (uint256 i = 0; i < records.length; i++) {
+            records[i] = _record(ids.at(offset + i));
+        }
+    }
+
+    // Position in getContents of the first item submitted at or after
+    // `timestamp`, or the content count if there is none
+    function findContentIndex(
+        uint256 timestamp
+    ) external view returns (uint256 low) {
+        uint256 high = contentIds.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (contents[contentIds[mid]].timestamp < timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+    }
+
+    function getVestingSchedule(
+        address user
+    )
+        external
+        view
+        returns (
+            uint256 totalAmount,
+            uint256 releasedAmount,
+            uint256 startTime,
+            bool initialized
+        )
+    {
+        VestingSchedule storage schedule = vestingSchedules[user];
+        return (
+            schedule.totalAmount,
+            schedule.releasedAmount,
+            schedule.startTime,
+            schedule.initialized
+        );
+    }
+
+    function releasableAmount(address user) external view returns (uint256) {
+        return VestingLogic.releasable(vestingTranches, vestingCursor, user);
+    }
+
+    function getVestingTranches(
+        address user
+    ) external view returns (VestingTranche[] memory) {
+        return vestingTranches[user];
+    }
+
+    function getSeasonScore(
+        uint256 seasonId,
+        address creator
+    ) external view returns (uint256) {
+        SeasonStats storage stats = seasonStats[seasonId][creator];
+        return stats.qualityPoints + stats.engagementPoints;
+    }
+
+    function pendingSeasonalReward(
+        uint256 seasonId,
+        address creator
+    ) external view returns (uint256) {
+        return
+            SeasonLogic.pendingReward(
+                seasons[seasonId],
+                seasonStats[seasonId][creator]
+            );
+    }
+
+    function getValidatorStats(
+        address validator
+    )
+        external
+        view
+        returns (
+            uint256 validations,
+            uint256 agreementRate,
+            uint256 lifetimeEarnings
+        )
+    {
+        ValidatorStats storage stats = validatorStats[validator];
+        if (stats.finalizedValidations > 0) {
+            agreementRate =
+                (stats.agreedValidations * BASIS_POINTS) /
+                stats.finalizedValidations;
+        }
+        return (stats.totalValidations, agreementRate, stats.lifetimeEarnings);
+    }
+
+    function getAssignedValidators(
+        bytes32 contentId
+    ) external view returns (address[] memory) {
+        return contentPanels[contentId].members;
+    }
+
+    function getAppealPanel(
+        bytes32 contentId
+    ) external view returns (address[] memory) {
+        return appealPanels[contentId].members;
+    }
+
+    function getValidatorStake(
+        address validator
+    ) external view returns (uint256 amount, uint256 startTime, bool isStaked) {
+        ValidatorStake storage stake = validatorStakes[validator];
+        return (stake.amount, stake.startTime, stake.isStaked);
+    }
+
+    // A validator's validation weight: its own stake plus its delegations
+    function getValidatorBacking(
+        address validator
+    ) external view returns (uint256 ownStake, uint256 delegated) {
+        ValidatorStake storage stake = validatorStakes[validator];
+        return (stake.amount, stake.delegated);
+    }
+
+    // The weight a validator held when it committed its score on an item
+    function getValidatorWeight(
+        bytes32 contentId,
+        address validator
+    ) external view returns (uint256) {
+        return validatorWeights[contentId][validator];
+    }
+
+    function getDelegation(
+        address delegator,
+        address validator
+    ) external view returns (uint256 amount, uint256 pendingReward) {
+        Delegation storage delegation = delegations[delegator][validator];
+        return (
+            delegation.amount,
+            ValidatorLogic.pendingDelegationReward(
+                validatorStakes[validator],
+                delegation
+            )
+        );
+    }
+
+    // An account's unbonding entries not yet withdrawn, oldest first
+    function getUnbondings(
+        address account
+    ) external view returns (Unbonding[] memory entries) {
+        Unbonding[] storage queue = unbondings[account];
+        uint256 cursor = unbondingCursor[account];
+        entries = new Unbonding[](queue.length - cursor);
+        for (uint256 i = 0; i < entries.length; i++) {
+            entries[i] = queue[cursor + i];
+        }
+    }
+
+    // Total engagement points of a content item, summed over its history
+    function contentEngagement(
+        bytes32 contentId
+    ) external view returns (uint256) {
+        return engagement[contentId].points;
+    }
+
+    function getEngagementTotals(
+        bytes32 contentId
+    )
+        external
+        view
+        returns (uint256 views, uint256 likes, uint256 shares, uint256 points)
+    {
+        ContentEngagement storage totals = engagement[contentId];
+        return (totals.views, totals.likes, totals.shares, totals.points);
+    }
+
+    function getEngagementHistory(
+        bytes32 contentId
+    ) external view returns (EngagementSnapshot[] memory) {
+        return engagement[contentId].history;
+    }
+
+    function getCreatorAchievements(
+        address creator
+    )
+        external
+        view
+        returns (
+            uint256 totalContent,
+            uint256 highQualityContent,
+            uint256 totalEngagement,
+            uint256 rewardPoints,
+            uint8 level,
+            uint256 supportReceived,
+            uint256 rejectedContent,
+            uint256 removedContent
+        )
+    {
+        CreatorAchievements storage achievements = creatorAchievements[creator];
+        return (
+            achievements.totalContent,
+            achievements.highQualityContent,
+            achievements.totalEngagement,
+            achievements.rewardPoints,
+            achievements.level,
+            achievements.supportReceived,
+            achievements.rejectedContent,
+            achievements.removedContent
+        );
+    }
+
+    // A creator's reputation decayed to now, and the level it earns
+    function getCreatorReputation(
+        address creator
+    ) external view returns (uint256 score, uint8 level) {
+        score = ReputationLogic.current(creatorReputation[creator]);
+        level = ReputationLogic.level(score);
+    }
+
+    // How long a creator currently waits between submissions of a content
+    // type, and when they may submit next
+    function getSubmissionCooldown(
+        address creator,
+        ContentType contentType
+    ) external view returns (uint256 cooldown, uint256 availableAt) {
+        cooldown = ReputationLogic.cooldown(
+            creatorReputation[creator],
+            contentTypeParams[contentType].cooldownPeriod
+        );
+        availableAt = lastContentSubmission[creator] + cooldown;
+    }
+
+    // Tokens the treasury holds and how much of them it has approved for
+    // paying rewards
+    function treasuryBalance()
+        external
+        view
+        returns (uint256 balance, uint256 rewardAllowance)
+    {
+        if (treasury == address(0)) {
+            return (0, 0);
+        }
+        return (balanceOf(treasury), allowance(treasury, address(this)));
+    }
+
+    function getFeeTotals()
+        external
+        view
+        returns (
+            uint256 submissionFees,
+            uint256 transferFees,
+            uint256 treasuryRewards
+        )
+    {
+        return (
+            submissionFeesCollected,
+            transferFeesCollected,
+            rewardsPaidFromTreasury
+        );
+    }
+
+    // Rewards that can still be minted in the current emission epoch, and
+    // what is left below MAX_SUPPLY overall
+    function remainingEmissions()
+        external
+        view
+        returns (uint256 epochRemaining, uint256 supplyRemaining)
+    {
+        return (_remainingEmission(), _supplyHeadroom());
+    }
+
+    function getEmissionEpoch()
+        external
+        view
+        returns (uint256 epoch, uint256 budget, uint256 emitted, uint256 endsAt)
+    {
+        epoch = EmissionLogic.epochAt(emissionStart, block.timestamp);
+        budget = EmissionLogic.epochBudget(epoch);
+        emitted = epoch == emissionEpoch ? epochEmitted : 0;
+        endsAt = emissionStart + (epoch + 1) * EMISSION_EPOCH;
+    }
+
+    function getSubscription(
+        address fan,
+        address creator
+    ) external view returns (Subscription memory) {
+        return subscriptions[fan][creator];
+    }
+
+    function getHeldSubmissionFee(
+        bytes32 contentId
+    ) external view returns (uint256) {
+        return heldSubmissionFees[contentId];
+    }
+
+    // Internal functions
+
+    function _recordsOf(
+        bytes32[] storage ids,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (ContentRecord[] memory records, uint256 total) {
+        total = ids.length;
+        records = new ContentRecord[](_pageSize(total, offset, limit));
+        for (uint256 i = 0; i < records.length; i++) {
+            records[i] = _record(ids[offset + i]);
+        }
+    }
+
+    function _record(
+        bytes32 contentId
+    ) internal view returns (ContentRecord memory) {
+        Content storage content = contents[contentId];
+        return
+            ContentRecord({
+                contentId: contentId,
+                creator: content.creator,
+                contentHash: content.contentHash,
+                timestamp: content.timestamp,
+                contentType: content.contentType,
+                status: content.status,
+                qualityScore: content.qualityScore,
+                isValidated: content.isValidated,
+                validationCount: content.validationCount,
+                deadline: content.deadline,
+                version: content.version
+            });
+    }
+
+    // Content never updated has no stored history; its only version is the
+    // content itself
+    function _version(
+        bytes32 contentId,
+        uint256 version
+    ) internal view returns (ContentVersion memory) {
+        ContentVersion[] storage versions = contentVersions[contentId];
+        if (versions.length == 0) {
+            Content storage content = contents[contentId];
+            return
+                ContentVersion(content.contentHash, content.timestamp, false);
+        }
+        return versions[version];
+    }
+
+    function _pageSize(
+        uint256 total,
+        uint256 offset,
+        uint256 limit
+    ) internal pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        return total - offset < limit ? total - offset : limit;
+    }
+
+    // Runs functions no earlier contract in the chain defines on the
+    // integrity contract, still in the context of the proxy's storage
+    fallback() external {
+        address target = integrity;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
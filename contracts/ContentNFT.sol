@@ -0,0 +1,122 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "./interfaces/IContentNFT.sol";
+
+// ERC-721 ownership tokens for content approved on ContentCreatorSystem. The
+// system mints each token to the creator on approval, freezes it while the
+// content is removed or revalidated and keeps its URI on the latest version.
+// The holder receives the content's tips and engagement rewards; ERC-2981
+// royalties always go to the original creator.
+contract ContentNFT is ERC721, ERC2981, Ownable, IContentNFT {
+    uint96 public constant MAX_ROYALTY = 1000; // basis points (10%)
+
+    address public immutable system;
+    string public baseURI;
+    uint96 public royaltyBasisPoints = 500;
+    mapping(uint256 => address) public originalCreator;
+    mapping(uint256 => bool) public frozen;
+    mapping(uint256 => string) private contentHashes;
+
+    event BaseURIUpdated(string baseURI);
+    event RoyaltyUpdated(uint96 basisPoints);
+    event ContentFrozen(bytes32 indexed contentId);
+    event ContentUnfrozen(bytes32 indexed contentId);
+
+    modifier onlySystem() {
+        require(msg.sender == system, "Caller is not the system");
+        _;
+    }
+
+    constructor(address _system) ERC721("Content Creator Content", "CCC") {
+        system = _system;
+    }
+
+    // ============ System Hooks ============
+
+    function activate(
+        address creator,
+        bytes32 contentId,
+        string calldata contentHash
+    ) external onlySystem {
+        uint256 tokenId = uint256(contentId);
+        contentHashes[tokenId] = contentHash;
+        if (_exists(tokenId)) {
+            if (frozen[tokenId]) {
+                frozen[tokenId] = false;
+                emit ContentUnfrozen(contentId);
+            }
+            return;
+        }
+
+        originalCreator[tokenId] = creator;
+        // Not _safeMint: a creator contract without onERC721Received must not
+        // be able to block its content from being approved
+        _mint(creator, tokenId);
+    }
+
+    function freeze(bytes32 contentId) external onlySystem {
+        uint256 tokenId = uint256(contentId);
+        if (_exists(tokenId) && !frozen[tokenId]) {
+            frozen[tokenId] = true;
+            emit ContentFrozen(contentId);
+        }
+    }
+
+    // ============ Owner Functions ============
+
+    // Prefix for token URIs, for example "ipfs://"
+    function setBaseURI(string calldata newBaseURI) external onlyOwner {
+        baseURI = newBaseURI;
+        emit BaseURIUpdated(newBaseURI);
+    }
+
+    function setRoyalty(uint96 basisPoints) external onlyOwner {
+        require(basisPoints <= MAX_ROYALTY, "Royalty exceeds maximum");
+        royaltyBasisPoints = basisPoints;
+        emit RoyaltyUpdated(basisPoints);
+    }
+
+    // ============ View Functions ============
+
+    function holderOf(bytes32 contentId) external view returns (address) {
+        return _ownerOf(uint256(contentId));
+    }
+
+    function tokenURI(
+        uint256 tokenId
+    ) public view override returns (string memory) {
+        _requireMinted(tokenId);
+        return string(abi.encodePacked(baseURI, contentHashes[tokenId]));
+    }
+
+    function royaltyInfo(
+        uint256 tokenId,
+        uint256 salePrice
+    ) public view override returns (address, uint256) {
+        return (
+            originalCreator[tokenId],
+            (salePrice * royaltyBasisPoints) / _feeDenominator()
+        );
+    }
+
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view override(ERC721, ERC2981) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    // Frozen tokens cannot move; minting is always allowed
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal override {
+        require(from == address(0) || !frozen[firstTokenId], "Token frozen");
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+    }
+}
@@ -0,0 +1,170 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./ContentCreatorToken.sol";
+
+// Accepts batched engagement reports signed off-chain by authorised reporter
+// keys (EIP-712) and records them on ContentCreatorSystem once `threshold`
+// distinct reporters have signed. Anyone may relay a signed report.
+contract EngagementOracle is EIP712, Ownable {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    bytes32 public constant ENGAGEMENT_ENTRY_TYPEHASH =
+        keccak256(
+            "EngagementEntry(bytes32 contentId,uint256 views,uint256 likes,uint256 shares)"
+        );
+    bytes32 public constant ENGAGEMENT_REPORT_TYPEHASH =
+        keccak256(
+            "EngagementReport(uint256 nonce,uint256 deadline,uint256 day,EngagementEntry[] entries)EngagementEntry(bytes32 contentId,uint256 views,uint256 likes,uint256 shares)"
+        );
+
+    struct EngagementEntry {
+        bytes32 contentId;
+        uint256 views;
+        uint256 likes;
+        uint256 shares;
+    }
+
+    struct EngagementReport {
+        uint256 nonce;
+        uint256 deadline;
+        uint256 day; // block.timestamp / 1 days of the day the numbers cover
+        EngagementEntry[] entries;
+    }
+
+    ContentCreatorSystem public immutable system;
+    uint256 public threshold;
+    mapping(uint256 => bool) public usedNonces;
+    EnumerableSet.AddressSet private reporters;
+
+    event ReporterAdded(address indexed reporter);
+    event ReporterRemoved(address indexed reporter);
+    event ThresholdUpdated(uint256 threshold);
+    event EngagementBatchSubmitted(
+        uint256 indexed nonce,
+        address indexed submitter,
+        uint256 entries
+    );
+
+    constructor(
+        ContentCreatorSystem _system
+    ) EIP712("ContentCreatorEngagementOracle", "1") {
+        system = _system;
+    }
+
+    // ============ Reporter Management ============
+
+    function addReporter(address reporter) external onlyOwner {
+        require(reporter != address(0), "Invalid address");
+        require(reporters.add(reporter), "Already a reporter");
+        emit ReporterAdded(reporter);
+    }
+
+    function removeReporter(address reporter) external onlyOwner {
+        require(reporters.remove(reporter), "Not a reporter");
+        require(threshold <= reporters.length(), "Threshold above reporters");
+        emit ReporterRemoved(reporter);
+    }
+
+    function setThreshold(uint256 newThreshold) external onlyOwner {
+        require(
+            newThreshold > 0 && newThreshold <= reporters.length(),
+            "Invalid threshold"
+        );
+        threshold = newThreshold;
+        emit ThresholdUpdated(newThreshold);
+    }
+
+    // ============ Report Submission ============
+
+    // Signatures must come from distinct reporters, ordered by ascending
+    // signer address so duplicates are rejected without extra storage.
+    function submitEngagementBatch(
+        EngagementReport calldata report,
+        bytes[] calldata signatures
+    ) external {
+        require(threshold > 0, "Threshold not set");
+        require(block.timestamp <= report.deadline, "Report expired");
+        require(!usedNonces[report.nonce], "Nonce already used");
+        require(signatures.length >= threshold, "Not enough signatures");
+
+        bytes32 digest = hashReport(report);
+        address lastSigner;
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(signer > lastSigner, "Signers not sorted or duplicated");
+            require(reporters.contains(signer), "Signer is not a reporter");
+            lastSigner = signer;
+        }
+
+        usedNonces[report.nonce] = true;
+
+        for (uint256 i = 0; i < report.entries.length; i++) {
+            EngagementEntry calldata entry = report.entries[i];
+            system.recordEngagementForDay(
+                entry.contentId,
+                report.day,
+                ContentCreatorBase.EngagementMetrics({
+                    views: entry.views,
+                    likes: entry.likes,
+                    shares: entry.shares
+                })
+            );
+        }
+
+        emit EngagementBatchSubmitted(
+            report.nonce,
+            msg.sender,
+            report.entries.length
+        );
+    }
+
+    // ============ View Functions ============
+
+    function hashReport(
+        EngagementReport calldata report
+    ) public view returns (bytes32) {
+        bytes32[] memory entryHashes = new bytes32[](report.entries.length);
+        for (uint256 i = 0; i < report.entries.length; i++) {
+            EngagementEntry calldata entry = report.entries[i];
+            entryHashes[i] = keccak256(
+                abi.encode(
+                    ENGAGEMENT_ENTRY_TYPEHASH,
+                    entry.contentId,
+                    entry.views,
+                    entry.likes,
+                    entry.shares
+                )
+            );
+        }
+
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        ENGAGEMENT_REPORT_TYPEHASH,
+                        report.nonce,
+                        report.deadline,
+                        report.day,
+                        keccak256(abi.encodePacked(entryHashes))
+                    )
+                )
+            );
+    }
+
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function getReporters() external view returns (address[] memory) {
+        return reporters.values();
+    }
+
+    function isReporter(address account) external view returns (bool) {
+        return reporters.contains(account);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Ownership tokens for approved content, driven by ContentCreatorSystem.
+// Token ids are the content ids.
+interface IContentNFT {
+    // Mints the content's token to its creator or, if it was minted before,
+    // unfreezes it and points it at `contentHash`
+    function activate(
+        address creator,
+        bytes32 contentId,
+        string calldata contentHash
+    ) external;
+
+    // Stops the token of removed or revalidating content from moving
+    function freeze(bytes32 contentId) external;
+
+    // The token's current holder, or address(0) if none was minted
+    function holderOf(bytes32 contentId) external view returns (address);
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Source of randomness for validator panel assignment. The consumer picks a
+// unique requestId; providers may answer in the same transaction or later
+// (VRF-style) by calling fulfillRandomness on the consumer with that id.
+interface IRandomnessProvider {
+    function requestRandomness(uint256 requestId) external;
+}
+
+interface IRandomnessConsumer {
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external;
+}
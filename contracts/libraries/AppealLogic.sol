@@ -0,0 +1,171 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorBase.sol";
+
+// Appeal bookkeeping for ContentCreatorSystem. Linked as an external library
+// so the appeal flow does not count against the core contract's size limit;
+// bond transfers and rewards stay in the core contract.
+library AppealLogic {
+    uint256 internal constant APPEAL_WINDOW = 14 days;
+
+    function fileAppeal(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(bytes32 => ContentCreatorBase.Appeal) storage appeals,
+        mapping(bytes32 => bool) storage removedByModerator,
+        bytes32 contentId,
+        address appellant,
+        uint256 bond
+    ) external {
+        ContentCreatorBase.Content storage content = contents[contentId];
+        ContentCreatorBase.Appeal storage appeal = appeals[contentId];
+        require(appeal.appellant == address(0), "Already appealed");
+        require(
+            content.status == ContentCreatorBase.ContentStatus.Rejected ||
+                (content.status == ContentCreatorBase.ContentStatus.Removed &&
+                    removedByModerator[contentId]),
+            "Content not appealable"
+        );
+
+        appeal.appellant = appellant;
+        appeal.bond = bond;
+        appeal.originalStatus = content.status;
+        appeal.filedAt = block.timestamp;
+
+        content.status = ContentCreatorBase.ContentStatus.UnderAppeal;
+
+        emit ContentCreatorBase.AppealFiled(contentId, appellant, bond);
+        emit ContentCreatorBase.ContentStatusUpdated(
+            contentId,
+            ContentCreatorBase.ContentStatus.UnderAppeal
+        );
+    }
+
+    // Records a vote from a validator outside the original panel and
+    // resolves the appeal once the content type's quorum is reached.
+    function castVote(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(bytes32 => ContentCreatorBase.Appeal) storage appeals,
+        ContentCreatorBase.Panel storage panel,
+        mapping(ContentCreatorBase.ContentType => ContentCreatorBase.ContentTypeParams)
+            storage contentTypeParams,
+        bytes32 contentId,
+        address validator,
+        uint256 score
+    ) external returns (bool resolved) {
+        require(score <= 100, "Invalid quality score");
+
+        ContentCreatorBase.Content storage content = contents[contentId];
+        ContentCreatorBase.Appeal storage appeal = appeals[contentId];
+        require(
+            content.status == ContentCreatorBase.ContentStatus.UnderAppeal,
+            "Content not under appeal"
+        );
+        require(
+            content.creator != validator && !content.isCoCreator[validator],
+            "Cannot validate own content"
+        );
+        require(
+            content.commitments[validator] == bytes32(0),
+            "Validator on original panel"
+        );
+        require(
+            !panel.required || panel.isMember[validator],
+            "Not assigned to appeal"
+        );
+        require(
+            block.timestamp < appeal.filedAt + APPEAL_WINDOW,
+            "Appeal window elapsed"
+        );
+        require(!appeal.voters[validator], "Already voted");
+
+        appeal.voters[validator] = true;
+        appeal.voteCount++;
+        appeal.score =
+            ((appeal.score * (appeal.voteCount - 1)) + score) /
+            appeal.voteCount;
+
+        emit ContentCreatorBase.AppealVoteCast(contentId, validator, score);
+
+        ContentCreatorBase.ContentTypeParams storage params = contentTypeParams[
+            content.contentType
+        ];
+        if (appeal.voteCount < params.minValidators) {
+            return false;
+        }
+
+        appeal.resolved = true;
+        appeal.restored = appeal.score >= params.minQualityScore;
+
+        if (appeal.restored) {
+            content.status = ContentCreatorBase.ContentStatus.Approved;
+            content.qualityScore = appeal.score;
+            emit ContentCreatorBase.QualityScoreUpdated(
+                contentId,
+                appeal.score
+            );
+        } else {
+            content.status = appeal.originalStatus;
+        }
+
+        emit ContentCreatorBase.AppealResolved(
+            contentId,
+            appeal.restored,
+            appeal.score
+        );
+        emit ContentCreatorBase.ContentStatusUpdated(contentId, content.status);
+        return true;
+    }
+
+    // Closes an appeal still short of its quorum APPEAL_WINDOW after it was
+    // filed. The original status stands and, since the appellant was never
+    // heard, the caller refunds the bond.
+    function expire(
+        ContentCreatorBase.Content storage content,
+        ContentCreatorBase.Appeal storage appeal,
+        bytes32 contentId
+    ) external {
+        require(
+            content.status == ContentCreatorBase.ContentStatus.UnderAppeal,
+            "Content not under appeal"
+        );
+        require(
+            block.timestamp >= appeal.filedAt + APPEAL_WINDOW,
+            "Appeal window not elapsed"
+        );
+
+        appeal.resolved = true;
+        content.status = appeal.originalStatus;
+
+        emit ContentCreatorBase.AppealExpired(contentId, appeal.voteCount);
+        emit ContentCreatorBase.ContentStatusUpdated(contentId, content.status);
+    }
+
+    // Clears a closed appeal and its panel once a new ruling replaces the one
+    // that was appealed, so the new ruling can be appealed in turn. Only
+    // panel members can have voted, so the panel bounds the loop.
+    function reset(
+        ContentCreatorBase.Appeal storage appeal,
+        ContentCreatorBase.Panel storage panel
+    ) external {
+        if (appeal.appellant == address(0)) {
+            return;
+        }
+        for (uint256 i = 0; i < panel.members.length; i++) {
+            delete appeal.voters[panel.members[i]];
+            delete panel.isMember[panel.members[i]];
+        }
+        delete panel.members;
+        panel.required = false;
+        panel.assigned = false;
+
+        appeal.appellant = address(0);
+        appeal.bond = 0;
+        appeal.originalStatus = ContentCreatorBase.ContentStatus.Pending;
+        appeal.score = 0;
+        appeal.voteCount = 0;
+        appeal.filedAt = 0;
+        appeal.resolved = false;
+        appeal.restored = false;
+    }
+}
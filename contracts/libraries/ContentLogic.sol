@@ -0,0 +1,341 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorBase.sol";
+import "./ReputationLogic.sol";
+import "./ValidatorLogic.sol";
+import "./ValidationLogic.sol";
+
+// Content registration and removal for ContentCreatorSystem.
+library ContentLogic {
+    uint256 internal constant MAX_CO_CREATORS = 10;
+
+    function submit(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(address => bytes32[]) storage creatorContent,
+        mapping(address => uint256) storage lastContentSubmission,
+        ContentCreatorBase.ContentTypeParams storage params,
+        ContentCreatorBase.Reputation storage reputation,
+        bytes32[] storage pendingIds,
+        mapping(bytes32 => uint256) storage pendingIndex,
+        address creator,
+        string memory contentHash,
+        ContentCreatorBase.ContentType contentType
+    ) external returns (bytes32 contentId) {
+        require(bytes(contentHash).length > 0, "Content hash cannot be empty");
+        restartCooldown(lastContentSubmission, params, reputation, creator);
+
+        contentId = keccak256(
+            abi.encodePacked(creator, contentHash, block.timestamp)
+        );
+
+        require(
+            contents[contentId].creator == address(0),
+            "Content already exists"
+        );
+
+        ContentCreatorBase.Content storage newContent = contents[contentId];
+        newContent.creator = creator;
+        newContent.contentHash = contentHash;
+        newContent.timestamp = block.timestamp;
+        newContent.contentType = contentType;
+        newContent.status = ContentCreatorBase.ContentStatus.Pending;
+        newContent.deadline = block.timestamp + params.validationWindow;
+
+        ValidationLogic.addPending(pendingIds, pendingIndex, contentId);
+        creatorContent[creator].push(contentId);
+
+        emit ContentCreatorBase.ContentSubmitted(
+            contentId,
+            creator,
+            contentType
+        );
+    }
+
+    // Requires `account`'s submission cooldown for the content type to have
+    // passed, then starts it again. Submissions and updates sent back to
+    // validation share it, so either can only load validators so often.
+    function restartCooldown(
+        mapping(address => uint256) storage lastContentSubmission,
+        ContentCreatorBase.ContentTypeParams storage params,
+        ContentCreatorBase.Reputation storage reputation,
+        address account
+    ) internal {
+        require(
+            block.timestamp >=
+                lastContentSubmission[account] +
+                    ReputationLogic.cooldown(reputation, params.cooldownPeriod),
+            "Cooldown period not elapsed"
+        );
+        lastContentSubmission[account] = block.timestamp;
+    }
+
+    // Claims a new content item's hash and its optional fingerprint. A hash
+    // another creator holds, or a fingerprint claimed before, flags the item
+    // as a possible duplicate of the earlier claimant instead of reverting:
+    // perceptual hashes of distinct works can collide, and a copier racing
+    // the author to a hash must not lock the author out of it.
+    function claim(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(bytes32 => bool) storage removedByModerator,
+        mapping(bytes32 => bytes32) storage hashClaims,
+        mapping(bytes32 => bytes32) storage fingerprintClaims,
+        mapping(bytes32 => bytes32) storage contentFingerprints,
+        mapping(bytes32 => bytes32) storage duplicateOf,
+        bytes32 contentId,
+        string memory contentHash,
+        bytes32 fingerprint
+    ) external {
+        claimHash(
+            contents,
+            removedByModerator,
+            hashClaims,
+            duplicateOf,
+            contentId,
+            contentHash
+        );
+        if (fingerprint == bytes32(0)) {
+            return;
+        }
+
+        contentFingerprints[contentId] = fingerprint;
+        bytes32 original = fingerprintClaims[fingerprint];
+        if (original == bytes32(0)) {
+            fingerprintClaims[fingerprint] = contentId;
+        } else if (duplicateOf[contentId] == bytes32(0)) {
+            duplicateOf[contentId] = original;
+            emit ContentCreatorBase.DuplicateFlagged(
+                contentId,
+                original,
+                fingerprint
+            );
+        }
+    }
+
+    // Records who co-created a content item and their shares, which must
+    // include the submitter and sum to BASIS_POINTS. The item is listed under
+    // every co-creator's contents.
+    function addCoCreators(
+        ContentCreatorBase.Content storage content,
+        mapping(address => bytes32[]) storage creatorContent,
+        bytes32 contentId,
+        ContentCreatorBase.Split[] memory splits
+    ) external {
+        require(
+            splits.length > 1 && splits.length <= MAX_CO_CREATORS,
+            "Invalid co-creator count"
+        );
+
+        uint256 total;
+        for (uint256 i = 0; i < splits.length; i++) {
+            address account = splits[i].account;
+            require(account != address(0), "Invalid co-creator");
+            require(!content.isCoCreator[account], "Duplicate co-creator");
+            require(splits[i].share > 0, "Invalid share");
+
+            total += splits[i].share;
+            content.isCoCreator[account] = true;
+            content.splits.push(splits[i]);
+            if (account != content.creator) {
+                creatorContent[account].push(contentId);
+            }
+            emit ContentCreatorBase.CoCreatorAdded(
+                contentId,
+                account,
+                splits[i].share
+            );
+        }
+
+        require(
+            total == ValidatorLogic.BASIS_POINTS,
+            "Shares must sum to 100%"
+        );
+        require(
+            content.isCoCreator[content.creator],
+            "Submitter must be a co-creator"
+        );
+    }
+
+    // Records `contentHash` as the next version of a decided content item,
+    // claiming it as claim() does. Approved content keeps its approval when
+    // `keepApproval` is set; otherwise the caller sends the new version back
+    // to validation. Expired content may be resent under its current hash.
+    // The first update also stores the original hash as version 0.
+    function update(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(bytes32 => bool) storage removedByModerator,
+        ContentCreatorBase.ContentVersion[] storage versions,
+        mapping(bytes32 => bytes32) storage hashClaims,
+        mapping(bytes32 => bytes32) storage duplicateOf,
+        bytes32 contentId,
+        string memory contentHash,
+        bool keepApproval
+    ) external returns (bool revalidate) {
+        ContentCreatorBase.Content storage content = contents[contentId];
+        ContentCreatorBase.ContentStatus status = content.status;
+        require(bytes(contentHash).length > 0, "Content hash cannot be empty");
+        require(
+            status == ContentCreatorBase.ContentStatus.Expired ||
+                keccak256(bytes(contentHash)) !=
+                keccak256(bytes(content.contentHash)),
+            "Content hash unchanged"
+        );
+        require(
+            status == ContentCreatorBase.ContentStatus.Approved ||
+                status == ContentCreatorBase.ContentStatus.Rejected ||
+                status == ContentCreatorBase.ContentStatus.Expired,
+            "Content not updatable"
+        );
+        revalidate = !(keepApproval &&
+            status == ContentCreatorBase.ContentStatus.Approved);
+        claimHash(
+            contents,
+            removedByModerator,
+            hashClaims,
+            duplicateOf,
+            contentId,
+            contentHash
+        );
+
+        if (versions.length == 0) {
+            versions.push(
+                ContentCreatorBase.ContentVersion(
+                    content.contentHash,
+                    content.timestamp,
+                    false
+                )
+            );
+        }
+        versions.push(
+            ContentCreatorBase.ContentVersion(
+                contentHash,
+                block.timestamp,
+                !revalidate
+            )
+        );
+        content.contentHash = contentHash;
+        content.version++;
+        content.updatedAt = block.timestamp;
+
+        emit ContentCreatorBase.ContentUpdated(
+            contentId,
+            content.version,
+            contentHash,
+            revalidate
+        );
+    }
+
+    // Removes a copy confirmed to plagiarise the earlier `originalId` and
+    // attributes it to the original. Unlike a moderator removal it cannot be
+    // appealed. Returns the copy's status before the ruling.
+    function removeCopy(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(bytes32 => bytes32) storage attributedTo,
+        mapping(bytes32 => bool) storage removedByModerator,
+        bytes32[] storage pendingIds,
+        mapping(bytes32 => uint256) storage pendingIndex,
+        bytes32 copyId,
+        bytes32 originalId
+    ) external returns (ContentCreatorBase.ContentStatus previous) {
+        ContentCreatorBase.Content storage copy = contents[copyId];
+        ContentCreatorBase.Content storage original = contents[originalId];
+        require(attributedTo[copyId] == bytes32(0), "Already confirmed");
+        require(
+            original.timestamp < copy.timestamp,
+            "Original must be earlier"
+        );
+        require(original.creator != copy.creator, "Same creator");
+        previous = copy.status;
+        require(
+            previous != ContentCreatorBase.ContentStatus.UnderAppeal,
+            "Content under appeal"
+        );
+
+        attributedTo[copyId] = originalId;
+        removedByModerator[copyId] = false;
+        if (previous != ContentCreatorBase.ContentStatus.Removed) {
+            ValidationLogic.removePending(pendingIds, pendingIndex, copyId);
+            copy.status = ContentCreatorBase.ContentStatus.Removed;
+            emit ContentCreatorBase.ContentStatusUpdated(
+                copyId,
+                ContentCreatorBase.ContentStatus.Removed
+            );
+        }
+    }
+
+    // Whether content still holds the hashes it claimed. Expired, rejected
+    // and self-removed content releases them, so the hash can be submitted
+    // again; content a moderator removed keeps blocking it.
+    function holdsHash(
+        ContentCreatorBase.Content storage content,
+        bool moderatorRemoval
+    ) internal view returns (bool) {
+        ContentCreatorBase.ContentStatus status = content.status;
+        return
+            status != ContentCreatorBase.ContentStatus.Expired &&
+            status != ContentCreatorBase.ContentStatus.Rejected &&
+            (status != ContentCreatorBase.ContentStatus.Removed ||
+                moderatorRemoval);
+    }
+
+    // Takes `contentHash` for `contentId` unless other content still holds
+    // it. A creator cannot claim a hash twice; a hash another creator holds
+    // flags the item as a duplicate of theirs and stays with them.
+    function claimHash(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(bytes32 => bool) storage removedByModerator,
+        mapping(bytes32 => bytes32) storage hashClaims,
+        mapping(bytes32 => bytes32) storage duplicateOf,
+        bytes32 contentId,
+        string memory contentHash
+    ) internal {
+        bytes32 key = keccak256(bytes(contentHash));
+        bytes32 claimant = hashClaims[key];
+        if (
+            claimant == bytes32(0) ||
+            claimant == contentId ||
+            !holdsHash(contents[claimant], removedByModerator[claimant])
+        ) {
+            hashClaims[key] = contentId;
+            return;
+        }
+
+        require(
+            contents[claimant].creator != contents[contentId].creator,
+            "Content hash already claimed"
+        );
+        duplicateOf[contentId] = claimant;
+        emit ContentCreatorBase.DuplicateFlagged(contentId, claimant, key);
+    }
+
+    // Owners (the creator, or the holder of the content's NFT) may remove
+    // their own content; moderators may remove any.
+    function remove(
+        ContentCreatorBase.Content storage content,
+        mapping(bytes32 => bool) storage removedByModerator,
+        bytes32[] storage pendingIds,
+        mapping(bytes32 => uint256) storage pendingIndex,
+        bytes32 contentId,
+        address caller,
+        address owner,
+        bool isModerator
+    ) external {
+        require(caller == owner || isModerator, "Not authorized");
+        require(
+            content.status != ContentCreatorBase.ContentStatus.Removed,
+            "Already removed"
+        );
+        require(
+            content.status != ContentCreatorBase.ContentStatus.UnderAppeal,
+            "Content under appeal"
+        );
+
+        ValidationLogic.removePending(pendingIds, pendingIndex, contentId);
+        content.status = ContentCreatorBase.ContentStatus.Removed;
+        removedByModerator[contentId] = caller != owner;
+        emit ContentCreatorBase.ContentStatusUpdated(
+            contentId,
+            ContentCreatorBase.ContentStatus.Removed
+        );
+    }
+}
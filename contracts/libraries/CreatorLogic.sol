@@ -0,0 +1,361 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorBase.sol";
+import "./ReputationLogic.sol";
+import "./ValidatorLogic.sol";
+
+// Creator achievements, levels, reputation and reward sizing for ContentCreatorSystem.
+// Returns amounts only; minting and vesting stay in the core contract.
+library CreatorLogic {
+    uint256 internal constant SEASONAL_BONUS_MULTIPLIER = 3;
+    uint256 internal constant ENGAGEMENT_MULTIPLIER = 2; // % of base reward per engagement point
+
+    // Raw metrics needed for one engagement point
+    uint256 internal constant VIEWS_PER_POINT = 100;
+    uint256 internal constant LIKES_PER_POINT = 10;
+    uint256 internal constant SHARES_PER_POINT = 2;
+
+    // Tips and subscription payments received per engagement point
+    uint256 internal constant SUPPORT_PER_POINT = 1 * 10 ** 18;
+
+    // Records a day's engagement snapshot for a content item. Recording the
+    // same day again replaces that day's numbers, so totals, levels and season
+    // points move by the difference instead of growing on every call. Points
+    // of approved content are credited to its co-creators by share; other
+    // content only records them. Returns the engagement reward owed for points
+    // not rewarded before.
+    function recordEngagement(
+        ContentCreatorBase.ContentEngagement storage engagement,
+        mapping(address => ContentCreatorBase.CreatorAchievements)
+            storage creatorAchievements,
+        mapping(uint256 => ContentCreatorBase.Season) storage seasons,
+        mapping(uint256 => mapping(address => ContentCreatorBase.SeasonStats))
+            storage seasonStats,
+        uint256 activeSeason,
+        ContentCreatorBase.Content storage content,
+        uint256 typeBaseReward,
+        bytes32 contentId,
+        uint256 day,
+        ContentCreatorBase.EngagementMetrics calldata metrics
+    ) external returns (uint256 reward) {
+        ContentCreatorBase.EngagementSnapshot storage snapshot = daySnapshot(
+            engagement,
+            day
+        );
+        // What the day's previous numbers credited; nothing on a new day
+        uint256 previousCredit = snapshot.points == 0
+            ? 0
+            : engagement.creditedPoints;
+        replaceDay(engagement, snapshot, metrics);
+
+        // Approved content earns ENGAGEMENT_MULTIPLIER% of its base reward per
+        // point, paid once per point however often the day is re-recorded
+        bool approved = content.status ==
+            ContentCreatorBase.ContentStatus.Approved;
+        if (approved) {
+            reward = payEngagement(engagement, typeBaseReward);
+        }
+
+        creditEngagement(
+            creatorAchievements,
+            seasons,
+            seasonStats,
+            creditShares(content),
+            snapshot.seasonId,
+            activeSeason,
+            previousCredit,
+            approved ? snapshot.points : 0,
+            reward
+        );
+        engagement.creditedPoints = approved ? snapshot.points : 0;
+        snapshot.seasonId = activeSeason;
+
+        emit ContentCreatorBase.EngagementRecorded(
+            contentId,
+            snapshot.day,
+            metrics.views,
+            metrics.likes,
+            metrics.shares,
+            snapshot.points
+        );
+    }
+
+    // Swaps the day's previously credited points for the new ones in the
+    // season totals and, by share, in each credited creator's achievements and
+    // season stats
+    function creditEngagement(
+        mapping(address => ContentCreatorBase.CreatorAchievements)
+            storage creatorAchievements,
+        mapping(uint256 => ContentCreatorBase.Season) storage seasons,
+        mapping(uint256 => mapping(address => ContentCreatorBase.SeasonStats))
+            storage seasonStats,
+        ContentCreatorBase.Split[] memory credits,
+        uint256 previousSeason,
+        uint256 activeSeason,
+        uint256 previousPoints,
+        uint256 points,
+        uint256 reward
+    ) internal {
+        // Points recorded in a season that has since been finalized stay put
+        if (previousSeason != 0 && seasons[previousSeason].finalized) {
+            previousSeason = 0;
+        }
+        if (previousSeason != 0) {
+            seasons[previousSeason].totalScore -= previousPoints;
+        }
+        if (activeSeason != 0) {
+            seasons[activeSeason].totalScore += points;
+        }
+
+        for (uint256 i = 0; i < credits.length; i++) {
+            address creator = credits[i].account;
+            uint256 share = credits[i].share;
+            uint256 previousPart = (previousPoints * share) /
+                ValidatorLogic.BASIS_POINTS;
+            uint256 part = (points * share) / ValidatorLogic.BASIS_POINTS;
+
+            ContentCreatorBase.CreatorAchievements
+                storage achievements = creatorAchievements[creator];
+            achievements.totalEngagement =
+                achievements.totalEngagement -
+                previousPart +
+                part;
+            achievements.rewardPoints +=
+                (reward * share) /
+                ValidatorLogic.BASIS_POINTS;
+            if (previousSeason != 0) {
+                seasonStats[previousSeason][creator]
+                    .engagementPoints -= previousPart;
+            }
+            if (activeSeason != 0) {
+                seasonStats[activeSeason][creator].engagementPoints += part;
+            }
+
+            // Check for level up
+            uint8 newLevel = calculateLevel(achievements);
+            if (newLevel > achievements.level) {
+                achievements.level = newLevel;
+                emit ContentCreatorBase.AchievementUnlocked(creator, newLevel);
+            }
+        }
+    }
+
+    // Backs the day's previous numbers out of the content's totals, applies
+    // the new ones and stores them in the day's snapshot
+    function replaceDay(
+        ContentCreatorBase.ContentEngagement storage engagement,
+        ContentCreatorBase.EngagementSnapshot storage snapshot,
+        ContentCreatorBase.EngagementMetrics calldata metrics
+    ) internal {
+        uint256 points = engagementPoints(metrics);
+        engagement.views = engagement.views - snapshot.views + metrics.views;
+        engagement.likes = engagement.likes - snapshot.likes + metrics.likes;
+        engagement.shares =
+            engagement.shares -
+            snapshot.shares +
+            metrics.shares;
+        engagement.points = engagement.points - snapshot.points + points;
+
+        snapshot.views = metrics.views;
+        snapshot.likes = metrics.likes;
+        snapshot.shares = metrics.shares;
+        snapshot.points = points;
+    }
+
+    // Returns the snapshot of `day`, opening it unless it is the latest one.
+    // Only the latest day can be replaced: once a later day is recorded the
+    // earlier ones are closed, which keeps the history in day order.
+    function daySnapshot(
+        ContentCreatorBase.ContentEngagement storage engagement,
+        uint256 day
+    ) internal returns (ContentCreatorBase.EngagementSnapshot storage) {
+        require(day <= block.timestamp / 1 days, "Day in the future");
+        ContentCreatorBase.EngagementSnapshot[] storage history = engagement
+            .history;
+        if (history.length == 0 || history[history.length - 1].day < day) {
+            history.push().day = day;
+        }
+        require(history[history.length - 1].day == day, "Day already closed");
+        return history[history.length - 1];
+    }
+
+    function payEngagement(
+        ContentCreatorBase.ContentEngagement storage engagement,
+        uint256 typeBaseReward
+    ) internal returns (uint256 reward) {
+        if (engagement.points <= engagement.rewardedPoints) {
+            return 0;
+        }
+        reward =
+            ((engagement.points - engagement.rewardedPoints) *
+                typeBaseReward *
+                ENGAGEMENT_MULTIPLIER) /
+            100;
+        engagement.rewardedPoints = engagement.points;
+    }
+
+    function engagementPoints(
+        ContentCreatorBase.EngagementMetrics calldata metrics
+    ) internal pure returns (uint256) {
+        return
+            metrics.views /
+            VIEWS_PER_POINT +
+            metrics.likes /
+            LIKES_PER_POINT +
+            metrics.shares /
+            SHARES_PER_POINT;
+    }
+
+    // Sizes a creator's `share` (in basis points) of the reward for approved
+    // content, with a 10% bonus per reputation level, and books it against
+    // their achievements, reputation and, during a season, the leaderboard.
+    function creditReward(
+        mapping(address => ContentCreatorBase.CreatorAchievements)
+            storage creatorAchievements,
+        mapping(address => ContentCreatorBase.Reputation)
+            storage creatorReputation,
+        mapping(address => ContentCreatorBase.SeasonStats) storage seasonStats,
+        ContentCreatorBase.Season storage season,
+        bool seasonActive,
+        address creator,
+        uint256 qualityScore,
+        uint256 typeBaseReward,
+        uint256 share
+    ) external returns (uint256 totalReward) {
+        uint256 baseReward = (qualityScore * typeBaseReward * share) /
+            (100 * ValidatorLogic.BASIS_POINTS);
+
+        ContentCreatorBase.Reputation storage reputation = creatorReputation[
+            creator
+        ];
+        totalReward =
+            baseReward +
+            (baseReward *
+                ReputationLogic.level(ReputationLogic.current(reputation))) /
+            10;
+        ReputationLogic.add(
+            reputation,
+            creator,
+            (qualityScore * share) / ValidatorLogic.BASIS_POINTS
+        );
+
+        if (seasonActive) {
+            totalReward = (totalReward * SEASONAL_BONUS_MULTIPLIER);
+
+            ContentCreatorBase.SeasonStats storage stats = seasonStats[creator];
+            stats.approvedContent++;
+            uint256 qualityPoints = (qualityScore * share) /
+                ValidatorLogic.BASIS_POINTS;
+            stats.qualityPoints += qualityPoints;
+            season.totalScore += qualityPoints;
+        }
+
+        // Update achievements
+        ContentCreatorBase.CreatorAchievements
+            storage achievements = creatorAchievements[creator];
+        achievements.totalContent++;
+        if (qualityScore >= 80) {
+            achievements.highQualityContent++;
+        }
+        achievements.rewardPoints += totalReward;
+    }
+
+    // Counts a rejection or removal against the submitter and takes its
+    // penalty from every co-creator's reputation by share. Co-creators are
+    // listed without their consent, so only the submitter who listed them has
+    // the strike counted in full. An overturned strike is uncounted and its
+    // penalty given back.
+    function recordStrike(
+        mapping(address => ContentCreatorBase.CreatorAchievements)
+            storage creatorAchievements,
+        mapping(address => ContentCreatorBase.Reputation)
+            storage creatorReputation,
+        ContentCreatorBase.Content storage content,
+        ContentCreatorBase.ContentStatus strike,
+        bool overturned
+    ) external {
+        bool removal = strike == ContentCreatorBase.ContentStatus.Removed;
+        ContentCreatorBase.CreatorAchievements
+            storage achievements = creatorAchievements[content.creator];
+        if (removal) {
+            achievements.removedContent = overturned
+                ? achievements.removedContent - 1
+                : achievements.removedContent + 1;
+        } else {
+            achievements.rejectedContent = overturned
+                ? achievements.rejectedContent - 1
+                : achievements.rejectedContent + 1;
+        }
+
+        uint256 penalty = removal
+            ? ReputationLogic.REMOVAL_PENALTY
+            : ReputationLogic.REJECTION_PENALTY;
+        ContentCreatorBase.Split[] memory credits = creditShares(content);
+        for (uint256 i = 0; i < credits.length; i++) {
+            address creator = credits[i].account;
+            uint256 part = (penalty * credits[i].share) /
+                ValidatorLogic.BASIS_POINTS;
+            if (overturned) {
+                ReputationLogic.add(creatorReputation[creator], creator, part);
+            } else {
+                ReputationLogic.deduct(
+                    creatorReputation[creator],
+                    creator,
+                    part
+                );
+            }
+        }
+    }
+
+    // Books CCT a creator received from fans. Paying audiences count toward
+    // levels like engagement does, at SUPPORT_PER_POINT per point.
+    function recordSupport(
+        ContentCreatorBase.CreatorAchievements storage achievements,
+        address creator,
+        uint256 amount
+    ) internal {
+        achievements.supportReceived += amount;
+
+        uint8 newLevel = calculateLevel(achievements);
+        if (newLevel > achievements.level) {
+            achievements.level = newLevel;
+            emit ContentCreatorBase.AchievementUnlocked(creator, newLevel);
+        }
+    }
+
+    // Who is credited with a content item: its co-creators by share, or its
+    // creator alone
+    function creditShares(
+        ContentCreatorBase.Content storage content
+    ) internal view returns (ContentCreatorBase.Split[] memory shares) {
+        if (content.splits.length > 0) {
+            return content.splits;
+        }
+        shares = new ContentCreatorBase.Split[](1);
+        shares[0] = ContentCreatorBase.Split(
+            content.creator,
+            ValidatorLogic.BASIS_POINTS
+        );
+    }
+
+    function calculateLevel(
+        ContentCreatorBase.CreatorAchievements memory achievements
+    ) internal pure returns (uint8) {
+        uint256 audience = achievements.totalEngagement +
+            achievements.supportReceived /
+            SUPPORT_PER_POINT;
+        if (achievements.highQualityContent >= 100 && audience >= 10000) {
+            return 5;
+        } else if (achievements.highQualityContent >= 50 && audience >= 5000) {
+            return 4;
+        } else if (achievements.highQualityContent >= 25 && audience >= 2500) {
+            return 3;
+        } else if (achievements.highQualityContent >= 10 && audience >= 1000) {
+            return 2;
+        } else if (achievements.highQualityContent >= 5 && audience >= 500) {
+            return 1;
+        }
+        return 0;
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+// Reward emission schedule for ContentCreatorSystem. Newly minted rewards are
+// limited to a budget per EMISSION_EPOCH that halves every
+// EMISSION_HALVING_EPOCHS epochs, counted from the system's emission start.
+library EmissionLogic {
+    uint256 internal constant EMISSION_EPOCH = 7 days;
+    uint256 internal constant INITIAL_EPOCH_EMISSION = 200_000 * 10 ** 18; // 200k tokens per epoch
+    uint256 internal constant EMISSION_HALVING_EPOCHS = 52; // roughly yearly
+    uint256 internal constant FULL_RATE_EMISSION = 5_000; // basis points of each budget paid in full
+    uint256 private constant BASIS_POINTS = 10_000;
+
+    function epochAt(
+        uint256 emissionStart,
+        uint256 timestamp
+    ) internal pure returns (uint256) {
+        if (emissionStart == 0 || timestamp < emissionStart) {
+            return 0;
+        }
+        return (timestamp - emissionStart) / EMISSION_EPOCH;
+    }
+
+    function epochBudget(uint256 epoch) internal pure returns (uint256) {
+        return INITIAL_EPOCH_EMISSION >> (epoch / EMISSION_HALVING_EPOCHS);
+    }
+
+    // What to mint for a reward of `amount` with `left` of the epoch's
+    // `budget` unspent. The first FULL_RATE_EMISSION of the budget pays in
+    // full; after that every reward is cut by the same factor, the share of
+    // the rest still left, so the budget runs down pro-rata instead of
+    // running out on whoever comes first.
+    function scale(
+        uint256 amount,
+        uint256 budget,
+        uint256 left
+    ) internal pure returns (uint256 paid) {
+        uint256 tapered = budget - (budget * FULL_RATE_EMISSION) / BASIS_POINTS;
+        paid = left >= tapered ? amount : (amount * left) / tapered;
+        if (paid > left) {
+            paid = left;
+        }
+    }
+}
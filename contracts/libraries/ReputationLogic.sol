@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorBase.sol";
+import "./ValidatorLogic.sol";
+
+// Creator reputation for ContentCreatorSystem. Approvals raise a creator's
+// score, rejections and removals lower it, and the score halves every
+// REPUTATION_HALF_LIFE without new activity. Its level sets the bonus on
+// approval rewards and how far the submission cooldown is cut. Below the
+// first level the cooldown is instead stretched past the content type's, so a
+// fresh address starts with the longest cooldown and no bonus.
+library ReputationLogic {
+    uint256 internal constant REPUTATION_HALF_LIFE = 90 days;
+    uint256 internal constant REPUTATION_PER_LEVEL = 500;
+    uint8 internal constant MAX_REPUTATION_LEVEL = 5;
+    uint256 internal constant COOLDOWN_CUT_PER_LEVEL = 1500; // basis points of the cooldown
+    uint256 internal constant NEWCOMER_COOLDOWN_SURCHARGE = 5000; // basis points of the cooldown at zero reputation
+
+    // Reputation lost per rejected or moderator-removed content item
+    uint256 internal constant REJECTION_PENALTY = 100;
+    uint256 internal constant REMOVAL_PENALTY = 250;
+
+    function current(
+        ContentCreatorBase.Reputation storage reputation
+    ) internal view returns (uint256) {
+        return decay(reputation.score, block.timestamp - reputation.updatedAt);
+    }
+
+    // Halves `score` once per full REPUTATION_HALF_LIFE elapsed and
+    // interpolates linearly within the current one
+    function decay(
+        uint256 score,
+        uint256 elapsed
+    ) internal pure returns (uint256) {
+        uint256 halvings = elapsed / REPUTATION_HALF_LIFE;
+        if (halvings >= 256) {
+            return 0;
+        }
+        score >>= halvings;
+        return
+            score -
+            (score * (elapsed % REPUTATION_HALF_LIFE)) /
+            (2 * REPUTATION_HALF_LIFE);
+    }
+
+    function level(uint256 score) internal pure returns (uint8) {
+        uint256 reached = score / REPUTATION_PER_LEVEL;
+        return
+            reached >= MAX_REPUTATION_LEVEL
+                ? MAX_REPUTATION_LEVEL
+                : uint8(reached);
+    }
+
+    // A content type's cooldown, cut by COOLDOWN_CUT_PER_LEVEL for each
+    // reputation level the creator holds. At level 0 it is raised by
+    // NEWCOMER_COOLDOWN_SURCHARGE instead, shrinking linearly to nothing as
+    // the score approaches the first level.
+    function cooldown(
+        ContentCreatorBase.Reputation storage reputation,
+        uint256 cooldownPeriod
+    ) internal view returns (uint256) {
+        uint256 score = current(reputation);
+        uint8 reached = level(score);
+        uint256 factor = reached == 0
+            ? ValidatorLogic.BASIS_POINTS +
+                (NEWCOMER_COOLDOWN_SURCHARGE * (REPUTATION_PER_LEVEL - score)) /
+                REPUTATION_PER_LEVEL
+            : ValidatorLogic.BASIS_POINTS - reached * COOLDOWN_CUT_PER_LEVEL;
+        return (cooldownPeriod * factor) / ValidatorLogic.BASIS_POINTS;
+    }
+
+    function add(
+        ContentCreatorBase.Reputation storage reputation,
+        address creator,
+        uint256 amount
+    ) internal {
+        set(reputation, creator, current(reputation) + amount);
+    }
+
+    function deduct(
+        ContentCreatorBase.Reputation storage reputation,
+        address creator,
+        uint256 amount
+    ) internal {
+        uint256 score = current(reputation);
+        set(reputation, creator, score > amount ? score - amount : 0);
+    }
+
+    function set(
+        ContentCreatorBase.Reputation storage reputation,
+        address creator,
+        uint256 score
+    ) private {
+        reputation.score = score;
+        reputation.updatedAt = block.timestamp;
+        emit ContentCreatorBase.ReputationUpdated(creator, score);
+    }
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorBase.sol";
+
+// Seasonal leaderboard accounting for ContentCreatorSystem. Creators pull
+// their pro-rata share of a finalized season's pool; the core contract funds
+// it, from the treasury or by minting, and vests the tokens.
+library SeasonLogic {
+    // Seals a season's pool after the caller has added `funded` to it, drawn
+    // from the treasury or minted
+    function finalize(
+        ContentCreatorBase.Season storage season,
+        uint256 seasonId,
+        uint256 funded
+    ) external returns (uint256 rollover) {
+        season.rewardPool += funded;
+        season.endTime = block.timestamp;
+        season.finalized = true;
+
+        // Nobody scored, so the pool rolls over to the next season
+        if (season.totalScore == 0) {
+            rollover = season.rewardPool;
+            season.rewardPool = 0;
+        }
+
+        emit ContentCreatorBase.SeasonEnded(
+            seasonId,
+            season.rewardPool,
+            season.totalScore
+        );
+    }
+
+    function claim(
+        mapping(uint256 => ContentCreatorBase.Season) storage seasons,
+        mapping(uint256 => mapping(address => ContentCreatorBase.SeasonStats))
+            storage seasonStats,
+        uint256 seasonId,
+        address creator
+    ) external returns (uint256 amount) {
+        require(seasons[seasonId].finalized, "Season not finalized");
+        ContentCreatorBase.SeasonStats storage stats = seasonStats[seasonId][
+            creator
+        ];
+        require(!stats.claimed, "Already claimed");
+
+        amount = rewardOf(seasons[seasonId], stats);
+        require(amount > 0, "No seasonal reward");
+
+        stats.claimed = true;
+        emit ContentCreatorBase.SeasonalRewardDistributed(creator, amount);
+    }
+
+    function pendingReward(
+        ContentCreatorBase.Season storage season,
+        ContentCreatorBase.SeasonStats storage stats
+    ) external view returns (uint256) {
+        if (!season.finalized || stats.claimed) {
+            return 0;
+        }
+        return rewardOf(season, stats);
+    }
+
+    function score(
+        ContentCreatorBase.SeasonStats storage stats
+    ) internal view returns (uint256) {
+        return stats.qualityPoints + stats.engagementPoints;
+    }
+
+    function rewardOf(
+        ContentCreatorBase.Season storage season,
+        ContentCreatorBase.SeasonStats storage stats
+    ) internal view returns (uint256) {
+        if (season.totalScore == 0) {
+            return 0;
+        }
+        return (season.rewardPool * score(stats)) / season.totalScore;
+    }
+}
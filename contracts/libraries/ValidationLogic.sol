@@ -0,0 +1,339 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorBase.sol";
+
+// Scoring, deadlines and the pending-content index for ContentCreatorSystem.
+// Linked as an external library; rewards stay in the core contract.
+library ValidationLogic {
+    // Bounds for per-ContentType parameters
+    uint256 internal constant MAX_VALIDATORS_REQUIRED = 10;
+    uint256 internal constant MAX_BASE_REWARD = 1000 * 10 ** 18;
+    uint256 internal constant MAX_COOLDOWN_PERIOD = 30 days;
+    uint256 internal constant MIN_VALIDATION_WINDOW = 1 hours;
+    uint256 internal constant MAX_VALIDATION_WINDOW = 30 days;
+
+    function setParams(
+        mapping(ContentCreatorBase.ContentType => ContentCreatorBase.ContentTypeParams)
+            storage contentTypeParams,
+        ContentCreatorBase.ContentType contentType,
+        ContentCreatorBase.ContentTypeParams calldata params
+    ) external {
+        require(
+            params.minValidators > 0 &&
+                params.minValidators <= MAX_VALIDATORS_REQUIRED,
+            "Invalid validator quorum"
+        );
+        require(
+            params.minQualityScore > 0 && params.minQualityScore <= 100,
+            "Invalid quality threshold"
+        );
+        require(
+            params.baseReward > 0 && params.baseReward <= MAX_BASE_REWARD,
+            "Invalid base reward"
+        );
+        require(
+            params.cooldownPeriod <= MAX_COOLDOWN_PERIOD,
+            "Invalid cooldown period"
+        );
+        require(
+            params.validationWindow >= MIN_VALIDATION_WINDOW &&
+                params.validationWindow <= MAX_VALIDATION_WINDOW,
+            "Invalid validation window"
+        );
+
+        contentTypeParams[contentType] = params;
+        emit ContentCreatorBase.ParametersUpdated(
+            contentType,
+            params.minValidators,
+            params.minQualityScore,
+            params.baseReward,
+            params.cooldownPeriod,
+            params.validationWindow
+        );
+    }
+
+    function commitScore(
+        ContentCreatorBase.Content storage content,
+        ContentCreatorBase.Panel storage panel,
+        mapping(ContentCreatorBase.ContentType => ContentCreatorBase.ContentTypeParams)
+            storage contentTypeParams,
+        mapping(address => uint256) storage weights,
+        bytes32 contentId,
+        address validator,
+        bytes32 commitment,
+        uint256 weight
+    ) external {
+        require(commitment != bytes32(0), "Invalid commitment");
+        require(
+            content.commitments[validator] == bytes32(0),
+            "Already committed"
+        );
+        require(
+            content.creator != validator && !content.isCoCreator[validator],
+            "Cannot validate own content"
+        );
+        require(
+            !panel.required || panel.isMember[validator],
+            "Not assigned to content"
+        );
+        require(
+            content.status == ContentCreatorBase.ContentStatus.Pending,
+            "Content not pending"
+        );
+        require(
+            commitPhaseOpen(content, contentTypeParams),
+            "Commit phase closed"
+        );
+
+        content.commitments[validator] = commitment;
+        content.committers.push(validator);
+        content.commitCount++;
+        weights[validator] = weight;
+
+        emit ContentCreatorBase.ScoreCommitted(contentId, validator);
+    }
+
+    function revealScore(
+        ContentCreatorBase.Content storage content,
+        mapping(ContentCreatorBase.ContentType => ContentCreatorBase.ContentTypeParams)
+            storage contentTypeParams,
+        mapping(address => uint256) storage scores,
+        mapping(address => uint256) storage weights,
+        mapping(address => ContentCreatorBase.ValidatorStats)
+            storage validatorStats,
+        bytes32 contentId,
+        address validator,
+        uint256 qualityScore,
+        bytes32 salt
+    ) external returns (bool quorumReached) {
+        require(qualityScore <= 100, "Invalid quality score");
+
+        bytes32 commitment = content.commitments[validator];
+        require(commitment != bytes32(0), "No commitment");
+        require(!content.validators[validator], "Already revealed");
+        require(
+            content.status == ContentCreatorBase.ContentStatus.Pending,
+            "Content not pending"
+        );
+        require(
+            !commitPhaseOpen(content, contentTypeParams),
+            "Commit phase still open"
+        );
+        require(
+            block.timestamp <= content.deadline,
+            "Validation window closed"
+        );
+        require(
+            keccak256(
+                abi.encodePacked(contentId, validator, qualityScore, salt)
+            ) == commitment,
+            "Reveal does not match commitment"
+        );
+
+        content.validators[validator] = true;
+        content.validatorList.push(validator);
+        scores[validator] = qualityScore;
+        validatorStats[validator].totalValidations++;
+        content.validationCount++;
+        content.qualityScore = weightedScore(content, scores, weights);
+
+        emit ContentCreatorBase.ContentValidated(
+            contentId,
+            validator,
+            qualityScore
+        );
+        emit ContentCreatorBase.QualityScoreUpdated(
+            contentId,
+            content.qualityScore
+        );
+
+        return
+            content.validationCount >=
+            contentTypeParams[content.contentType].minValidators;
+    }
+
+    // The revealed scores averaged by each validator's weight at commit time
+    function weightedScore(
+        ContentCreatorBase.Content storage content,
+        mapping(address => uint256) storage scores,
+        mapping(address => uint256) storage weights
+    ) internal view returns (uint256) {
+        address[] storage scorers = content.validatorList;
+        uint256 total;
+        uint256 totalWeight;
+        for (uint256 i = 0; i < scorers.length; i++) {
+            uint256 weight = weights[scorers[i]];
+            total += scores[scorers[i]] * weight;
+            totalWeight += weight;
+        }
+        return totalWeight == 0 ? 0 : total / totalWeight;
+    }
+
+    // Sends an updated content item back to validation. The previous round's
+    // commitments, scores and panel are cleared, so its validators may score
+    // the new version afresh, and a new validation window opens.
+    function reopen(
+        ContentCreatorBase.Content storage content,
+        ContentCreatorBase.Panel storage panel,
+        mapping(address => uint256) storage scores,
+        mapping(address => bool) storage slashed,
+        bytes32[] storage pendingIds,
+        mapping(bytes32 => uint256) storage pendingIndex,
+        bytes32 contentId,
+        uint256 validationWindow
+    ) external {
+        // Both lists are bounded by the quorum, as commits close once it is met
+        address[] storage committers = content.committers;
+        for (uint256 i = 0; i < committers.length; i++) {
+            address validator = committers[i];
+            delete content.commitments[validator];
+            delete content.validators[validator];
+            delete scores[validator];
+            delete slashed[validator];
+        }
+        for (uint256 i = 0; i < panel.members.length; i++) {
+            delete panel.isMember[panel.members[i]];
+        }
+        delete content.committers;
+        delete content.validatorList;
+        delete panel.members;
+        panel.required = false;
+        panel.assigned = false;
+
+        content.commitCount = 0;
+        content.validationCount = 0;
+        content.qualityScore = 0;
+        content.isValidated = false;
+        content.status = ContentCreatorBase.ContentStatus.Pending;
+        content.deadline = block.timestamp + validationWindow;
+        addPending(pendingIds, pendingIndex, contentId);
+
+        emit ContentCreatorBase.ContentStatusUpdated(
+            contentId,
+            ContentCreatorBase.ContentStatus.Pending
+        );
+    }
+
+    // Commits close once the quorum has committed or half of the validation
+    // window has passed; the rest of the window is left for reveals. The
+    // window of an updated item starts at its update.
+    function commitPhaseOpen(
+        ContentCreatorBase.Content storage content,
+        mapping(ContentCreatorBase.ContentType => ContentCreatorBase.ContentTypeParams)
+            storage contentTypeParams
+    ) internal view returns (bool) {
+        uint256 start = content.updatedAt == 0
+            ? content.timestamp
+            : content.updatedAt;
+        uint256 commitDeadline = start + (content.deadline - start) / 2;
+        return
+            content.commitCount <
+            contentTypeParams[content.contentType].minValidators &&
+            block.timestamp <= commitDeadline;
+    }
+
+    // Closes a pending item whose validation window has passed. Returns true
+    // when at least half the quorum scored it, in which case the caller
+    // decides it on those scores; otherwise the item is marked Expired.
+    function expire(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        mapping(ContentCreatorBase.ContentType => ContentCreatorBase.ContentTypeParams)
+            storage contentTypeParams,
+        bytes32 contentId
+    ) external returns (bool partialQuorum) {
+        ContentCreatorBase.Content storage content = contents[contentId];
+        require(
+            content.status == ContentCreatorBase.ContentStatus.Pending,
+            "Content not pending"
+        );
+        require(
+            block.timestamp > content.deadline,
+            "Validation window still open"
+        );
+
+        uint256 minValidators = contentTypeParams[content.contentType]
+            .minValidators;
+        if (
+            content.validationCount > 0 &&
+            content.validationCount * 2 >= minValidators
+        ) {
+            return true;
+        }
+
+        content.status = ContentCreatorBase.ContentStatus.Expired;
+        emit ContentCreatorBase.ContentExpired(
+            contentId,
+            content.validationCount
+        );
+        emit ContentCreatorBase.ContentStatusUpdated(
+            contentId,
+            ContentCreatorBase.ContentStatus.Expired
+        );
+        return false;
+    }
+
+    function addPending(
+        bytes32[] storage pendingIds,
+        mapping(bytes32 => uint256) storage pendingIndex,
+        bytes32 contentId
+    ) internal {
+        pendingIds.push(contentId);
+        pendingIndex[contentId] = pendingIds.length; // 1-based, 0 means absent
+    }
+
+    function removePending(
+        bytes32[] storage pendingIds,
+        mapping(bytes32 => uint256) storage pendingIndex,
+        bytes32 contentId
+    ) internal {
+        uint256 index = pendingIndex[contentId];
+        if (index == 0) {
+            return;
+        }
+
+        bytes32 last = pendingIds[pendingIds.length - 1];
+        pendingIds[index - 1] = last;
+        pendingIndex[last] = index;
+        pendingIds.pop();
+        delete pendingIndex[contentId];
+    }
+
+    // Pages through the pending index and returns the items whose deadline
+    // falls on or before deadlineBefore, so keepers can find work to expire.
+    function getPendingContents(
+        mapping(bytes32 => ContentCreatorBase.Content) storage contents,
+        bytes32[] storage pendingIds,
+        uint256 offset,
+        uint256 limit,
+        uint256 deadlineBefore
+    )
+        external
+        view
+        returns (bytes32[] memory contentIds, uint256[] memory deadlines)
+    {
+        uint256 end = offset + limit;
+        if (end > pendingIds.length) {
+            end = pendingIds.length;
+        }
+        uint256 size = end > offset ? end - offset : 0;
+
+        contentIds = new bytes32[](size);
+        deadlines = new uint256[](size);
+        uint256 count;
+        for (uint256 i = offset; i < end; i++) {
+            uint256 deadline = contents[pendingIds[i]].deadline;
+            if (deadline <= deadlineBefore) {
+                contentIds[count] = pendingIds[i];
+                deadlines[count] = deadline;
+                count++;
+            }
+        }
+
+        // Trim the unused tail of both arrays
+        assembly {
+            mstore(contentIds, count)
+            mstore(deadlines, count)
+        }
+    }
+}
@@ -0,0 +1,447 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "../ContentCreatorBase.sol";
+import "./VestingLogic.sol";
+
+// Validator staking, delegation, panel assignment, slashing and reward
+// splitting for ContentCreatorSystem. Token transfers, mints and burns stay in the core
+// contract; these functions only update its storage.
+library ValidatorLogic {
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    uint256 internal constant VALIDATOR_STAKE_REQUIREMENT = 1000 * 10 ** 18; // 1000 tokens
+    uint256 internal constant MIN_STAKE_DURATION = 30 days;
+    uint256 internal constant UNSTAKE_SLASH_WINDOW = 7 days;
+    uint256 internal constant MAX_SCORE_DEVIATION = 30; // points from final consensus
+    uint256 internal constant BASIS_POINTS = 10_000;
+    uint256 internal constant MISSED_REVEAL_PENALTY = 500; // basis points of stake
+    uint256 internal constant REWARD_PRECISION = 1e18;
+
+    // ============ Staking ============
+
+    // Opens a stake of at least VALIDATOR_STAKE_REQUIREMENT, or tops up an
+    // open one by any amount
+    function stake(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        address validator,
+        uint256 amount
+    ) external {
+        if (validatorStake.isStaked) {
+            require(amount > 0, "Invalid amount");
+            validatorStake.amount += amount;
+        } else {
+            require(
+                amount >= VALIDATOR_STAKE_REQUIREMENT,
+                "Stake below minimum"
+            );
+            validatorStake.amount = amount;
+            validatorStake.startTime = block.timestamp;
+            validatorStake.isStaked = true;
+            validatorStake.unstakeRequestedAt = 0;
+        }
+
+        emit ContentCreatorBase.ValidatorStaked(validator, amount);
+    }
+
+    // Queues `amount` of a validator's own stake for withdrawal after
+    // UNSTAKE_SLASH_WINDOW. What stays staked must still meet the minimum;
+    // unbonding all of it ends the stake. `force` skips the minimum stake
+    // duration, for validators being removed.
+    function unbond(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Unbonding[] storage queue,
+        address validator,
+        uint256 amount,
+        bool force
+    ) external {
+        require(validatorStake.isStaked, "Not staked");
+        require(
+            force ||
+                block.timestamp >=
+                validatorStake.startTime + MIN_STAKE_DURATION,
+            "Minimum stake duration not met"
+        );
+        require(amount <= validatorStake.amount, "Insufficient stake");
+        uint256 remaining = validatorStake.amount - amount;
+        if (remaining > 0) {
+            require(amount > 0, "Invalid amount");
+            require(
+                remaining >= VALIDATOR_STAKE_REQUIREMENT,
+                "Remaining stake below minimum"
+            );
+        }
+
+        uint256 availableAt = block.timestamp + UNSTAKE_SLASH_WINDOW;
+        validatorStake.amount = remaining;
+        queue.push(
+            ContentCreatorBase.Unbonding(validator, amount, availableAt)
+        );
+        emit ContentCreatorBase.StakeUnbonding(
+            validator,
+            validator,
+            amount,
+            availableAt
+        );
+
+        if (remaining == 0) {
+            validatorStake.isStaked = false;
+            validatorStake.unstakeRequestedAt = block.timestamp;
+            emit ContentCreatorBase.UnstakeRequested(validator, availableAt);
+        }
+    }
+
+    // Pops every unbonding entry of `account` that has come due and returns
+    // their total
+    function withdraw(
+        ContentCreatorBase.Unbonding[] storage queue,
+        mapping(address => uint256) storage cursors,
+        address account
+    ) external returns (uint256 amount) {
+        uint256 i = cursors[account];
+        require(i < queue.length, "Unstake not requested");
+        require(
+            block.timestamp >= queue[i].availableAt,
+            "Slash window not elapsed"
+        );
+
+        for (
+            ;
+            i < queue.length && block.timestamp >= queue[i].availableAt;
+            i++
+        ) {
+            amount += queue[i].amount;
+            delete queue[i];
+        }
+        cursors[account] = i;
+        emit ContentCreatorBase.UnbondingWithdrawn(account, amount);
+    }
+
+    // ============ Delegation ============
+
+    function delegate(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Delegation storage delegation,
+        address delegator,
+        address validator,
+        uint256 amount
+    ) external {
+        require(delegator != validator, "Cannot delegate to self");
+        require(validatorStake.isStaked, "Validator not staked");
+        require(amount > 0, "Invalid amount");
+
+        settle(validatorStake, delegation);
+        delegation.amount += amount;
+        validatorStake.delegated += amount;
+        delegation.rewardDebt =
+            (delegation.amount * validatorStake.rewardPerToken) /
+            REWARD_PRECISION;
+
+        emit ContentCreatorBase.StakeDelegated(delegator, validator, amount);
+    }
+
+    // Moves `amount` of a delegation into the delegator's unbonding queue.
+    // It stops earning at once and is withdrawable after UNSTAKE_SLASH_WINDOW.
+    function undelegate(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Delegation storage delegation,
+        ContentCreatorBase.Unbonding[] storage queue,
+        address delegator,
+        address validator,
+        uint256 amount
+    ) external {
+        require(amount > 0 && amount <= delegation.amount, "Invalid amount");
+
+        settle(validatorStake, delegation);
+        delegation.amount -= amount;
+        validatorStake.delegated -= amount;
+        delegation.rewardDebt =
+            (delegation.amount * validatorStake.rewardPerToken) /
+            REWARD_PRECISION;
+
+        uint256 availableAt = block.timestamp + UNSTAKE_SLASH_WINDOW;
+        queue.push(
+            ContentCreatorBase.Unbonding(validator, amount, availableAt)
+        );
+        emit ContentCreatorBase.StakeUnbonding(
+            delegator,
+            validator,
+            amount,
+            availableAt
+        );
+    }
+
+    // Returns and clears everything a delegation has earned
+    function claimDelegationReward(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Delegation storage delegation
+    ) external returns (uint256 reward) {
+        settle(validatorStake, delegation);
+        reward = delegation.unclaimed;
+        require(reward > 0, "No rewards to claim");
+        delegation.unclaimed = 0;
+    }
+
+    // Books what a delegation earned since it last changed
+    function settle(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Delegation storage delegation
+    ) internal {
+        uint256 accrued = (delegation.amount * validatorStake.rewardPerToken) /
+            REWARD_PRECISION;
+        delegation.unclaimed += accrued - delegation.rewardDebt;
+        delegation.rewardDebt = accrued;
+    }
+
+    // What a delegation has earned and not yet claimed
+    function pendingDelegationReward(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Delegation storage delegation
+    ) internal view returns (uint256) {
+        return
+            delegation.unclaimed +
+            (delegation.amount * validatorStake.rewardPerToken) /
+            REWARD_PRECISION -
+            delegation.rewardDebt;
+    }
+
+    // A validator's weight: its own stake plus what is delegated to it
+    function backing(
+        ContentCreatorBase.ValidatorStake storage validatorStake
+    ) internal view returns (uint256) {
+        return validatorStake.amount + validatorStake.delegated;
+    }
+
+    // ============ Panel Assignment ============
+
+    // Draws up to `size` eligible validators from the staked set with a
+    // partial Fisher-Yates shuffle. Creators are never drawn, and appeal
+    // panels also skip everyone who scored the original submission.
+    function drawPanel(
+        EnumerableSet.AddressSet storage candidates,
+        mapping(address => ContentCreatorBase.ValidatorStake) storage stakes,
+        ContentCreatorBase.Content storage content,
+        ContentCreatorBase.Panel storage panel,
+        bytes32 contentId,
+        uint256 size,
+        uint256 randomness,
+        bool isAppeal
+    ) external {
+        address[] memory pool = candidates.values();
+        uint256 remaining = pool.length;
+
+        for (uint256 i = 0; remaining > 0 && panel.members.length < size; i++) {
+            uint256 pick = uint256(keccak256(abi.encode(randomness, i))) %
+                remaining;
+            address candidate = pool[pick];
+            pool[pick] = pool[remaining - 1];
+            remaining--;
+
+            if (
+                candidate == content.creator ||
+                content.isCoCreator[candidate] ||
+                stakes[candidate].amount < VALIDATOR_STAKE_REQUIREMENT ||
+                (isAppeal && content.commitments[candidate] != bytes32(0))
+            ) {
+                continue;
+            }
+
+            panel.isMember[candidate] = true;
+            panel.members.push(candidate);
+        }
+
+        panel.assigned = true;
+        emit ContentCreatorBase.ValidatorsAssigned(
+            contentId,
+            isAppeal,
+            panel.members
+        );
+    }
+
+    // ============ Slashing and Rewards ============
+
+    // Takes `basisPoints` of a validator's own stake, including what is still
+    // unbonding. Delegations are never slashed.
+    function slash(
+        ContentCreatorBase.Content storage content,
+        mapping(address => uint256) storage scores,
+        mapping(address => bool) storage slashed,
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Unbonding[] storage queue,
+        uint256 cursor,
+        address validator,
+        uint256 basisPoints
+    ) external returns (uint256 amount) {
+        require(
+            basisPoints > 0 && basisPoints <= BASIS_POINTS,
+            "Invalid slash amount"
+        );
+        require(content.isValidated, "Content not finalized");
+        require(content.validators[validator], "Validator did not score");
+        require(!slashed[validator], "Already slashed");
+        require(
+            scoreDeviation(content, scores[validator]) > MAX_SCORE_DEVIATION,
+            "Score within consensus"
+        );
+        slashed[validator] = true;
+
+        amount = takeStake(
+            validatorStake,
+            queue,
+            cursor,
+            validator,
+            basisPoints
+        );
+        require(amount > 0, "Nothing to slash");
+    }
+
+    // Flags every validator who committed a score but never revealed it and
+    // takes MISSED_REVEAL_PENALTY of their stake, including what is still
+    // unbonding, so unstaking after committing does not escape it. Returns the
+    // total taken.
+    function penaliseMissedReveals(
+        ContentCreatorBase.Content storage content,
+        mapping(address => ContentCreatorBase.ValidatorStake) storage stakes,
+        mapping(address => ContentCreatorBase.Unbonding[]) storage queues,
+        mapping(address => uint256) storage cursors,
+        mapping(address => ContentCreatorBase.ValidatorStats) storage stats,
+        bytes32 contentId
+    ) external returns (uint256 total) {
+        address[] storage committers = content.committers;
+        for (uint256 i = 0; i < committers.length; i++) {
+            address validator = committers[i];
+            if (content.validators[validator]) {
+                continue;
+            }
+
+            uint256 amount = takeStake(
+                stakes[validator],
+                queues[validator],
+                cursors[validator],
+                validator,
+                MISSED_REVEAL_PENALTY
+            );
+            stats[validator].missedReveals++;
+            total += amount;
+
+            emit ContentCreatorBase.RevealMissed(contentId, validator, amount);
+        }
+    }
+
+    // Takes `basisPoints` of a validator's stake and of each of its own
+    // entries in `queue` not yet withdrawn, leaving its delegators' alone
+    function takeStake(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        ContentCreatorBase.Unbonding[] storage queue,
+        uint256 cursor,
+        address validator,
+        uint256 basisPoints
+    ) internal returns (uint256 amount) {
+        amount = (validatorStake.amount * basisPoints) / BASIS_POINTS;
+        validatorStake.amount -= amount;
+        for (uint256 i = cursor; i < queue.length; i++) {
+            ContentCreatorBase.Unbonding storage entry = queue[i];
+            if (entry.validator == validator) {
+                uint256 part = (entry.amount * basisPoints) / BASIS_POINTS;
+                entry.amount -= part;
+                amount += part;
+            }
+        }
+    }
+
+    // Splits `pool` between the validators of a finalized item, weighting each
+    // by their backing when they committed and by how close their score was
+    // to the final consensus score. Each validator's part is shared with its
+    // delegators by backing; the rest vests to the validator. Returns the
+    // amount handed out so the caller can burn the dust.
+    function distributeRewards(
+        ContentCreatorBase.Content storage content,
+        mapping(address => uint256) storage scores,
+        mapping(address => uint256) storage weights,
+        mapping(address => ContentCreatorBase.ValidatorStake) storage stakes,
+        mapping(address => ContentCreatorBase.ValidatorStats) storage stats,
+        mapping(address => ContentCreatorBase.VestingSchedule)
+            storage schedules,
+        mapping(address => ContentCreatorBase.VestingTranche[])
+            storage tranches,
+        bytes32 contentId,
+        uint256 pool
+    ) external returns (uint256 distributed) {
+        address[] storage scorers = content.validatorList;
+        uint256[] memory shares = new uint256[](scorers.length);
+        uint256 totalShares;
+
+        for (uint256 i = 0; i < scorers.length; i++) {
+            uint256 deviation = scoreDeviation(content, scores[scorers[i]]);
+            shares[i] = (100 - deviation) * weights[scorers[i]];
+            totalShares += shares[i];
+
+            ContentCreatorBase.ValidatorStats storage validatorStats = stats[
+                scorers[i]
+            ];
+            validatorStats.finalizedValidations++;
+            if (deviation <= MAX_SCORE_DEVIATION) {
+                validatorStats.agreedValidations++;
+            }
+        }
+
+        if (totalShares == 0) {
+            return 0;
+        }
+
+        for (uint256 i = 0; i < scorers.length; i++) {
+            uint256 amount = (pool * shares[i]) / totalShares;
+            if (amount == 0) {
+                continue;
+            }
+            distributed += amount;
+            address validator = scorers[i];
+            amount -= rewardDelegators(
+                stakes[validator],
+                validator,
+                contentId,
+                amount
+            );
+            if (amount == 0) {
+                continue;
+            }
+            stats[validator].lifetimeEarnings += amount;
+            VestingLogic.addTranche(schedules, tranches, validator, amount);
+            emit ContentCreatorBase.ValidatorRewarded(
+                validator,
+                contentId,
+                amount
+            );
+        }
+    }
+
+    // Credits the delegators' part of a validator's `reward`, in proportion
+    // to their share of its backing, and returns it. Only what the per-token
+    // accumulator can represent is credited; the rounding stays with the
+    // validator.
+    function rewardDelegators(
+        ContentCreatorBase.ValidatorStake storage validatorStake,
+        address validator,
+        bytes32 contentId,
+        uint256 reward
+    ) internal returns (uint256 part) {
+        uint256 delegated = validatorStake.delegated;
+        if (delegated == 0) {
+            return 0;
+        }
+        uint256 perToken = (((reward * delegated) / backing(validatorStake)) *
+            REWARD_PRECISION) / delegated;
+        validatorStake.rewardPerToken += perToken;
+        part = (perToken * delegated) / REWARD_PRECISION;
+        emit ContentCreatorBase.DelegatorsRewarded(validator, contentId, part);
+    }
+
+    function scoreDeviation(
+        ContentCreatorBase.Content storage content,
+        uint256 score
+    ) internal view returns (uint256) {
+        uint256 finalScore = content.qualityScore;
+        return score > finalScore ? score - finalScore : finalScore - score;
+    }
+}
@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorBase.sol";
+
+// Per-reward vesting tranches for ContentCreatorSystem. Each tranche vests
+// linearly over VESTING_PERIOD from the moment it is granted.
+library VestingLogic {
+    uint256 internal constant VESTING_PERIOD = 7 days;
+
+    function addTranche(
+        mapping(address => ContentCreatorBase.VestingSchedule)
+            storage schedules,
+        mapping(address => ContentCreatorBase.VestingTranche[])
+            storage tranches,
+        address user,
+        uint256 amount
+    ) internal {
+        ContentCreatorBase.VestingSchedule storage schedule = schedules[user];
+        if (!schedule.initialized) {
+            schedule.initialized = true;
+            schedule.startTime = block.timestamp;
+        }
+        schedule.totalAmount += amount;
+
+        tranches[user].push(
+            ContentCreatorBase.VestingTranche({
+                amount: amount,
+                released: 0,
+                startTime: block.timestamp
+            })
+        );
+
+        emit ContentCreatorBase.RewardVested(user, amount);
+    }
+
+    function release(
+        mapping(address => ContentCreatorBase.VestingSchedule)
+            storage schedules,
+        mapping(address => ContentCreatorBase.VestingTranche[])
+            storage tranches,
+        mapping(address => uint256) storage cursors,
+        address user
+    ) external returns (uint256 amount) {
+        ContentCreatorBase.VestingTranche[] storage userTranches = tranches[
+            user
+        ];
+        uint256 cursor = cursors[user];
+
+        for (uint256 i = cursor; i < userTranches.length; i++) {
+            ContentCreatorBase.VestingTranche storage tranche = userTranches[i];
+            uint256 due = vestedAmount(tranche) - tranche.released;
+            if (due > 0) {
+                tranche.released += due;
+                amount += due;
+            }
+            // Skip fully released tranches on future calls
+            if (tranche.released == tranche.amount && i == cursor) {
+                cursor++;
+            }
+        }
+
+        cursors[user] = cursor;
+        schedules[user].releasedAmount += amount;
+    }
+
+    // Takes back up to `amount` of `user`'s unreleased rewards, newest
+    // tranches first, and returns what was taken. A reduced tranche that has
+    // released part of itself is re-timed so that part still counts as vested.
+    function clawback(
+        mapping(address => ContentCreatorBase.VestingSchedule)
+            storage schedules,
+        mapping(address => ContentCreatorBase.VestingTranche[])
+            storage tranches,
+        mapping(address => uint256) storage cursors,
+        address user,
+        uint256 amount
+    ) external returns (uint256 taken) {
+        ContentCreatorBase.VestingTranche[] storage userTranches = tranches[
+            user
+        ];
+        uint256 cursor = cursors[user];
+
+        for (
+            uint256 i = userTranches.length;
+            i > cursor && taken < amount;
+            i--
+        ) {
+            ContentCreatorBase.VestingTranche storage tranche = userTranches[
+                i - 1
+            ];
+            uint256 take = tranche.amount - tranche.released;
+            if (take > amount - taken) {
+                take = amount - taken;
+            }
+            if (take == 0) {
+                continue;
+            }
+
+            taken += take;
+            tranche.amount -= take;
+            if (tranche.released > 0) {
+                // Rounded up so vestedAmount never falls below released
+                tranche.startTime =
+                    block.timestamp -
+                    (tranche.released * VESTING_PERIOD + tranche.amount - 1) /
+                    tranche.amount;
+            }
+        }
+
+        schedules[user].totalAmount -= taken;
+    }
+
+    function releasable(
+        mapping(address => ContentCreatorBase.VestingTranche[])
+            storage tranches,
+        mapping(address => uint256) storage cursors,
+        address user
+    ) external view returns (uint256 amount) {
+        ContentCreatorBase.VestingTranche[] storage userTranches = tranches[
+            user
+        ];
+        for (uint256 i = cursors[user]; i < userTranches.length; i++) {
+            amount += vestedAmount(userTranches[i]) - userTranches[i].released;
+        }
+    }
+
+    function vestedAmount(
+        ContentCreatorBase.VestingTranche storage tranche
+    ) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - tranche.startTime;
+        if (elapsed >= VESTING_PERIOD) {
+            return tranche.amount;
+        }
+        return (tranche.amount * elapsed) / VESTING_PERIOD;
+    }
+}
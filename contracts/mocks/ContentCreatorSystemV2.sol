@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../ContentCreatorToken.sol";
+
+// Successor implementation for the upgrade tests. It appends one state
+// variable after the existing layout and sets it through a reinitializer.
+contract ContentCreatorSystemV2 is ContentCreatorSystem {
+    uint256 public upgradedAt;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(
+        address extension_,
+        address trustedForwarder_
+    ) ContentCreatorSystem(extension_, trustedForwarder_) {}
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
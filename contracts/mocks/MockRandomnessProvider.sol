@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/IRandomnessProvider.sol";
+
+// Deterministic randomness for tests. Fulfills requests immediately unless
+// autoFulfill is turned off, in which case tests call fulfill themselves.
+contract MockRandomnessProvider is IRandomnessProvider {
+    uint256 public seed;
+    bool public autoFulfill = true;
+    uint256 public lastRequestId;
+    mapping(uint256 => address) public consumers;
+
+    function setSeed(uint256 newSeed) external {
+        seed = newSeed;
+    }
+
+    function setAutoFulfill(bool enabled) external {
+        autoFulfill = enabled;
+    }
+
+    function requestRandomness(uint256 requestId) external {
+        consumers[requestId] = msg.sender;
+        lastRequestId = requestId;
+        if (autoFulfill) {
+            _fulfill(
+                requestId,
+                uint256(keccak256(abi.encode(seed, requestId)))
+            );
+        }
+    }
+
+    function fulfill(uint256 requestId, uint256 randomness) external {
+        _fulfill(requestId, randomness);
+    }
+
+    function _fulfill(uint256 requestId, uint256 randomness) internal {
+        address consumer = consumers[requestId];
+        require(consumer != address(0), "Unknown request");
+        delete consumers[requestId];
+        IRandomnessConsumer(consumer).fulfillRandomness(requestId, randomness);
+    }
+}
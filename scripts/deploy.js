@@ -1,5 +1,22 @@
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const {
+  LIBRARIES,
+  deployContract,
+  deployImplementation,
+  systemAt,
+  verifyImplementation,
+} = require("./implementation");
+
+// Roles handed to the timelock so the operations they guard are queued
+// publicly before they run
+const TIMELOCKED_ROLES = [
+  "MINTER_ROLE",
+  "PARAMETER_ADMIN_ROLE",
+  "TREASURY_ROLE",
+  "DEFAULT_ADMIN_ROLE",
+];
+const DEFAULT_TIMELOCK_DELAY = 2 * 24 * 60 * 60; // 2 days
 
 async function main() {
   try {
@@ -10,39 +27,172 @@ async function main() {
     console.log("Deploying contracts with the account:", deployer.address);
     console.log("Account balance:", (await deployer.getBalance()).toString());
 
-    // Deploy the contract
-    const ContentCreatorSystem = await ethers.getContractFactory(
-      "ContentCreatorSystem"
+    // Validator panels are drawn through the randomness provider, which the
+    // system is initialized with and cannot run without
+    const randomnessProvider = process.env.RANDOMNESS_PROVIDER;
+    if (
+      !randomnessProvider ||
+      (await ethers.provider.getCode(randomnessProvider)) === "0x"
+    ) {
+      throw new Error("RANDOMNESS_PROVIDER must be a deployed contract");
+    }
+
+    // Meta-transactions are relayed through TRUSTED_FORWARDER, or through a
+    // ContentCreatorForwarder deployed here when none is given
+    const forwarder = process.env.TRUSTED_FORWARDER
+      ? await ethers.getContractAt(
+          "ContentCreatorForwarder",
+          process.env.TRUSTED_FORWARDER
+        )
+      : await deployContract("ContentCreatorForwarder");
+
+    // Deploy the libraries, delegate chain and implementation
+    const deployment = await deployImplementation(forwarder.address);
+    const { libraries, staking, integrity, views, extension, implementation } =
+      deployment;
+
+    // Deploy the proxy, initializing it in the same transaction so nobody
+    // can front-run the initializer
+    const initializer = implementation.interface.encodeFunctionData(
+      "initialize",
+      [randomnessProvider]
     );
-    console.log("Deploying ContentCreatorSystem...");
-    const contentCreatorSystem = await ContentCreatorSystem.deploy();
-    await contentCreatorSystem.deployed();
+    const proxyAdmin = await deployContract("ProxyAdmin");
+    const proxy = await deployContract("ContentCreatorProxy", [
+      implementation.address,
+      proxyAdmin.address,
+      initializer,
+    ]);
+    const contentCreatorSystem = await systemAt(proxy.address);
 
     console.log(
       "ContentCreatorSystem deployed to:",
       contentCreatorSystem.address
     );
 
+    // Deploy the engagement oracle for signed reporter batches
+    console.log("Deploying EngagementOracle...");
+    const EngagementOracle = await ethers.getContractFactory(
+      "EngagementOracle"
+    );
+    const engagementOracle = await EngagementOracle.deploy(
+      contentCreatorSystem.address
+    );
+    await engagementOracle.deployed();
+    console.log("EngagementOracle deployed to:", engagementOracle.address);
+    await (
+      await contentCreatorSystem.setEngagementOracle(engagementOracle.address)
+    ).wait();
+
+    // Deploy the NFT minted for each approved content item
+    console.log("Deploying ContentNFT...");
+    const ContentNFT = await ethers.getContractFactory("ContentNFT");
+    const contentNFT = await ContentNFT.deploy(contentCreatorSystem.address);
+    await contentNFT.deployed();
+    console.log("ContentNFT deployed to:", contentNFT.address);
+    await (await contentCreatorSystem.setContentNFT(contentNFT.address)).wait();
+
     // Setup initial roles (optional - you can do this later too)
     console.log("Setting up initial roles...");
 
+    // Hand minting, treasury and parameter control to the timelock. Proposers
+    // default to the deployer; anyone may execute once the delay has passed.
+    const timelockDelay = Number(
+      process.env.TIMELOCK_DELAY || DEFAULT_TIMELOCK_DELAY
+    );
+    const proposers = process.env.TIMELOCK_PROPOSERS
+      ? process.env.TIMELOCK_PROPOSERS.split(",")
+      : [deployer.address];
+    const timelockArgs = [
+      timelockDelay,
+      proposers,
+      [ethers.constants.AddressZero],
+      ethers.constants.AddressZero,
+    ];
+    console.log("Deploying ContentCreatorTimelock...");
+    const ContentCreatorTimelock = await ethers.getContractFactory(
+      "ContentCreatorTimelock"
+    );
+    const timelock = await ContentCreatorTimelock.deploy(...timelockArgs);
+    await timelock.deployed();
+    console.log("ContentCreatorTimelock deployed to:", timelock.address);
+
+    console.log("Transferring governed roles to the timelock...");
+    for (const name of TIMELOCKED_ROLES) {
+      const role = await contentCreatorSystem[name]();
+      await (
+        await contentCreatorSystem.grantRole(role, timelock.address)
+      ).wait();
+    }
+    // The default admin role goes last so the deployer can still renounce
+    for (const name of TIMELOCKED_ROLES) {
+      const role = await contentCreatorSystem[name]();
+      await (
+        await contentCreatorSystem.renounceRole(role, deployer.address)
+      ).wait();
+    }
+    await (await engagementOracle.transferOwnership(timelock.address)).wait();
+    await (await contentNFT.transferOwnership(timelock.address)).wait();
+    await (await proxyAdmin.transferOwnership(timelock.address)).wait();
+
     // Wait for a few blocks for better verification
     console.log("Waiting for block confirmations...");
-    await contentCreatorSystem.deployTransaction.wait(5);
+    await proxy.deployTransaction.wait(5);
 
-    // Verify the contract
-    console.log("Verifying contract...");
+    // Verify the libraries and the contracts
+    console.log("Verifying contracts...");
+    if (!process.env.TRUSTED_FORWARDER) {
+      await hre.run("verify:verify", {
+        address: forwarder.address,
+        constructorArguments: [],
+      });
+    }
+    await verifyImplementation(deployment);
     await hre.run("verify:verify", {
-      address: contentCreatorSystem.address,
+      address: proxyAdmin.address,
       constructorArguments: [],
     });
+    await hre.run("verify:verify", {
+      address: proxy.address,
+      constructorArguments: [
+        implementation.address,
+        proxyAdmin.address,
+        initializer,
+      ],
+    });
+    await hre.run("verify:verify", {
+      address: engagementOracle.address,
+      constructorArguments: [contentCreatorSystem.address],
+    });
+    await hre.run("verify:verify", {
+      address: contentNFT.address,
+      constructorArguments: [contentCreatorSystem.address],
+    });
+    await hre.run("verify:verify", {
+      address: timelock.address,
+      constructorArguments: timelockArgs,
+    });
 
     console.log("Deployment completed successfully!");
 
     // Log important contract information
     console.log("\nDeployment Summary:");
     console.log("--------------------");
-    console.log("Contract Address:", contentCreatorSystem.address);
+    console.log("Contract (Proxy) Address:", contentCreatorSystem.address);
+    console.log("Implementation Address:", implementation.address);
+    console.log("Extension Address:", extension.address);
+    console.log("Views Address:", views.address);
+    console.log("Integrity Address:", integrity.address);
+    console.log("Staking Address:", staking.address);
+    console.log("ProxyAdmin Address:", proxyAdmin.address);
+    console.log("Trusted Forwarder Address:", forwarder.address);
+    console.log("EngagementOracle Address:", engagementOracle.address);
+    console.log("ContentNFT Address:", contentNFT.address);
+    console.log("Timelock Address:", timelock.address);
+    console.log("Timelock Delay (seconds):", timelockDelay);
+    for (const name of LIBRARIES) {
+      console.log(`${name} Address:`, libraries[name]);
+    }
     console.log("Deployer Address:", deployer.address);
     console.log("Network:", hre.network.name);
     console.log("Block Number:", await ethers.provider.getBlockNumber());
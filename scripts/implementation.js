@@ -0,0 +1,213 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+
+// External libraries linked into ContentCreatorSystem and its delegate chain
+const LIBRARIES = [
+  "AppealLogic",
+  "ContentLogic",
+  "CreatorLogic",
+  "SeasonLogic",
+  "ValidationLogic",
+  "ValidatorLogic",
+  "VestingLogic",
+];
+
+// Contracts behind the core's fallback, in the order calls fall through them
+const DELEGATES = [
+  "ContentCreatorExtension",
+  "ContentCreatorViews",
+  "ContentCreatorIntegrity",
+  "ContentCreatorStaking",
+];
+
+// Picks the libraries a contract actually references out of `libraries`
+async function linkedLibraries(name, libraries) {
+  const { linkReferences } = await hre.artifacts.readArtifact(name);
+  const linked = {};
+  for (const file of Object.values(linkReferences)) {
+    for (const library of Object.keys(file)) {
+      linked[library] = libraries[library];
+    }
+  }
+  return linked;
+}
+
+// Progress output of the deploy helpers; the tests, which deploy the system
+// before every case, swap it for a no-op
+let log = console.log;
+
+function setLogger(logger) {
+  log = logger;
+}
+
+async function deployContract(name, args = [], libraries = {}) {
+  log(`Deploying ${name}...`);
+  const Factory = await ethers.getContractFactory(name, { libraries });
+  const contract = await Factory.deploy(...args);
+  await contract.deployed();
+  log(`${name} deployed to:`, contract.address);
+  return contract;
+}
+
+// Deploys every library in LIBRARIES and returns their addresses by name
+async function deployLibraries() {
+  const libraries = {};
+  for (const library of LIBRARIES) {
+    libraries[library] = (await deployContract(library)).address;
+  }
+  return libraries;
+}
+
+// Deploys the logic libraries, unless already deployed ones are passed in
+// `libraries`, the delegate chain (ContentCreatorStaking,
+// ContentCreatorIntegrity delegating to it, ContentCreatorViews delegating to
+// the integrity contract and a ContentCreatorExtension delegating to the
+// views) and an implementation contract (ContentCreatorSystem or a successor)
+// that delegates to the extension, all trusting `trustedForwarder` for
+// meta-transactions. Nothing is initialized; the proxy does that.
+async function deployImplementation(
+  trustedForwarder,
+  name = "ContentCreatorSystem",
+  libraries
+) {
+  libraries = libraries || (await deployLibraries());
+
+  const stakingLibraries = await linkedLibraries(
+    "ContentCreatorStaking",
+    libraries
+  );
+  const staking = await deployContract(
+    "ContentCreatorStaking",
+    [trustedForwarder],
+    stakingLibraries
+  );
+
+  const integrityLibraries = await linkedLibraries(
+    "ContentCreatorIntegrity",
+    libraries
+  );
+  const integrity = await deployContract(
+    "ContentCreatorIntegrity",
+    [trustedForwarder, staking.address],
+    integrityLibraries
+  );
+
+  const viewsLibraries = await linkedLibraries(
+    "ContentCreatorViews",
+    libraries
+  );
+  const views = await deployContract(
+    "ContentCreatorViews",
+    [trustedForwarder, integrity.address],
+    viewsLibraries
+  );
+
+  const extensionLibraries = await linkedLibraries(
+    "ContentCreatorExtension",
+    libraries
+  );
+  const extension = await deployContract(
+    "ContentCreatorExtension",
+    [trustedForwarder, views.address],
+    extensionLibraries
+  );
+
+  const implementationLibraries = await linkedLibraries(name, libraries);
+  const implementation = await deployContract(
+    name,
+    [extension.address, trustedForwarder],
+    implementationLibraries
+  );
+
+  return {
+    trustedForwarder,
+    libraries,
+    staking,
+    stakingLibraries,
+    integrity,
+    integrityLibraries,
+    views,
+    viewsLibraries,
+    extension,
+    extensionLibraries,
+    implementation,
+    implementationLibraries,
+  };
+}
+
+// The system at `address` with the implementation's ABI merged with those of
+// its delegate chain, so calls forwarded through the fallbacks resolve too
+async function systemAt(address, name = "ContentCreatorSystem") {
+  const core = await hre.artifacts.readArtifact(name);
+  const known = new Set(core.abi.map((item) => `${item.type}:${item.name}`));
+  const abi = [...core.abi];
+  for (const delegate of DELEGATES) {
+    const artifact = await hre.artifacts.readArtifact(delegate);
+    for (const item of artifact.abi) {
+      const key = `${item.type}:${item.name}`;
+      if (item.type !== "constructor" && !known.has(key)) {
+        known.add(key);
+        abi.push(item);
+      }
+    }
+  }
+  return ethers.getContractAt(abi, address);
+}
+
+// Verifies everything deployImplementation returned
+async function verifyImplementation({
+  trustedForwarder,
+  libraries,
+  staking,
+  stakingLibraries,
+  integrity,
+  integrityLibraries,
+  views,
+  viewsLibraries,
+  extension,
+  extensionLibraries,
+  implementation,
+  implementationLibraries,
+}) {
+  for (const name of LIBRARIES) {
+    await hre.run("verify:verify", {
+      address: libraries[name],
+      constructorArguments: [],
+    });
+  }
+  await hre.run("verify:verify", {
+    address: staking.address,
+    constructorArguments: [trustedForwarder],
+    libraries: stakingLibraries,
+  });
+  await hre.run("verify:verify", {
+    address: integrity.address,
+    constructorArguments: [trustedForwarder, staking.address],
+    libraries: integrityLibraries,
+  });
+  await hre.run("verify:verify", {
+    address: views.address,
+    constructorArguments: [trustedForwarder, integrity.address],
+    libraries: viewsLibraries,
+  });
+  await hre.run("verify:verify", {
+    address: extension.address,
+    constructorArguments: [trustedForwarder, views.address],
+    libraries: extensionLibraries,
+  });
+  await hre.run("verify:verify", {
+    address: implementation.address,
+    constructorArguments: [extension.address, trustedForwarder],
+    libraries: implementationLibraries,
+  });
+}
+
+module.exports = {
+  LIBRARIES,
+  setLogger,
+  deployContract,
+  deployLibraries,
+  deployImplementation,
+  systemAt,
+  verifyImplementation,
+};
@@ -0,0 +1,105 @@
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const {
+  deployImplementation,
+  verifyImplementation,
+} = require("./implementation");
+
+// Upgrades the ContentCreatorSystem proxy to a freshly deployed
+// implementation. Required: PROXY_ADDRESS and PROXY_ADMIN_ADDRESS.
+// Optional: IMPLEMENTATION_CONTRACT (defaults to ContentCreatorSystem),
+// UPGRADE_INITIALIZER, a function of the new implementation to call
+// atomically with the upgrade (for example a reinitializer), and
+// TRUSTED_FORWARDER (defaults to the forwarder the proxy trusts now).
+async function main() {
+  try {
+    const { PROXY_ADDRESS, PROXY_ADMIN_ADDRESS } = process.env;
+    if (!PROXY_ADDRESS || !PROXY_ADMIN_ADDRESS) {
+      throw new Error("PROXY_ADDRESS and PROXY_ADMIN_ADDRESS must be set");
+    }
+    const name = process.env.IMPLEMENTATION_CONTRACT || "ContentCreatorSystem";
+
+    const [deployer] = await ethers.getSigners();
+    console.log("Upgrading with the account:", deployer.address);
+
+    const proxyAdmin = await ethers.getContractAt(
+      "ProxyAdmin",
+      PROXY_ADMIN_ADDRESS
+    );
+    const previous = await proxyAdmin.getProxyImplementation(PROXY_ADDRESS);
+    console.log("Current implementation:", previous);
+
+    const system = await ethers.getContractAt(
+      "ContentCreatorSystem",
+      PROXY_ADDRESS
+    );
+    const trustedForwarder =
+      process.env.TRUSTED_FORWARDER || (await system.trustedForwarder());
+    console.log("Trusted forwarder:", trustedForwarder);
+
+    const deployment = await deployImplementation(trustedForwarder, name);
+    const { implementation } = deployment;
+
+    const upgradeData = process.env.UPGRADE_INITIALIZER
+      ? proxyAdmin.interface.encodeFunctionData("upgradeAndCall", [
+          PROXY_ADDRESS,
+          implementation.address,
+          implementation.interface.encodeFunctionData(
+            process.env.UPGRADE_INITIALIZER
+          ),
+        ])
+      : proxyAdmin.interface.encodeFunctionData("upgrade", [
+          PROXY_ADDRESS,
+          implementation.address,
+        ]);
+
+    // After deployment the ProxyAdmin belongs to the timelock, so the
+    // upgrade has to be scheduled there instead of sent directly
+    const owner = await proxyAdmin.owner();
+    if (owner === deployer.address) {
+      console.log("Upgrading proxy...");
+      await (
+        await deployer.sendTransaction({
+          to: proxyAdmin.address,
+          data: upgradeData,
+        })
+      ).wait();
+      console.log(
+        "Proxy now points to:",
+        await proxyAdmin.getProxyImplementation(PROXY_ADDRESS)
+      );
+    } else {
+      console.log("ProxyAdmin is owned by:", owner);
+      console.log("Schedule this call through the timelock to upgrade:");
+      console.log("  target:", proxyAdmin.address);
+      console.log("  value: 0");
+      console.log("  data:", upgradeData);
+    }
+
+    console.log("Waiting for block confirmations...");
+    await implementation.deployTransaction.wait(5);
+    console.log("Verifying contracts...");
+    await verifyImplementation(deployment);
+
+    console.log("\nUpgrade Summary:");
+    console.log("--------------------");
+    console.log("Proxy Address:", PROXY_ADDRESS);
+    console.log("Previous Implementation:", previous);
+    console.log(`New Implementation (${name}):`, implementation.address);
+    console.log("Extension Address:", deployment.extension.address);
+    console.log("Views Address:", deployment.views.address);
+    console.log("Integrity Address:", deployment.integrity.address);
+    console.log("Staking Address:", deployment.staking.address);
+    console.log("Network:", hre.network.name);
+  } catch (error) {
+    console.error("Error during upgrade:", error);
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,5 @@
 const { expect } = require("chai");
+const { ethers } = require("hardhat");
 const { setupBasic, CONSTANTS, toWei } = require("./test-helpers");
 
 describe("ContentCreatorSystem - Token Tests", function () {
@@ -47,7 +48,76 @@ describe("ContentCreatorSystem - Token Tests", function () {
     it("Should prevent non-owners from managing roles", async function () {
       await expect(
         contract.connect(moderator).addModerator(addresses.validator1)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(
+        `AccessControl: account ${addresses.moderator.toLowerCase()} is missing role ${
+          ethers.constants.HashZero
+        }`
+      );
+    });
+
+    it("Should enumerate role members", async function () {
+      const MODERATOR_ROLE = await contract.MODERATOR_ROLE();
+      await contract.addModerator(addresses.moderator);
+      await contract.grantRole(MODERATOR_ROLE, addresses.validator1);
+
+      expect(await contract.getRoleMemberCount(MODERATOR_ROLE)).to.equal(2);
+      expect(await contract.getRoleMember(MODERATOR_ROLE, 0)).to.equal(
+        addresses.moderator
+      );
+      expect(await contract.getRoleMember(MODERATOR_ROLE, 1)).to.equal(
+        addresses.validator1
+      );
+      expect(await contract.moderators(addresses.validator1)).to.be.true;
+
+      await expect(contract.revokeRole(MODERATOR_ROLE, addresses.moderator))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(MODERATOR_ROLE, addresses.moderator, addresses.owner)
+        .and.to.emit(contract, "ModeratorRemoved")
+        .withArgs(addresses.moderator);
+      expect(await contract.getRoleMemberCount(MODERATOR_ROLE)).to.equal(1);
+    });
+
+    it("Should let validator managers manage validators only", async function () {
+      const VALIDATOR_MANAGER_ROLE = await contract.VALIDATOR_MANAGER_ROLE();
+      const VALIDATOR_ROLE = await contract.VALIDATOR_ROLE();
+      await contract.grantRole(VALIDATOR_MANAGER_ROLE, addresses.moderator);
+
+      await expect(
+        contract.connect(moderator).addValidator(addresses.validator1)
+      )
+        .to.emit(contract, "RoleGranted")
+        .withArgs(VALIDATOR_ROLE, addresses.validator1, addresses.moderator);
+      expect(await contract.validators(addresses.validator1)).to.be.true;
+
+      await expect(
+        contract.connect(moderator).addModerator(addresses.validator1)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addresses.moderator.toLowerCase()} is missing role ${
+          ethers.constants.HashZero
+        }`
+      );
+    });
+
+    it("Should gate minting, pausing and treasury functions by role", async function () {
+      const missing = (role) =>
+        `AccessControl: account ${addresses.moderator.toLowerCase()} is missing role ${role}`;
+      const minterRole = await contract.MINTER_ROLE();
+      const pauserRole = await contract.PAUSER_ROLE();
+      const treasuryRole = await contract.TREASURY_ROLE();
+
+      await expect(
+        contract.connect(moderator).mint(addresses.moderator, 1)
+      ).to.be.revertedWith(missing(minterRole));
+      await expect(contract.connect(moderator).pause()).to.be.revertedWith(
+        missing(pauserRole)
+      );
+      await expect(
+        contract.connect(moderator).setTreasury(addresses.moderator)
+      ).to.be.revertedWith(missing(treasuryRole));
+
+      await contract.grantRole(minterRole, addresses.moderator);
+      await contract.connect(moderator).mint(addresses.moderator, 1);
+      expect(await contract.balanceOf(addresses.moderator)).to.equal(1);
     });
   });
 
@@ -99,6 +169,20 @@ describe("ContentCreatorSystem - Token Tests", function () {
       await contract.emergencyWithdraw(contract.address, amount);
       expect(await contract.balanceOf(contract.address)).to.equal(0);
     });
+
+    it("Should send emergency withdrawals to the treasury role holder", async function () {
+      const amount = toWei(100);
+      await contract.transfer(contract.address, amount);
+      await contract.grantRole(
+        await contract.TREASURY_ROLE(),
+        addresses.moderator
+      );
+
+      await contract
+        .connect(moderator)
+        .emergencyWithdraw(contract.address, amount);
+      expect(await contract.balanceOf(addresses.moderator)).to.equal(amount);
+    });
   });
 
   describe("Events", function () {
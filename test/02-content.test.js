@@ -1,6 +1,15 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { setupFull, increaseTime, CONSTANTS } = require("./test-helpers");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  scoreCommitment,
+  commitScore,
+  revealScore,
+  validateContent,
+  submitContent,
+} = require("./test-helpers");
 
 describe("ContentCreatorSystem - Content Management Tests", function () {
   let contract,
@@ -53,7 +62,7 @@ describe("ContentCreatorSystem - Content Management Tests", function () {
       const contentHash1 = ethers.utils.id("test content 1");
       await contract.connect(creator1).submitContent(contentHash1, 0);
 
-      await increaseTime(CONSTANTS.COOLDOWN_PERIOD);
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
 
       const contentHash2 = ethers.utils.id("test content 2");
       await expect(contract.connect(creator1).submitContent(contentHash2, 0)).to
@@ -73,8 +82,12 @@ describe("ContentCreatorSystem - Content Management Tests", function () {
     });
 
     it("Should validate content correctly", async function () {
-      await contract.connect(validator1).validateContent(contentId, 80);
-      await contract.connect(validator2).validateContent(contentId, 90);
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [80, 90]
+      );
 
       const content = await contract.getContent(contentId);
       expect(content.isValidated).to.be.true;
@@ -83,8 +96,12 @@ describe("ContentCreatorSystem - Content Management Tests", function () {
     });
 
     it("Should reject content with low quality score", async function () {
-      await contract.connect(validator1).validateContent(contentId, 40);
-      await contract.connect(validator2).validateContent(contentId, 30);
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [40, 30]
+      );
 
       const content = await contract.getContent(contentId);
       expect(content.isValidated).to.be.true;
@@ -92,20 +109,318 @@ describe("ContentCreatorSystem - Content Management Tests", function () {
     });
 
     it("Should prevent duplicate validation", async function () {
-      await contract.connect(validator1).validateContent(contentId, 80);
+      await commitScore(contract, validator1, contentId, 80);
       await expect(
-        contract.connect(validator1).validateContent(contentId, 90)
-      ).to.be.revertedWith("Already validated");
+        commitScore(contract, validator1, contentId, 90)
+      ).to.be.revertedWith("Already committed");
+
+      await commitScore(contract, validator2, contentId, 80);
+      await revealScore(contract, validator1, contentId, 80);
+      await expect(
+        revealScore(contract, validator1, contentId, 80)
+      ).to.be.revertedWith("Already revealed");
     });
 
     it("Should prevent self-validation", async function () {
       await contract.addValidator(addresses.creator1);
+      await contract.transfer(addresses.creator1, CONSTANTS.VALIDATOR_STAKE);
+      await contract.connect(creator1).stakeAsValidator();
       await expect(
-        contract.connect(creator1).validateContent(contentId, 90)
+        commitScore(contract, creator1, contentId, 90)
       ).to.be.revertedWith("Cannot validate own content");
     });
   });
 
+  describe("Commit-Reveal Scoring", function () {
+    let contentId;
+
+    beforeEach(async function () {
+      const contentHash = ethers.utils.id("test content");
+      const tx = await contract.connect(creator1).submitContent(contentHash, 0);
+      const receipt = await tx.wait();
+      contentId = receipt.events.find((e) => e.event === "ContentSubmitted")
+        .args.contentId;
+    });
+
+    it("Should keep scores hidden until the commit phase closes", async function () {
+      await expect(commitScore(contract, validator1, contentId, 80))
+        .to.emit(contract, "ScoreCommitted")
+        .withArgs(contentId, addresses.validator1)
+        .and.not.to.emit(contract, "ContentValidated");
+      await expect(
+        revealScore(contract, validator1, contentId, 80)
+      ).to.be.revertedWith("Commit phase still open");
+
+      await commitScore(contract, validator2, contentId, 90);
+      await expect(revealScore(contract, validator1, contentId, 80))
+        .to.emit(contract, "ContentValidated")
+        .withArgs(contentId, addresses.validator1, 80);
+      expect((await contract.getContent(contentId)).qualityScore).to.equal(80);
+    });
+
+    it("Should reject reveals that do not match the commitment", async function () {
+      await commitScore(contract, validator1, contentId, 80);
+      // Copying another validator's commitment does not let you reveal it
+      await contract
+        .connect(validator2)
+        .commitScore(
+          contentId,
+          scoreCommitment(contentId, addresses.validator1, 80)
+        );
+
+      await expect(
+        revealScore(contract, validator1, contentId, 81)
+      ).to.be.revertedWith("Reveal does not match commitment");
+      await expect(
+        revealScore(contract, validator2, contentId, 80)
+      ).to.be.revertedWith("Reveal does not match commitment");
+      await expect(
+        revealScore(contract, creator2, contentId, 80)
+      ).to.be.revertedWith("No commitment");
+    });
+
+    it("Should close commits after half the validation window", async function () {
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW / 2 + 1);
+      await expect(
+        commitScore(contract, validator1, contentId, 80)
+      ).to.be.revertedWith("Commit phase closed");
+    });
+
+    it("Should penalise validators who commit but never reveal", async function () {
+      await commitScore(contract, validator1, contentId, 80);
+      await commitScore(contract, validator2, contentId, 80);
+      await revealScore(contract, validator1, contentId, 80);
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+
+      const penalty = CONSTANTS.VALIDATOR_STAKE.mul(
+        CONSTANTS.MISSED_REVEAL_PENALTY
+      ).div(10000);
+      await expect(contract.connect(creator2).finalizeExpired(contentId))
+        .to.emit(contract, "RevealMissed")
+        .withArgs(contentId, addresses.validator2, penalty);
+
+      const stake = await contract.getValidatorStake(addresses.validator2);
+      expect(stake.amount).to.equal(CONSTANTS.VALIDATOR_STAKE.sub(penalty));
+      expect(
+        (await contract.validatorStats(addresses.validator2)).missedReveals
+      ).to.equal(1);
+      // Decided on the revealed score alone
+      expect((await contract.getContent(contentId)).status).to.equal(1);
+    });
+  });
+
+  describe("Content Type Parameters", function () {
+    const videoParams = {
+      minValidators: 3,
+      minQualityScore: 70,
+      baseReward: CONSTANTS.BASE_REWARD.mul(2),
+      cooldownPeriod: 2 * CONSTANTS.COOLDOWN_PERIOD,
+      validationWindow: CONSTANTS.VALIDATION_WINDOW,
+    };
+
+    async function submitVideo(creator) {
+      const contentHash = ethers.utils.id("video " + Math.random());
+      return submitContent(contract, creator, contentHash, 2);
+    }
+
+    it("Should default every type to the global constants", async function () {
+      const params = await contract.contentTypeParams(3);
+      expect(params.minValidators).to.equal(CONSTANTS.MIN_VALIDATORS_REQUIRED);
+      expect(params.minQualityScore).to.equal(CONSTANTS.MIN_QUALITY_SCORE);
+      expect(params.baseReward).to.equal(CONSTANTS.BASE_REWARD);
+      expect(params.cooldownPeriod).to.equal(CONSTANTS.COOLDOWN_PERIOD);
+      expect(params.validationWindow).to.equal(CONSTANTS.VALIDATION_WINDOW);
+    });
+
+    it("Should update parameters and emit ParametersUpdated", async function () {
+      await expect(contract.setContentTypeParams(2, videoParams))
+        .to.emit(contract, "ParametersUpdated")
+        .withArgs(
+          2,
+          videoParams.minValidators,
+          videoParams.minQualityScore,
+          videoParams.baseReward,
+          videoParams.cooldownPeriod,
+          videoParams.validationWindow
+        );
+      const params = await contract.contentTypeParams(2);
+      expect(params.minValidators).to.equal(3);
+    });
+
+    it("Should enforce parameter bounds and ownership", async function () {
+      await expect(
+        contract.setContentTypeParams(2, { ...videoParams, minValidators: 0 })
+      ).to.be.revertedWith("Invalid validator quorum");
+      await expect(
+        contract.setContentTypeParams(2, {
+          ...videoParams,
+          minQualityScore: 101,
+        })
+      ).to.be.revertedWith("Invalid quality threshold");
+      await expect(
+        contract.setContentTypeParams(2, { ...videoParams, baseReward: 0 })
+      ).to.be.revertedWith("Invalid base reward");
+      await expect(
+        contract.setContentTypeParams(2, {
+          ...videoParams,
+          cooldownPeriod: 31 * CONSTANTS.COOLDOWN_PERIOD,
+        })
+      ).to.be.revertedWith("Invalid cooldown period");
+      await expect(
+        contract.setContentTypeParams(2, {
+          ...videoParams,
+          validationWindow: 60,
+        })
+      ).to.be.revertedWith("Invalid validation window");
+      const parameterAdminRole = await contract.PARAMETER_ADMIN_ROLE();
+      await expect(
+        contract.connect(creator1).setContentTypeParams(2, videoParams)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addresses.creator1.toLowerCase()} is missing role ${parameterAdminRole}`
+      );
+    });
+
+    it("Should apply the type's quorum and threshold", async function () {
+      await contract.setContentTypeParams(2, videoParams);
+      await contract.addValidator(addresses.creator2);
+      await contract.transfer(addresses.creator2, CONSTANTS.VALIDATOR_STAKE);
+      await contract.connect(creator2).stakeAsValidator();
+
+      const contentId = await submitVideo(creator1);
+      const panel = [validator1, validator2, creator2];
+      for (const validator of panel) {
+        await commitScore(contract, validator, contentId, 60);
+      }
+      await revealScore(contract, validator1, contentId, 60);
+      await revealScore(contract, validator2, contentId, 60);
+      expect((await contract.getContent(contentId)).status).to.equal(0);
+
+      await revealScore(contract, creator2, contentId, 60);
+      const content = await contract.getContent(contentId);
+      expect(content.isValidated).to.be.true;
+      expect(content.status).to.equal(2); // Rejected below 70
+    });
+
+    it("Should apply the type's base reward and cooldown", async function () {
+      await contract.setContentTypeParams(2, {
+        ...videoParams,
+        minValidators: 2,
+      });
+
+      const contentId = await submitVideo(creator1);
+      await validateContent(contract, contentId, [validator1, validator2], 100);
+      const tranches = await contract.getVestingTranches(addresses.creator1);
+      expect(tranches[0].amount).to.equal(videoParams.baseReward);
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await expect(submitVideo(creator1)).to.be.revertedWith(
+        "Cooldown period not elapsed"
+      );
+      // Articles still use the default one-day cooldown
+      await expect(
+        contract.connect(creator1).submitContent(ethers.utils.id("a"), 0)
+      ).to.not.be.reverted;
+    });
+  });
+
+  describe("Validation Deadlines", function () {
+    let contentId;
+
+    beforeEach(async function () {
+      const contentHash = ethers.utils.id("test content");
+      const tx = await contract.connect(creator1).submitContent(contentHash, 0);
+      const receipt = await tx.wait();
+      contentId = receipt.events.find((e) => e.event === "ContentSubmitted")
+        .args.contentId;
+    });
+
+    it("Should set a deadline and index the item as pending", async function () {
+      const content = await contract.contents(contentId);
+      expect(content.deadline).to.equal(
+        content.timestamp.add(CONSTANTS.VALIDATION_WINDOW)
+      );
+      expect(await contract.getPendingContentCount()).to.equal(1);
+    });
+
+    it("Should reject reveals after the window closes", async function () {
+      await commitScore(contract, validator1, contentId, 80);
+      await commitScore(contract, validator2, contentId, 80);
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+      await expect(
+        revealScore(contract, validator1, contentId, 80)
+      ).to.be.revertedWith("Validation window closed");
+    });
+
+    it("Should not expire content before its deadline", async function () {
+      await expect(
+        contract.connect(creator2).finalizeExpired(contentId)
+      ).to.be.revertedWith("Validation window still open");
+    });
+
+    it("Should expire content without a partial quorum", async function () {
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+      await expect(contract.connect(creator2).finalizeExpired(contentId))
+        .to.emit(contract, "ContentExpired")
+        .withArgs(contentId, 0)
+        .and.to.emit(contract, "ContentStatusUpdated")
+        .withArgs(contentId, 5);
+
+      expect((await contract.getContent(contentId)).status).to.equal(5);
+      expect(await contract.getPendingContentCount()).to.equal(0);
+      await expect(
+        contract.connect(creator2).finalizeExpired(contentId)
+      ).to.be.revertedWith("Content not pending");
+    });
+
+    it("Should decide on collected scores with a partial quorum", async function () {
+      await commitScore(contract, validator1, contentId, 80);
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW / 2 + 1);
+      await revealScore(contract, validator1, contentId, 80);
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW / 2);
+
+      await contract.connect(creator2).finalizeExpired(contentId);
+      const content = await contract.getContent(contentId);
+      expect(content.isValidated).to.be.true;
+      expect(content.status).to.equal(1); // Approved on the single score
+      expect(await contract.getPendingContentCount()).to.equal(0);
+    });
+
+    it("Should list pending items due before a given time", async function () {
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const tx = await contract
+        .connect(creator1)
+        .submitContent(ethers.utils.id("later content"), 0);
+      const receipt = await tx.wait();
+      const laterId = receipt.events.find((e) => e.event === "ContentSubmitted")
+        .args.contentId;
+      const first = await contract.contents(contentId);
+
+      const dueFirst = await contract.getPendingContents(0, 10, first.deadline);
+      expect(dueFirst.contentIds).to.deep.equal([contentId]);
+      expect(dueFirst.deadlines[0]).to.equal(first.deadline);
+
+      const all = await contract.getPendingContents(
+        0,
+        10,
+        ethers.constants.MaxUint256
+      );
+      expect(all.contentIds).to.deep.equal([contentId, laterId]);
+
+      const secondPage = await contract.getPendingContents(
+        1,
+        1,
+        ethers.constants.MaxUint256
+      );
+      expect(secondPage.contentIds).to.deep.equal([laterId]);
+      const pastEnd = await contract.getPendingContents(
+        5,
+        10,
+        ethers.constants.MaxUint256
+      );
+      expect(pastEnd.contentIds).to.deep.equal([]);
+    });
+  });
+
   describe("Content Management", function () {
     let contentId;
 
@@ -145,13 +460,10 @@ describe("ContentCreatorSystem - Content Management Tests", function () {
         (e) => e.event === "ContentSubmitted"
       ).args.contentId;
 
-      const initialBalance = await contract.balanceOf(addresses.creator1);
+      await validateContent(contract, contentId, [validator1, validator2], 90);
 
-      await contract.connect(validator1).validateContent(contentId, 90);
-      await contract.connect(validator2).validateContent(contentId, 90);
-
-      const finalBalance = await contract.balanceOf(addresses.creator1);
-      expect(finalBalance).to.be.gt(initialBalance);
+      const schedule = await contract.getVestingSchedule(addresses.creator1);
+      expect(schedule.totalAmount).to.be.gt(0);
     });
 
     it("Should not reward creator for low-quality content", async function () {
@@ -162,13 +474,10 @@ describe("ContentCreatorSystem - Content Management Tests", function () {
         (e) => e.event === "ContentSubmitted"
       ).args.contentId;
 
-      const initialBalance = await contract.balanceOf(addresses.creator1);
-
-      await contract.connect(validator1).validateContent(contentId, 40);
-      await contract.connect(validator2).validateContent(contentId, 40);
+      await validateContent(contract, contentId, [validator1, validator2], 40);
 
-      const finalBalance = await contract.balanceOf(addresses.creator1);
-      expect(finalBalance).to.equal(initialBalance);
+      const schedule = await contract.getVestingSchedule(addresses.creator1);
+      expect(schedule.totalAmount).to.equal(0);
     });
   });
 });
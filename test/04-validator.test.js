@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  commitScore,
+  revealScore,
+  validateContent,
+  submitContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Validator Staking Tests", function () {
+  let contract,
+    owner,
+    moderator,
+    validator1,
+    validator2,
+    creator1,
+    creator2,
+    addresses;
+
+  beforeEach(async function () {
+    ({
+      contract,
+      owner,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+  });
+
+  describe("Stake Enforcement", function () {
+    it("Should prevent unstaked validators from validating", async function () {
+      await contract.addValidator(addresses.creator2);
+      const contentId = await submitContent(contract, creator1);
+
+      await expect(
+        commitScore(contract, creator2, contentId, 80)
+      ).to.be.revertedWith("Validator not staked");
+    });
+
+    it("Should block validation once an unstake is requested", async function () {
+      await increaseTime(CONSTANTS.MIN_STAKE_DURATION);
+      await contract.connect(validator1).requestUnstake();
+      const contentId = await submitContent(contract, creator1);
+
+      await expect(
+        commitScore(contract, validator1, contentId, 80)
+      ).to.be.revertedWith("Unstake pending");
+    });
+  });
+
+  describe("Unstaking", function () {
+    it("Should enforce the minimum stake duration", async function () {
+      await expect(
+        contract.connect(validator1).requestUnstake()
+      ).to.be.revertedWith("Minimum stake duration not met");
+    });
+
+    it("Should release the stake only after the slash window", async function () {
+      await increaseTime(CONSTANTS.MIN_STAKE_DURATION);
+      await expect(
+        contract.connect(validator1).unstakeValidator()
+      ).to.be.revertedWith("Unstake not requested");
+
+      await expect(contract.connect(validator1).requestUnstake()).to.emit(
+        contract,
+        "UnstakeRequested"
+      );
+      await expect(
+        contract.connect(validator1).unstakeValidator()
+      ).to.be.revertedWith("Slash window not elapsed");
+
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW);
+      await expect(contract.connect(validator1).unstakeValidator())
+        .to.emit(contract, "ValidatorUnstaked")
+        .withArgs(addresses.validator1, CONSTANTS.VALIDATOR_STAKE);
+      expect(await contract.balanceOf(addresses.validator1)).to.equal(
+        CONSTANTS.VALIDATOR_STAKE
+      );
+    });
+  });
+
+  describe("Validator Rewards", function () {
+    const pool = CONSTANTS.BASE_REWARD.mul(
+      CONSTANTS.VALIDATOR_REWARD_SHARE
+    ).div(100);
+
+    it("Should split the pool equally when scores agree", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await commitScore(contract, validator1, contentId, 80);
+      await commitScore(contract, validator2, contentId, 80);
+      await revealScore(contract, validator1, contentId, 80);
+      await expect(revealScore(contract, validator2, contentId, 80))
+        .to.emit(contract, "ValidatorRewarded")
+        .withArgs(addresses.validator1, contentId, pool.div(2));
+
+      const stats = await contract.getValidatorStats(addresses.validator2);
+      expect(stats.validations).to.equal(1);
+      expect(stats.agreementRate).to.equal(10000);
+      expect(stats.lifetimeEarnings).to.equal(pool.div(2));
+    });
+
+    it("Should weight rewards by closeness to the final score", async function () {
+      await contract.setContentTypeParams(0, {
+        minValidators: 3,
+        minQualityScore: CONSTANTS.MIN_QUALITY_SCORE,
+        baseReward: CONSTANTS.BASE_REWARD,
+        cooldownPeriod: CONSTANTS.COOLDOWN_PERIOD,
+        validationWindow: CONSTANTS.VALIDATION_WINDOW,
+      });
+      await contract.addValidator(addresses.creator2);
+      await contract.transfer(addresses.creator2, CONSTANTS.VALIDATOR_STAKE);
+      await contract.connect(creator2).stakeAsValidator();
+
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2, creator2],
+        [80, 80, 20]
+      );
+      // Final score is 60: weights are 80, 80 and 60
+
+      const close = (await contract.getValidatorStats(addresses.validator1))
+        .lifetimeEarnings;
+      const far = (await contract.getValidatorStats(addresses.creator2))
+        .lifetimeEarnings;
+      expect(close).to.equal(pool.mul(80).div(220));
+      expect(far).to.equal(pool.mul(60).div(220));
+    });
+
+    it("Should track agreement with the final score", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [100, 20]
+      );
+      // Final score is 60, both validators are 40 points away
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const nextId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        nextId,
+        [validator1, validator2],
+        [90, 70]
+      );
+
+      const stats = await contract.getValidatorStats(addresses.validator1);
+      expect(stats.validations).to.equal(2);
+      expect(stats.agreementRate).to.equal(5000);
+      expect(stats.lifetimeEarnings).to.equal(pool);
+    });
+
+    it("Should pay validators of rejected content through vesting", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(contract, contentId, [validator1, validator2], 30);
+
+      const schedule = await contract.getVestingSchedule(addresses.validator1);
+      expect(schedule.totalAmount).to.equal(pool.div(2));
+      expect(await contract.balanceOf(addresses.validator1)).to.equal(0);
+
+      await increaseTime(CONSTANTS.VESTING_PERIOD);
+      await contract.connect(validator1).releaseVested();
+      expect(await contract.balanceOf(addresses.validator1)).to.equal(
+        pool.div(2)
+      );
+    });
+  });
+
+  describe("Slashing", function () {
+    let contentId;
+
+    beforeEach(async function () {
+      contentId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [100, 20]
+      );
+      // Final consensus score is 60, both validators are 40 points away
+    });
+
+    it("Should burn slashed stake when no treasury is set", async function () {
+      const supplyBefore = await contract.totalSupply();
+      const amount = CONSTANTS.VALIDATOR_STAKE.div(2);
+
+      await expect(
+        contract
+          .connect(moderator)
+          .slashValidator(addresses.validator1, contentId, 5000)
+      )
+        .to.emit(contract, "ValidatorSlashed")
+        .withArgs(addresses.validator1, contentId, amount);
+
+      const stake = await contract.getValidatorStake(addresses.validator1);
+      expect(stake.amount).to.equal(CONSTANTS.VALIDATOR_STAKE.sub(amount));
+      expect(await contract.totalSupply()).to.equal(supplyBefore.sub(amount));
+    });
+
+    it("Should send slashed stake to the treasury", async function () {
+      await contract.setTreasury(addresses.owner);
+      const balanceBefore = await contract.balanceOf(addresses.owner);
+
+      await contract
+        .connect(moderator)
+        .slashValidator(addresses.validator2, contentId, 10000);
+
+      expect(await contract.balanceOf(addresses.owner)).to.equal(
+        balanceBefore.add(CONSTANTS.VALIDATOR_STAKE)
+      );
+      const stake = await contract.getValidatorStake(addresses.validator2);
+      expect(stake.amount).to.equal(0);
+    });
+
+    it("Should leave an under-staked validator unable to validate", async function () {
+      await contract
+        .connect(moderator)
+        .slashValidator(addresses.validator1, contentId, 1000);
+      const nextId = await submitContent(contract, creator2);
+
+      await expect(
+        commitScore(contract, validator1, nextId, 80)
+      ).to.be.revertedWith("Insufficient stake");
+    });
+
+    it("Should slash during the pending unstake window", async function () {
+      await increaseTime(CONSTANTS.MIN_STAKE_DURATION);
+      await contract.connect(validator1).requestUnstake();
+
+      await contract
+        .connect(moderator)
+        .slashValidator(addresses.validator1, contentId, 10000);
+
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW);
+      await expect(contract.connect(validator1).unstakeValidator())
+        .to.emit(contract, "ValidatorUnstaked")
+        .withArgs(addresses.validator1, 0);
+    });
+
+    it("Should reject slashes for scores close to consensus", async function () {
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const fairId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        fairId,
+        [validator1, validator2],
+        [80, 70]
+      );
+
+      await expect(
+        contract
+          .connect(moderator)
+          .slashValidator(addresses.validator1, fairId, 5000)
+      ).to.be.revertedWith("Score within consensus");
+    });
+
+    it("Should prevent double slashing and non-moderator slashes", async function () {
+      await expect(
+        contract
+          .connect(creator1)
+          .slashValidator(addresses.validator1, contentId, 5000)
+      ).to.be.revertedWith("Caller is not a moderator");
+
+      await contract
+        .connect(moderator)
+        .slashValidator(addresses.validator1, contentId, 5000);
+      await expect(
+        contract
+          .connect(moderator)
+          .slashValidator(addresses.validator1, contentId, 5000)
+      ).to.be.revertedWith("Already slashed");
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  validateContent,
+  drawnPanel,
+  submitContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Appeal Tests", function () {
+  let contract, owner, moderator, creator1, creator2, addresses;
+
+  async function rejectContent(creator) {
+    const contentId = await submitContent(contract, creator);
+    await validateContent(
+      contract,
+      contentId,
+      await drawnPanel(contract, contentId),
+      30
+    );
+    return contentId;
+  }
+
+  // Files creator1's appeal and returns the panel drawn to hear it
+  async function appeal(contentId) {
+    await contract.connect(creator1).appealContent(contentId);
+    return drawnPanel(contract, contentId, true);
+  }
+
+  beforeEach(async function () {
+    ({ contract, owner, moderator, creator1, creator2, addresses } =
+      await setupFull());
+
+    // Two more staked validators, so the appeal panel can leave out the
+    // original one
+    const signers = await ethers.getSigners();
+    for (const validator of signers.slice(6, 8)) {
+      await contract.addValidator(validator.address);
+      await contract.transfer(validator.address, CONSTANTS.VALIDATOR_STAKE);
+      await contract.connect(validator).stakeAsValidator();
+    }
+
+    await contract.transfer(addresses.creator1, CONSTANTS.APPEAL_BOND);
+  });
+
+  describe("Filing Appeals", function () {
+    it("Should move rejected content under appeal and lock the bond", async function () {
+      const contentId = await rejectContent(creator1);
+
+      await expect(contract.connect(creator1).appealContent(contentId))
+        .to.emit(contract, "AppealFiled")
+        .withArgs(contentId, addresses.creator1, CONSTANTS.APPEAL_BOND)
+        .and.to.emit(contract, "ContentStatusUpdated")
+        .withArgs(contentId, 4);
+
+      expect((await contract.getContent(contentId)).status).to.equal(4);
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(0);
+    });
+
+    it("Should only allow the creator to appeal appealable content", async function () {
+      const pendingId = await submitContent(contract, creator1);
+      await expect(
+        contract.connect(creator1).appealContent(pendingId)
+      ).to.be.revertedWith("Content not appealable");
+
+      const rejectedId = await rejectContent(creator2);
+      await expect(
+        contract.connect(creator1).appealContent(rejectedId)
+      ).to.be.revertedWith("Not content creator");
+    });
+
+    it("Should not allow appealing self-removed content", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await contract.connect(creator1).removeContent(contentId);
+      await expect(
+        contract.connect(creator1).appealContent(contentId)
+      ).to.be.revertedWith("Content not appealable");
+    });
+
+    it("Should allow only one appeal per ruling", async function () {
+      const contentId = await rejectContent(creator1);
+      const appealPanel = await appeal(contentId);
+      await expect(
+        contract.connect(moderator).removeContent(contentId)
+      ).to.be.revertedWith("Content under appeal");
+
+      for (const validator of appealPanel) {
+        await contract.connect(validator).voteOnAppeal(contentId, 20);
+      }
+      await contract.transfer(addresses.creator1, CONSTANTS.APPEAL_BOND);
+      await expect(
+        contract.connect(creator1).appealContent(contentId)
+      ).to.be.revertedWith("Already appealed");
+    });
+
+    it("Should allow appealing a moderator removal after a restore", async function () {
+      const contentId = await rejectContent(creator1);
+      for (const validator of await appeal(contentId)) {
+        await contract.connect(validator).voteOnAppeal(contentId, 90);
+      }
+      await contract.connect(moderator).removeContent(contentId);
+
+      await expect(contract.connect(creator1).appealContent(contentId))
+        .to.emit(contract, "AppealFiled")
+        .withArgs(contentId, addresses.creator1, CONSTANTS.APPEAL_BOND);
+      for (const validator of await drawnPanel(contract, contentId, true)) {
+        await contract.connect(validator).voteOnAppeal(contentId, 20);
+      }
+      expect((await contract.getContent(contentId)).status).to.equal(3);
+
+      await expect(
+        contract.connect(creator1).appealContent(contentId)
+      ).to.be.revertedWith("Already appealed");
+    });
+  });
+
+  describe("Appeal Panel", function () {
+    it("Should exclude the original validators", async function () {
+      const contentId = await rejectContent(creator1);
+      const [original] = await drawnPanel(contract, contentId);
+      await appeal(contentId);
+
+      await expect(
+        contract.connect(original).voteOnAppeal(contentId, 90)
+      ).to.be.revertedWith("Validator on original panel");
+    });
+
+    it("Should prevent double votes", async function () {
+      const contentId = await rejectContent(creator1);
+      const appealPanel = await appeal(contentId);
+
+      await contract.connect(appealPanel[0]).voteOnAppeal(contentId, 90);
+      await expect(
+        contract.connect(appealPanel[0]).voteOnAppeal(contentId, 90)
+      ).to.be.revertedWith("Already voted");
+    });
+  });
+
+  describe("Resolution", function () {
+    it("Should restore approval, pay the reward and refund the bond", async function () {
+      const contentId = await rejectContent(creator1);
+      const appealPanel = await appeal(contentId);
+
+      await expect(contract.connect(appealPanel[0]).voteOnAppeal(contentId, 80))
+        .to.emit(contract, "AppealVoteCast")
+        .withArgs(contentId, appealPanel[0].address, 80);
+
+      await expect(contract.connect(appealPanel[1]).voteOnAppeal(contentId, 90))
+        .to.emit(contract, "AppealResolved")
+        .withArgs(contentId, true, 85)
+        .and.to.emit(contract, "AppealBondRefunded")
+        .withArgs(contentId, addresses.creator1, CONSTANTS.APPEAL_BOND);
+
+      const content = await contract.getContent(contentId);
+      expect(content.status).to.equal(1); // Approved
+      expect(content.qualityScore).to.equal(85);
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(
+        CONSTANTS.APPEAL_BOND
+      );
+      const schedule = await contract.getVestingSchedule(addresses.creator1);
+      expect(schedule.totalAmount).to.equal(
+        CONSTANTS.BASE_REWARD.mul(85).div(100)
+      );
+    });
+
+    it("Should uphold the decision and forfeit the bond", async function () {
+      const contentId = await rejectContent(creator1);
+      const appealPanel = await appeal(contentId);
+      const supplyBefore = await contract.totalSupply();
+
+      await contract.connect(appealPanel[0]).voteOnAppeal(contentId, 30);
+      await expect(contract.connect(appealPanel[1]).voteOnAppeal(contentId, 40))
+        .to.emit(contract, "AppealResolved")
+        .withArgs(contentId, false, 35)
+        .and.to.emit(contract, "AppealBondForfeited")
+        .withArgs(contentId, CONSTANTS.APPEAL_BOND);
+
+      expect((await contract.getContent(contentId)).status).to.equal(2);
+      expect(await contract.totalSupply()).to.equal(
+        supplyBefore.sub(CONSTANTS.APPEAL_BOND)
+      );
+    });
+
+    it("Should let anyone expire an appeal short of its quorum and refund the bond", async function () {
+      const contentId = await rejectContent(creator1);
+      const appealPanel = await appeal(contentId);
+      await contract.connect(appealPanel[0]).voteOnAppeal(contentId, 90);
+
+      await expect(
+        contract.connect(creator2).expireAppeal(contentId)
+      ).to.be.revertedWith("Appeal window not elapsed");
+
+      await increaseTime(CONSTANTS.APPEAL_WINDOW);
+      await expect(
+        contract.connect(appealPanel[1]).voteOnAppeal(contentId, 90)
+      ).to.be.revertedWith("Appeal window elapsed");
+      await expect(contract.connect(creator2).expireAppeal(contentId))
+        .to.emit(contract, "AppealExpired")
+        .withArgs(contentId, 1)
+        .and.to.emit(contract, "ContentStatusUpdated")
+        .withArgs(contentId, 2)
+        .and.to.emit(contract, "AppealBondRefunded")
+        .withArgs(contentId, addresses.creator1, CONSTANTS.APPEAL_BOND);
+
+      expect((await contract.getContent(contentId)).status).to.equal(2);
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(
+        CONSTANTS.APPEAL_BOND
+      );
+      const [, rejected] = await contract.getContentsByStatus(2, 0, 10);
+      expect(rejected).to.equal(1);
+      await expect(
+        contract.connect(creator2).expireAppeal(contentId)
+      ).to.be.revertedWith("Content not under appeal");
+      await expect(
+        contract.connect(creator1).appealContent(contentId)
+      ).to.be.revertedWith("Already appealed");
+    });
+
+    it("Should restore approved content removed by a moderator without paying twice", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        contentId,
+        await drawnPanel(contract, contentId),
+        90
+      );
+      await contract.connect(moderator).removeContent(contentId);
+      const rewarded = (await contract.getVestingSchedule(addresses.creator1))
+        .totalAmount;
+
+      const appealPanel = await appeal(contentId);
+      await contract.connect(appealPanel[0]).voteOnAppeal(contentId, 90);
+      await contract.connect(appealPanel[1]).voteOnAppeal(contentId, 90);
+
+      expect((await contract.getContent(contentId)).status).to.equal(1);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount
+      ).to.equal(rewarded);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  commitScore,
+  validateContent,
+  submitContent,
+  deployContract,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Validator Assignment Tests", function () {
+  let contract, proxyAdmin, provider, creator1, addresses, stakedValidators;
+
+  function split(assigned) {
+    const members = stakedValidators.filter((v) =>
+      assigned.includes(v.address)
+    );
+    const others = stakedValidators.filter(
+      (v) => !assigned.includes(v.address)
+    );
+    return { members, others };
+  }
+
+  beforeEach(async function () {
+    let validator1, validator2;
+    ({
+      contract,
+      proxyAdmin,
+      randomness: provider,
+      validator1,
+      validator2,
+      creator1,
+      addresses,
+    } = await setupFull());
+
+    // Four more staked validators so panels are a strict subset
+    const signers = await ethers.getSigners();
+    stakedValidators = [validator1, validator2, ...signers.slice(6, 10)];
+    for (const validator of signers.slice(6, 10)) {
+      await contract.addValidator(validator.address);
+      await contract.transfer(validator.address, CONSTANTS.VALIDATOR_STAKE);
+      await contract.connect(validator).stakeAsValidator();
+    }
+  });
+
+  describe("Content Panels", function () {
+    it("Should assign a panel of staked validators on submission", async function () {
+      const contentHash = ethers.utils.id("assigned content");
+      await expect(contract.connect(creator1).submitContent(contentHash, 0))
+        .to.emit(contract, "PanelRequested")
+        .and.to.emit(contract, "ValidatorsAssigned");
+
+      const [contentId] = await contract.getCreatorContents(addresses.creator1);
+      const assigned = await contract.getAssignedValidators(contentId);
+      expect(assigned.length).to.equal(CONSTANTS.MIN_VALIDATORS_REQUIRED);
+      expect(new Set(assigned).size).to.equal(assigned.length);
+      expect(split(assigned).members.length).to.equal(assigned.length);
+    });
+
+    it("Should only let assigned validators score the content", async function () {
+      const contentId = await submitContent(contract, creator1);
+      const { members, others } = split(
+        await contract.getAssignedValidators(contentId)
+      );
+
+      await expect(
+        commitScore(contract, others[0], contentId, 80)
+      ).to.be.revertedWith("Not assigned to content");
+
+      await validateContent(contract, contentId, members, 80);
+      expect((await contract.getContent(contentId)).status).to.equal(1);
+    });
+
+    it("Should never draw validators with a pending unstake", async function () {
+      await increaseTime(CONSTANTS.MIN_STAKE_DURATION);
+      const leaving = stakedValidators.slice(2);
+      for (const validator of leaving) {
+        await contract.connect(validator).requestUnstake();
+      }
+
+      const contentId = await submitContent(contract, creator1);
+      const assigned = await contract.getAssignedValidators(contentId);
+      expect([...assigned].sort()).to.deep.equal(
+        stakedValidators
+          .slice(0, 2)
+          .map((v) => v.address)
+          .sort()
+      );
+    });
+
+    it("Should never run without a randomness provider", async function () {
+      await expect(
+        contract.setRandomnessProvider(ethers.constants.AddressZero)
+      ).to.be.revertedWith("Invalid address");
+
+      const implementation = await ethers.getContractAt(
+        "ContentCreatorSystem",
+        await proxyAdmin.getProxyImplementation(contract.address)
+      );
+      await expect(
+        deployContract("ContentCreatorProxy", [
+          implementation.address,
+          proxyAdmin.address,
+          implementation.interface.encodeFunctionData("initialize", [
+            ethers.constants.AddressZero,
+          ]),
+        ])
+      ).to.be.revertedWith("Invalid address");
+    });
+  });
+
+  describe("Asynchronous Randomness", function () {
+    it("Should block scoring until the provider fulfills the request", async function () {
+      await provider.setAutoFulfill(false);
+      const contentId = await submitContent(contract, creator1);
+
+      expect(await contract.getAssignedValidators(contentId)).to.be.empty;
+      for (const validator of stakedValidators) {
+        await expect(
+          commitScore(contract, validator, contentId, 80)
+        ).to.be.revertedWith("Not assigned to content");
+      }
+
+      await expect(
+        provider.fulfill(await provider.lastRequestId(), 42)
+      ).to.emit(contract, "ValidatorsAssigned");
+      const { members } = split(
+        await contract.getAssignedValidators(contentId)
+      );
+      await commitScore(contract, members[0], contentId, 80);
+    });
+
+    it("Should only accept randomness from the provider for open requests", async function () {
+      await provider.setAutoFulfill(false);
+      await submitContent(contract, creator1);
+      const requestId = await provider.lastRequestId();
+
+      await expect(contract.fulfillRandomness(requestId, 1)).to.be.revertedWith(
+        "Caller is not the randomness provider"
+      );
+
+      await provider.fulfill(requestId, 1);
+      await contract.setRandomnessProvider(addresses.owner);
+      await expect(contract.fulfillRandomness(requestId, 1)).to.be.revertedWith(
+        "Unknown request"
+      );
+    });
+  });
+
+  describe("Appeal Panels", function () {
+    it("Should draw appeal panels disjoint from the original scorers", async function () {
+      const contentId = await submitContent(contract, creator1);
+      const original = split(await contract.getAssignedValidators(contentId));
+      await validateContent(contract, contentId, original.members, 30);
+
+      await contract.transfer(addresses.creator1, CONSTANTS.APPEAL_BOND);
+      await contract.connect(creator1).appealContent(contentId);
+
+      const appealPanel = await contract.getAppealPanel(contentId);
+      expect(appealPanel.length).to.equal(CONSTANTS.MIN_VALIDATORS_REQUIRED);
+      for (const validator of original.members) {
+        expect(appealPanel).to.not.include(validator.address);
+      }
+
+      const { members, others } = split(appealPanel);
+      const outsider = others.find((v) => !original.members.includes(v));
+      await expect(
+        contract.connect(outsider).voteOnAppeal(contentId, 90)
+      ).to.be.revertedWith("Not assigned to appeal");
+
+      await contract.connect(members[0]).voteOnAppeal(contentId, 90);
+      await expect(contract.connect(members[1]).voteOnAppeal(contentId, 90))
+        .to.emit(contract, "AppealResolved")
+        .withArgs(contentId, true, 90);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupFull, increaseTime, submitContent } = require("./test-helpers");
+
+describe("ContentCreatorSystem - Engagement Oracle Tests", function () {
+  let contract, oracle, owner, creator1, creator2, reporters, outsider;
+  let contentIds;
+
+  const types = {
+    EngagementReport: [
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+      { name: "day", type: "uint256" },
+      { name: "entries", type: "EngagementEntry[]" },
+    ],
+    EngagementEntry: [
+      { name: "contentId", type: "bytes32" },
+      { name: "views", type: "uint256" },
+      { name: "likes", type: "uint256" },
+      { name: "shares", type: "uint256" },
+    ],
+  };
+
+  async function today() {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return Math.floor(timestamp / 86400);
+  }
+
+  // Reports cover today unless another day is given
+  async function buildReport(nonce, entries, day) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return {
+      nonce,
+      deadline: timestamp + 3600,
+      day: day === undefined ? await today() : day,
+      entries,
+    };
+  }
+
+  // Signs with every signer and orders the signatures by signer address
+  async function sign(report, signers) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "ContentCreatorEngagementOracle",
+      version: "1",
+      chainId,
+      verifyingContract: oracle.address,
+    };
+    const sorted = [...signers].sort((a, b) =>
+      ethers.BigNumber.from(a.address).lt(b.address) ? -1 : 1
+    );
+    return Promise.all(
+      sorted.map((signer) => signer._signTypedData(domain, types, report))
+    );
+  }
+
+  beforeEach(async function () {
+    ({ contract, owner, creator1, creator2 } = await setupFull());
+    const signers = await ethers.getSigners();
+    reporters = signers.slice(10, 13);
+    outsider = signers[13];
+
+    const EngagementOracle = await ethers.getContractFactory(
+      "EngagementOracle"
+    );
+    oracle = await EngagementOracle.deploy(contract.address);
+    await oracle.deployed();
+    for (const reporter of reporters) {
+      await oracle.addReporter(reporter.address);
+    }
+    await oracle.setThreshold(2);
+    await contract.setEngagementOracle(oracle.address);
+
+    contentIds = [
+      await submitContent(contract, creator1),
+      await submitContent(contract, creator2),
+    ];
+  });
+
+  describe("Batch Submission", function () {
+    it("Should apply a report signed by the threshold of reporters", async function () {
+      const report = await buildReport(1, [
+        { contentId: contentIds[0], views: 1000, likes: 0, shares: 0 },
+        { contentId: contentIds[1], views: 0, likes: 100, shares: 20 },
+      ]);
+      const signatures = await sign(report, reporters.slice(0, 2));
+
+      expect(await oracle.hashReport(report)).to.equal(
+        ethers.utils._TypedDataEncoder.hash(
+          {
+            name: "ContentCreatorEngagementOracle",
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: oracle.address,
+          },
+          types,
+          report
+        )
+      );
+
+      await expect(
+        oracle.connect(outsider).submitEngagementBatch(report, signatures)
+      )
+        .to.emit(oracle, "EngagementBatchSubmitted")
+        .withArgs(1, outsider.address, 2)
+        .and.to.emit(contract, "EngagementRecorded");
+
+      expect(await contract.contentEngagement(contentIds[0])).to.equal(10);
+      expect(await contract.contentEngagement(contentIds[1])).to.equal(20);
+      expect(await oracle.usedNonces(1)).to.be.true;
+    });
+
+    it("Should require enough distinct reporter signatures", async function () {
+      const report = await buildReport(1, [
+        { contentId: contentIds[0], views: 1000, likes: 0, shares: 0 },
+      ]);
+      const [single] = await sign(report, [reporters[0]]);
+
+      await expect(
+        oracle.submitEngagementBatch(report, [single])
+      ).to.be.revertedWith("Not enough signatures");
+      await expect(
+        oracle.submitEngagementBatch(report, [single, single])
+      ).to.be.revertedWith("Signers not sorted or duplicated");
+
+      const forged = await sign(report, [reporters[0], outsider]);
+      await expect(
+        oracle.submitEngagementBatch(report, forged)
+      ).to.be.revertedWith("Signer is not a reporter");
+    });
+
+    it("Should reject replayed, expired and altered reports", async function () {
+      const report = await buildReport(7, [
+        { contentId: contentIds[0], views: 1000, likes: 0, shares: 0 },
+      ]);
+      const signatures = await sign(report, reporters);
+      await oracle.submitEngagementBatch(report, signatures);
+
+      await expect(
+        oracle.submitEngagementBatch(report, signatures)
+      ).to.be.revertedWith("Nonce already used");
+
+      const altered = {
+        ...report,
+        nonce: 8,
+        entries: [{ ...report.entries[0], views: 100000 }],
+      };
+      await expect(oracle.submitEngagementBatch(altered, signatures)).to.be
+        .reverted;
+
+      const late = await buildReport(9, report.entries);
+      const lateSignatures = await sign(late, reporters);
+      await increaseTime(3601);
+      await expect(
+        oracle.submitEngagementBatch(late, lateSignatures)
+      ).to.be.revertedWith("Report expired");
+    });
+
+    it("Should record each report into the day it covers", async function () {
+      const day = await today();
+      const entries = [
+        { contentId: contentIds[0], views: 1000, likes: 0, shares: 0 },
+      ];
+      for (const [nonce, reportDay] of [
+        [1, day - 1],
+        [2, day],
+      ]) {
+        const report = await buildReport(nonce, entries, reportDay);
+        await oracle.submitEngagementBatch(
+          report,
+          await sign(report, reporters)
+        );
+      }
+
+      const history = await contract.getEngagementHistory(contentIds[0]);
+      expect(history.map((snapshot) => snapshot.day.toNumber())).to.deep.equal([
+        day - 1,
+        day,
+      ]);
+      expect(await contract.contentEngagement(contentIds[0])).to.equal(20);
+
+      const closed = await buildReport(3, entries, day - 1);
+      await expect(
+        oracle.submitEngagementBatch(closed, await sign(closed, reporters))
+      ).to.be.revertedWith("Day already closed");
+      const future = await buildReport(4, entries, day + 1);
+      await expect(
+        oracle.submitEngagementBatch(future, await sign(future, reporters))
+      ).to.be.revertedWith("Day in the future");
+    });
+  });
+
+  describe("Reporter Management", function () {
+    it("Should let only the owner manage reporters and the threshold", async function () {
+      await expect(
+        oracle.connect(outsider).addReporter(outsider.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(oracle.setThreshold(4)).to.be.revertedWith(
+        "Invalid threshold"
+      );
+      await expect(oracle.setThreshold(0)).to.be.revertedWith(
+        "Invalid threshold"
+      );
+
+      await oracle.setThreshold(3);
+      await expect(
+        oracle.removeReporter(reporters[0].address)
+      ).to.be.revertedWith("Threshold above reporters");
+
+      await oracle.setThreshold(2);
+      await expect(oracle.removeReporter(reporters[0].address))
+        .to.emit(oracle, "ReporterRemoved")
+        .withArgs(reporters[0].address);
+      expect(await oracle.getReporters()).to.have.members([
+        reporters[1].address,
+        reporters[2].address,
+      ]);
+    });
+
+    it("Should only accept engagement from moderators or the oracle", async function () {
+      await expect(
+        contract
+          .connect(outsider)
+          .recordEngagement(contentIds[0], { views: 1, likes: 0, shares: 0 })
+      ).to.be.revertedWith("Caller is not a moderator");
+      const parameterAdminRole = await contract.PARAMETER_ADMIN_ROLE();
+      await expect(
+        contract.connect(outsider).setEngagementOracle(outsider.address)
+      ).to.be.revertedWith(
+        `AccessControl: account ${outsider.address.toLowerCase()} is missing role ${parameterAdminRole}`
+      );
+
+      await expect(contract.setEngagementOracle(owner.address))
+        .to.emit(contract, "EngagementOracleUpdated")
+        .withArgs(owner.address);
+      await contract.recordEngagement(contentIds[0], {
+        views: 100,
+        likes: 0,
+        shares: 0,
+      });
+      expect(await contract.contentEngagement(contentIds[0])).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { setupFull, increaseTime, toWei } = require("./test-helpers");
+
+describe("ContentCreatorSystem - Timelocked Governance Tests", function () {
+  let contract, timelock, moderator, creator1, addresses;
+  const DELAY = 2 * 24 * 60 * 60;
+  const GOVERNED_ROLES = [
+    "MINTER_ROLE",
+    "PARAMETER_ADMIN_ROLE",
+    "TREASURY_ROLE",
+    "DEFAULT_ADMIN_ROLE",
+  ];
+
+  // Schedules a call on the system through the timelock and returns the
+  // arguments needed to execute or cancel it
+  async function schedule(
+    functionName,
+    args,
+    salt = ethers.constants.HashZero
+  ) {
+    const data = contract.interface.encodeFunctionData(functionName, args);
+    const call = [contract.address, 0, data, ethers.constants.HashZero, salt];
+    await timelock.schedule(...call, DELAY);
+    return call;
+  }
+
+  beforeEach(async function () {
+    ({ contract, moderator, creator1, addresses } = await setupFull());
+
+    const ContentCreatorTimelock = await ethers.getContractFactory(
+      "ContentCreatorTimelock"
+    );
+    timelock = await ContentCreatorTimelock.deploy(
+      DELAY,
+      [addresses.owner],
+      [ethers.constants.AddressZero],
+      ethers.constants.AddressZero
+    );
+    await timelock.deployed();
+
+    // Same handover as scripts/deploy.js
+    for (const name of GOVERNED_ROLES) {
+      await contract.grantRole(await contract[name](), timelock.address);
+    }
+    for (const name of GOVERNED_ROLES) {
+      await contract.renounceRole(await contract[name](), addresses.owner);
+    }
+  });
+
+  describe("Role Handover", function () {
+    it("Should leave governed operations to the timelock only", async function () {
+      for (const name of GOVERNED_ROLES) {
+        const role = await contract[name]();
+        expect(await contract.hasRole(role, timelock.address)).to.be.true;
+        expect(await contract.hasRole(role, addresses.owner)).to.be.false;
+      }
+
+      const missing = (role) =>
+        `AccessControl: account ${addresses.owner.toLowerCase()} is missing role ${role}`;
+      const minterRole = await contract.MINTER_ROLE();
+      const parameterAdminRole = await contract.PARAMETER_ADMIN_ROLE();
+      await expect(
+        contract.mint(addresses.creator1, toWei(1000))
+      ).to.be.revertedWith(missing(minterRole));
+      await expect(contract.startNewSeason()).to.be.revertedWith(
+        missing(parameterAdminRole)
+      );
+
+      // Pausing stays instant for emergencies
+      await contract.pause();
+      expect(await contract.paused()).to.be.true;
+    });
+  });
+
+  describe("Scheduled Operations", function () {
+    it("Should let anyone execute a queued mint after the delay", async function () {
+      const amount = toWei(1000);
+      const call = await schedule("mint", [addresses.creator1, amount]);
+
+      await expect(
+        timelock.connect(creator1).execute(...call)
+      ).to.be.revertedWith("TimelockController: operation is not ready");
+
+      await increaseTime(DELAY);
+      await expect(timelock.connect(creator1).execute(...call))
+        .to.emit(contract, "TokensMinted")
+        .withArgs(addresses.creator1, amount);
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(amount);
+    });
+
+    it("Should enforce the minimum delay and proposer role", async function () {
+      const data = contract.interface.encodeFunctionData("startNewSeason");
+      await expect(
+        timelock.schedule(
+          contract.address,
+          0,
+          data,
+          ethers.constants.HashZero,
+          ethers.constants.HashZero,
+          DELAY - 1
+        )
+      ).to.be.revertedWith("TimelockController: insufficient delay");
+
+      await expect(
+        timelock
+          .connect(moderator)
+          .schedule(
+            contract.address,
+            0,
+            data,
+            ethers.constants.HashZero,
+            ethers.constants.HashZero,
+            DELAY
+          )
+      ).to.be.reverted;
+    });
+
+    it("Should not execute cancelled operations", async function () {
+      const call = await schedule("startNewSeason", []);
+      const id = await timelock.hashOperation(...call);
+
+      await expect(timelock.cancel(id))
+        .to.emit(timelock, "Cancelled")
+        .withArgs(id);
+      await increaseTime(DELAY);
+      await expect(timelock.execute(...call)).to.be.revertedWith(
+        "TimelockController: operation is not ready"
+      );
+    });
+
+    it("Should queue treasury withdrawals to the timelock", async function () {
+      const amount = toWei(100);
+      await contract.transfer(contract.address, amount);
+      const call = await schedule("emergencyWithdraw", [
+        contract.address,
+        amount,
+      ]);
+
+      await increaseTime(DELAY);
+      await timelock.execute(...call);
+      expect(await contract.balanceOf(timelock.address)).to.equal(amount);
+    });
+
+    it("Should queue role grants through the default admin role", async function () {
+      const call = await schedule("addModerator", [addresses.creator1]);
+
+      await increaseTime(DELAY);
+      await expect(timelock.execute(...call))
+        .to.emit(contract, "ModeratorAdded")
+        .withArgs(addresses.creator1);
+      expect(await contract.moderators(addresses.creator1)).to.be.true;
+    });
+  });
+});
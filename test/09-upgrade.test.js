@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  deployImplementation,
+  systemAt,
+  submitAndValidateContent,
+  commitScore,
+  revealScore,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Upgrade Tests", function () {
+  let contract, proxyAdmin, libraries, forwarder;
+  let owner, moderator, validator1, validator2, creator1, creator2, addresses;
+  let approvedId, pendingId;
+
+  async function upgradeToV2() {
+    const { implementation } = await deployImplementation(
+      forwarder.address,
+      "ContentCreatorSystemV2",
+      libraries
+    );
+    await proxyAdmin.upgradeAndCall(
+      contract.address,
+      implementation.address,
+      implementation.interface.encodeFunctionData("initializeV2")
+    );
+    return systemAt(contract.address, "ContentCreatorSystemV2");
+  }
+
+  // Everything v1 wrote that must read back the same after the upgrade
+  async function snapshot(system) {
+    const accounts = Object.values(addresses).concat(system.address);
+    return {
+      totalSupply: await system.totalSupply(),
+      balances: await Promise.all(accounts.map((a) => system.balanceOf(a))),
+      contents: await Promise.all(
+        [approvedId, pendingId].map((id) => system.getContent(id))
+      ),
+      rawContent: await system.contents(approvedId),
+      creatorContents: await system.getCreatorContents(addresses.creator1),
+      pending: await system.getPendingContents(0, 10, 0),
+      params: await system.contentTypeParams(0),
+      vesting: await system.getVestingSchedule(addresses.creator1),
+      tranches: await system.getVestingTranches(addresses.creator1),
+      validatorVesting: await system.getVestingTranches(addresses.validator1),
+      stakes: await Promise.all(
+        [addresses.validator1, addresses.validator2].map((v) =>
+          system.getValidatorStake(v)
+        )
+      ),
+      validatorStats: await system.getValidatorStats(addresses.validator1),
+      scores: await system.validatorScores(approvedId, addresses.validator1),
+      achievements: await system.getCreatorAchievements(addresses.creator1),
+      engagement: await system.getEngagementTotals(approvedId),
+      history: await system.getEngagementHistory(approvedId),
+      season: await system.currentSeason(),
+      seasonData: await system.seasons(1),
+      seasonStats: await system.seasonStats(1, addresses.creator1),
+      treasury: await system.treasury(),
+      moderators: await system.getRoleMemberCount(
+        await system.MODERATOR_ROLE()
+      ),
+      validators: await system.getRoleMemberCount(
+        await system.VALIDATOR_ROLE()
+      ),
+      isAdmin: await system.hasRole(ethers.constants.HashZero, addresses.owner),
+    };
+  }
+
+  beforeEach(async function () {
+    ({
+      contract,
+      proxyAdmin,
+      libraries,
+      forwarder,
+      owner,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+
+    // Fill v1 with a season, approved content with engagement and vesting,
+    // and content still waiting on reveals
+    await contract.setTreasury(addresses.owner);
+    await contract.setSeasonRewardAmount(toWei(1000));
+    await contract.startNewSeason();
+
+    approvedId = await submitAndValidateContent(contract, creator1, 85);
+    await contract
+      .connect(moderator)
+      .recordEngagement(approvedId, { views: 1000, likes: 20, shares: 4 });
+
+    const tx = await contract
+      .connect(creator2)
+      .submitContent(ethers.utils.id("pending content"), 1);
+    pendingId = (await tx.wait()).events.find(
+      (e) => e.event === "ContentSubmitted"
+    ).args.contentId;
+    await commitScore(contract, validator1, pendingId, 70);
+    await commitScore(contract, validator2, pendingId, 90);
+  });
+
+  describe("State Migration", function () {
+    it("Should keep balances, content, stakes and vesting across the upgrade", async function () {
+      const before = await snapshot(contract);
+      const previous = await proxyAdmin.getProxyImplementation(
+        contract.address
+      );
+
+      const upgraded = await upgradeToV2();
+
+      expect(
+        await proxyAdmin.getProxyImplementation(contract.address)
+      ).to.not.equal(previous);
+      expect(upgraded.address).to.equal(contract.address);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.upgradedAt()).to.be.gt(0);
+      expect(await snapshot(upgraded)).to.deep.equal(before);
+    });
+
+    it("Should keep running on the migrated state", async function () {
+      const upgraded = await upgradeToV2();
+
+      // Commitments made under v1 can be revealed under v2
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW / 2 + 1);
+      await revealScore(upgraded, validator1, pendingId, 70);
+      await revealScore(upgraded, validator2, pendingId, 90);
+      const content = await upgraded.getContent(pendingId);
+      expect(content.status).to.equal(1);
+      expect(content.qualityScore).to.equal(80);
+
+      // Rewards vested under v1 release under v2
+      await increaseTime(CONSTANTS.VESTING_PERIOD);
+      const releasable = await upgraded.releasableAmount(addresses.creator1);
+      expect(releasable).to.be.gt(0);
+      await expect(upgraded.connect(creator1).releaseVested())
+        .to.emit(upgraded, "VestedRewardReleased")
+        .withArgs(addresses.creator1, releasable);
+
+      // Stakes taken under v1 can still be withdrawn
+      await increaseTime(CONSTANTS.MIN_STAKE_DURATION);
+      await upgraded.connect(validator1).requestUnstake();
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW);
+      await upgraded.connect(validator1).unstakeValidator();
+      expect((await upgraded.getValidatorStake(addresses.validator1)).isStaked)
+        .to.be.false;
+    });
+  });
+
+  describe("Upgrade Safety", function () {
+    it("Should only let the ProxyAdmin owner upgrade", async function () {
+      const { implementation } = await deployImplementation(
+        forwarder.address,
+        "ContentCreatorSystemV2",
+        libraries
+      );
+      await expect(
+        proxyAdmin
+          .connect(creator1)
+          .upgrade(contract.address, implementation.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should not initialize twice or initialize the implementation", async function () {
+      await expect(contract.initialize(addresses.owner)).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+
+      const upgraded = await upgradeToV2();
+      await expect(upgraded.initializeV2()).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+
+      const implementation = await ethers.getContractAt(
+        "ContentCreatorSystem",
+        await proxyAdmin.getProxyImplementation(contract.address)
+      );
+      await expect(
+        implementation.initialize(addresses.owner)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should reject calls neither the core nor the extension implements", async function () {
+      await expect(
+        owner.sendTransaction({ to: contract.address, data: "0x12345678" })
+      ).to.be.reverted;
+      expect(await contract.extension()).to.not.equal(
+        ethers.constants.AddressZero
+      );
+    });
+  });
+});
@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  deployForwarder,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  scoreCommitment,
+  SALT,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Meta-Transaction Tests", function () {
+  let contract, forwarder, owner, validator1, validator2, creator1, creator2;
+  let addresses, relayer;
+
+  const permitTypes = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  const forwardRequestTypes = {
+    ForwardRequest: [
+      { name: "from", type: "address" },
+      { name: "to", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "gas", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "data", type: "bytes" },
+    ],
+  };
+
+  async function permitDomain() {
+    const { chainId } = await ethers.provider.getNetwork();
+    return {
+      name: "Content Creator Token",
+      version: "1",
+      chainId,
+      verifyingContract: contract.address,
+    };
+  }
+
+  async function signPermit(signer, spender, value, deadline) {
+    const nonce = await contract.nonces(signer.address);
+    const signature = await signer._signTypedData(
+      await permitDomain(),
+      permitTypes,
+      { owner: signer.address, spender, value, nonce, deadline }
+    );
+    return ethers.utils.splitSignature(signature);
+  }
+
+  async function deadlineIn(seconds) {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    return timestamp + seconds;
+  }
+
+  // Has `signer` sign a call to the system and `relayer` submit it through
+  // `via`, paying the gas
+  async function relay(signer, method, args, via = forwarder) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to: contract.address,
+      value: 0,
+      gas: 2_000_000,
+      nonce: (await via.getNonce(signer.address)).toNumber(),
+      data: contract.interface.encodeFunctionData(method, args),
+    };
+    const signature = await signer._signTypedData(
+      {
+        name: "MinimalForwarder",
+        version: "0.0.1",
+        chainId,
+        verifyingContract: via.address,
+      },
+      forwardRequestTypes,
+      request
+    );
+    return via.connect(relayer).execute(request, signature);
+  }
+
+  beforeEach(async function () {
+    ({
+      contract,
+      forwarder,
+      owner,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+    relayer = (await ethers.getSigners())[10];
+  });
+
+  describe("Permit", function () {
+    it("Should approve through a signed permit", async function () {
+      const value = toWei(500);
+      const deadline = await deadlineIn(3600);
+      const { v, r, s } = await signPermit(
+        owner,
+        addresses.creator1,
+        value,
+        deadline
+      );
+
+      expect(await contract.DOMAIN_SEPARATOR()).to.equal(
+        ethers.utils._TypedDataEncoder.hashDomain(await permitDomain())
+      );
+
+      await expect(
+        contract
+          .connect(relayer)
+          .permit(addresses.owner, addresses.creator1, value, deadline, v, r, s)
+      )
+        .to.emit(contract, "Approval")
+        .withArgs(addresses.owner, addresses.creator1, value);
+      expect(await contract.nonces(addresses.owner)).to.equal(1);
+
+      await contract
+        .connect(creator1)
+        .transferFrom(addresses.owner, addresses.creator2, value);
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(value);
+    });
+
+    it("Should reject expired, replayed and forged permits", async function () {
+      const value = toWei(500);
+      const deadline = await deadlineIn(3600);
+      const { v, r, s } = await signPermit(
+        owner,
+        addresses.creator1,
+        value,
+        deadline
+      );
+      await contract.permit(
+        addresses.owner,
+        addresses.creator1,
+        value,
+        deadline,
+        v,
+        r,
+        s
+      );
+      await expect(
+        contract.permit(
+          addresses.owner,
+          addresses.creator1,
+          value,
+          deadline,
+          v,
+          r,
+          s
+        )
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+
+      const forged = await signPermit(
+        creator2,
+        addresses.creator1,
+        value,
+        deadline
+      );
+      await expect(
+        contract.permit(
+          addresses.owner,
+          addresses.creator1,
+          value,
+          deadline,
+          forged.v,
+          forged.r,
+          forged.s
+        )
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+
+      const late = await signPermit(owner, addresses.creator1, value, deadline);
+      await increaseTime(3601);
+      await expect(
+        contract.permit(
+          addresses.owner,
+          addresses.creator1,
+          value,
+          deadline,
+          late.v,
+          late.r,
+          late.s
+        )
+      ).to.be.revertedWith("ERC20Permit: expired deadline");
+    });
+  });
+
+  describe("Forwarded Calls", function () {
+    it("Should attribute forwarded submissions to the signer", async function () {
+      expect(await contract.trustedForwarder()).to.equal(forwarder.address);
+      expect(await contract.isTrustedForwarder(forwarder.address)).to.be.true;
+
+      await expect(
+        relay(creator1, "submitContent", [ethers.utils.id("gasless"), 0])
+      ).to.emit(contract, "ContentSubmitted");
+
+      const [contentId] = await contract.getCreatorContents(addresses.creator1);
+      expect((await contract.getContent(contentId)).creator).to.equal(
+        addresses.creator1
+      );
+      expect(await contract.getCreatorContents(relayer.address)).to.be.empty;
+
+      // The signer's cooldown applies whichever way they submit
+      await expect(
+        contract.connect(creator1).submitContent(ethers.utils.id("direct"), 0)
+      ).to.be.revertedWith("Cooldown period not elapsed");
+    });
+
+    it("Should validate content through forwarded commits and reveals", async function () {
+      await relay(creator1, "submitContent", [ethers.utils.id("gasless"), 0]);
+      const [contentId] = await contract.getCreatorContents(addresses.creator1);
+
+      for (const validator of [validator1, validator2]) {
+        await relay(validator, "commitScore", [
+          contentId,
+          scoreCommitment(contentId, validator.address, 80),
+        ]);
+      }
+      for (const validator of [validator1, validator2]) {
+        await relay(validator, "revealScore", [contentId, 80, SALT]);
+      }
+
+      const content = await contract.getContent(contentId);
+      expect(content.status).to.equal(1);
+      expect(content.validationCount).to.equal(2);
+      expect(
+        (await contract.getValidatorStats(addresses.validator1)).validations
+      ).to.equal(1);
+    });
+
+    it("Should stake and move tokens for the signer", async function () {
+      const validator = (await ethers.getSigners())[11];
+      await contract.addValidator(validator.address);
+      await contract.transfer(validator.address, CONSTANTS.VALIDATOR_STAKE);
+
+      await relay(validator, "stakeAsValidator", []);
+      expect((await contract.getValidatorStake(validator.address)).isStaked).to
+        .be.true;
+      expect(await contract.balanceOf(validator.address)).to.equal(0);
+
+      await relay(creator1, "approve", [addresses.creator2, toWei(10)]);
+      expect(
+        await contract.allowance(addresses.creator1, addresses.creator2)
+      ).to.equal(toWei(10));
+    });
+
+    it("Should not let an untrusted forwarder speak for the signer", async function () {
+      const untrusted = await deployForwarder();
+      expect(await contract.isTrustedForwarder(untrusted.address)).to.be.false;
+
+      await relay(
+        creator1,
+        "submitContent",
+        [ethers.utils.id("spoofed"), 0],
+        untrusted
+      );
+      expect(await contract.getCreatorContents(addresses.creator1)).to.be.empty;
+      expect(
+        await contract.getCreatorContents(untrusted.address)
+      ).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  commitScore,
+  revealScore,
+  submitAndValidateContent,
+  submitContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Treasury and Fee Tests", function () {
+  let contract, moderator, validator1, validator2, creator1, creator2;
+  let addresses, treasury;
+
+  const SUBMISSION_FEE = toWei(5);
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+    treasury = (await ethers.getSigners())[10];
+
+    await contract.transfer(addresses.creator1, toWei(100));
+    await contract.setTreasury(treasury.address);
+  });
+
+  describe("Fee Configuration", function () {
+    it("Should cap fees and gate them by the parameter admin role", async function () {
+      const parameterAdminRole = await contract.PARAMETER_ADMIN_ROLE();
+      await expect(
+        contract.connect(creator1).setSubmissionFee(SUBMISSION_FEE)
+      ).to.be.revertedWith(
+        `AccessControl: account ${addresses.creator1.toLowerCase()} is missing role ${parameterAdminRole}`
+      );
+      await expect(contract.setSubmissionFee(toWei(101))).to.be.revertedWith(
+        "Fee exceeds maximum"
+      );
+      await expect(contract.setTransferFee(501)).to.be.revertedWith(
+        "Fee exceeds maximum"
+      );
+
+      await expect(contract.setSubmissionFee(SUBMISSION_FEE))
+        .to.emit(contract, "SubmissionFeeUpdated")
+        .withArgs(SUBMISSION_FEE);
+      await expect(contract.setTransferFee(100))
+        .to.emit(contract, "TransferFeeUpdated")
+        .withArgs(100);
+      expect(await contract.submissionFee()).to.equal(SUBMISSION_FEE);
+      expect(await contract.transferFee()).to.equal(100);
+    });
+  });
+
+  describe("Submission Fee", function () {
+    beforeEach(async function () {
+      await contract.setSubmissionFee(SUBMISSION_FEE);
+    });
+
+    it("Should escrow the fee and refund it on approval", async function () {
+      const contentId = await submitContent(contract, creator1);
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(95));
+      expect(await contract.getHeldSubmissionFee(contentId)).to.equal(
+        SUBMISSION_FEE
+      );
+
+      await commitScore(contract, validator1, contentId, 80);
+      await commitScore(contract, validator2, contentId, 80);
+      await revealScore(contract, validator1, contentId, 80);
+      await expect(revealScore(contract, validator2, contentId, 80))
+        .to.emit(contract, "SubmissionFeeRefunded")
+        .withArgs(contentId, addresses.creator1, SUBMISSION_FEE);
+
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(100));
+      expect(await contract.getHeldSubmissionFee(contentId)).to.equal(0);
+    });
+
+    it("Should forfeit the fee to the treasury on rejection", async function () {
+      const contentId = await submitAndValidateContent(contract, creator1, 30);
+
+      expect((await contract.getContent(contentId)).status).to.equal(2);
+      expect(await contract.balanceOf(treasury.address)).to.equal(
+        SUBMISSION_FEE
+      );
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(95));
+      const [submissionFees] = await contract.getFeeTotals();
+      expect(submissionFees).to.equal(SUBMISSION_FEE);
+    });
+
+    it("Should refund on expiry and forfeit on removal", async function () {
+      const expiring = await submitContent(contract, creator1);
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+      await expect(contract.finalizeExpired(expiring))
+        .to.emit(contract, "SubmissionFeeRefunded")
+        .withArgs(expiring, addresses.creator1, SUBMISSION_FEE);
+
+      const removed = await submitContent(contract, creator1);
+      await expect(contract.connect(moderator).removeContent(removed))
+        .to.emit(contract, "SubmissionFeeForfeited")
+        .withArgs(removed, SUBMISSION_FEE);
+
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(95));
+      expect(await contract.balanceOf(treasury.address)).to.equal(
+        SUBMISSION_FEE
+      );
+    });
+
+    it("Should require the fee from the creator", async function () {
+      await expect(submitContent(contract, creator2)).to.be.revertedWith(
+        "ERC20: transfer amount exceeds balance"
+      );
+    });
+  });
+
+  describe("Transfer Fee", function () {
+    beforeEach(async function () {
+      await contract.setTransferFee(100); // 1%
+    });
+
+    it("Should send the fee on transfer and transferFrom to the treasury", async function () {
+      await contract.connect(creator1).transfer(addresses.creator2, toWei(50));
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(
+        toWei(49.5)
+      );
+      expect(await contract.balanceOf(treasury.address)).to.equal(toWei(0.5));
+
+      await contract.connect(creator1).approve(addresses.creator2, toWei(10));
+      await contract
+        .connect(creator2)
+        .transferFrom(addresses.creator1, addresses.creator2, toWei(10));
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(40));
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(
+        toWei(59.4)
+      );
+
+      const [, transferFees] = await contract.getFeeTotals();
+      expect(transferFees).to.equal(toWei(0.6));
+      const [balance] = await contract.treasuryBalance();
+      expect(balance).to.equal(toWei(0.6));
+    });
+
+    it("Should not charge the treasury or charge without one", async function () {
+      await contract.transfer(treasury.address, toWei(10));
+      await contract.connect(treasury).transfer(addresses.creator2, toWei(10));
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(toWei(10));
+
+      await contract.setTreasury(ethers.constants.AddressZero);
+      await contract.connect(creator1).transfer(addresses.creator2, toWei(10));
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(toWei(20));
+    });
+  });
+
+  describe("Treasury-Funded Rewards", function () {
+    it("Should pay rewards from the treasury allowance before minting", async function () {
+      await contract.transfer(treasury.address, toWei(100));
+      await contract.connect(treasury).approve(contract.address, toWei(15));
+      const supply = await contract.totalSupply();
+
+      // 8 tokens to the creator and 2 to the validators
+      await submitAndValidateContent(contract, creator1, 80);
+      expect(await contract.totalSupply()).to.equal(supply);
+      const [balance, rewardAllowance] = await contract.treasuryBalance();
+      expect(balance).to.equal(toWei(90));
+      expect(rewardAllowance).to.equal(toWei(5));
+
+      // Only 5 tokens are left approved; the other 5 are minted
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await submitAndValidateContent(contract, creator1, 80);
+      expect(await contract.totalSupply()).to.equal(supply.add(toWei(5)));
+      expect(await contract.balanceOf(treasury.address)).to.equal(toWei(85));
+
+      const [, , treasuryRewards] = await contract.getFeeTotals();
+      expect(treasuryRewards).to.equal(toWei(15));
+    });
+
+    it("Should mint every reward when the treasury has not approved", async function () {
+      await contract.transfer(treasury.address, toWei(100));
+      const supply = await contract.totalSupply();
+
+      await submitAndValidateContent(contract, creator1, 80);
+      expect(await contract.totalSupply()).to.equal(supply.add(toWei(10)));
+      expect(await contract.balanceOf(treasury.address)).to.equal(toWei(100));
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  submitAndValidateContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Emission Schedule Tests", function () {
+  let contract, creator1, creator2, addresses;
+
+  // 8 tokens to the creator and 2 to the validators at quality 80
+  async function vested(account) {
+    return (await contract.vestingSchedules(account)).totalAmount;
+  }
+
+  // Mints `amount` of season rewards at once. Nobody scores in the season,
+  // so the pool rolls over into unallocatedSeasonPool.
+  async function spendEpochBudget(amount) {
+    await contract.setSeasonRewardAmount(amount);
+    await contract.startNewSeason();
+    await increaseTime(90 * 24 * 60 * 60);
+    await contract.endSeason();
+  }
+
+  beforeEach(async function () {
+    ({ contract, creator1, creator2, addresses } = await setupFull());
+  });
+
+  describe("Epoch Budget", function () {
+    it("Should track what each epoch has emitted", async function () {
+      let epoch = await contract.getEmissionEpoch();
+      expect(epoch.epoch).to.equal(0);
+      expect(epoch.budget).to.equal(CONSTANTS.INITIAL_EPOCH_EMISSION);
+      expect(epoch.emitted).to.equal(0);
+      expect(epoch.endsAt).to.equal(
+        (await contract.emissionStart()).add(CONSTANTS.EMISSION_EPOCH)
+      );
+
+      await submitAndValidateContent(contract, creator1, 80);
+      epoch = await contract.getEmissionEpoch();
+      expect(epoch.emitted).to.equal(toWei(10));
+
+      const { epochRemaining, supplyRemaining } =
+        await contract.remainingEmissions();
+      expect(epochRemaining).to.equal(
+        CONSTANTS.INITIAL_EPOCH_EMISSION.sub(toWei(10))
+      );
+      expect(supplyRemaining).to.equal(
+        CONSTANTS.MAX_SUPPLY.sub(await contract.totalSupply())
+      );
+    });
+
+    it("Should reset every epoch and halve the budget over time", async function () {
+      await submitAndValidateContent(contract, creator1, 80);
+      await increaseTime(CONSTANTS.EMISSION_EPOCH);
+
+      let epoch = await contract.getEmissionEpoch();
+      expect(epoch.epoch).to.equal(1);
+      expect(epoch.emitted).to.equal(0);
+
+      await increaseTime(
+        CONSTANTS.EMISSION_EPOCH * (CONSTANTS.EMISSION_HALVING_EPOCHS - 1)
+      );
+      epoch = await contract.getEmissionEpoch();
+      expect(epoch.epoch).to.equal(CONSTANTS.EMISSION_HALVING_EPOCHS);
+      expect(epoch.budget).to.equal(CONSTANTS.INITIAL_EPOCH_EMISSION.div(2));
+    });
+  });
+
+  describe("Scaling Rewards", function () {
+    it("Should scale rewards down pro-rata once the epoch budget runs low", async function () {
+      const budget = CONSTANTS.INITIAL_EPOCH_EMISSION;
+      const tapered = budget.sub(
+        budget.mul(CONSTANTS.FULL_RATE_EMISSION).div(10000)
+      );
+      // What a reward of `amount` mints with `left` of the budget unspent
+      const scaled = (amount, left) => amount.mul(left).div(tapered);
+
+      // Paid in full, since it starts before the taper, leaving half of it
+      await spendEpochBudget(budget.sub(tapered.div(2)));
+      expect(await contract.unallocatedSeasonPool()).to.equal(
+        budget.sub(tapered.div(2))
+      );
+
+      // So each reward gets about half of what it asked for
+      let left = tapered.div(2);
+      const creatorPaid = scaled(toWei(8), left);
+      const validatorsPaid = scaled(toWei(2), left.sub(creatorPaid));
+      const scaledId = await submitAndValidateContent(contract, creator1, 80);
+      expect((await contract.getContent(scaledId)).status).to.equal(1);
+      expect(creatorPaid).to.equal(toWei(4));
+      expect(await vested(addresses.creator1)).to.equal(creatorPaid);
+      left = left.sub(creatorPaid).sub(validatorsPaid);
+      expect((await contract.remainingEmissions()).epochRemaining).to.equal(
+        left
+      );
+
+      // A later payout in the epoch is cut by the same factor, not to nothing
+      const laterPaid = scaled(toWei(8), left);
+      const laterId = await submitAndValidateContent(contract, creator2, 80);
+      expect((await contract.getContent(laterId)).status).to.equal(1);
+      expect(await vested(addresses.creator2)).to.equal(laterPaid);
+      expect(laterPaid).to.be.closeTo(toWei(4), toWei(1).div(1000));
+
+      const events = await contract.queryFilter(
+        contract.filters.RewardScaledDown()
+      );
+      expect(events.map((e) => [e.args.requested, e.args.paid])).to.deep.equal([
+        [toWei(8), creatorPaid],
+        [toWei(2), validatorsPaid],
+        [toWei(8), laterPaid],
+        [toWei(2), scaled(toWei(2), left.sub(laterPaid))],
+      ]);
+    });
+
+    it("Should never mint past MAX_SUPPLY", async function () {
+      const supply = await contract.totalSupply();
+      await contract.mint(
+        addresses.owner,
+        CONSTANTS.MAX_SUPPLY.sub(supply).sub(toWei(5))
+      );
+
+      const contentId = await submitAndValidateContent(contract, creator1, 80);
+      expect((await contract.getContent(contentId)).status).to.equal(1);
+      expect(await vested(addresses.creator1)).to.equal(toWei(5));
+      expect(await contract.totalSupply()).to.equal(CONSTANTS.MAX_SUPPLY);
+
+      const { epochRemaining, supplyRemaining } =
+        await contract.remainingEmissions();
+      expect(epochRemaining).to.equal(0);
+      expect(supplyRemaining).to.equal(0);
+
+      await spendEpochBudget(toWei(1000));
+      expect(await contract.unallocatedSeasonPool()).to.equal(0);
+    });
+  });
+});
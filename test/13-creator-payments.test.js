@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  submitAndValidateContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Creator Payment Tests", function () {
+  let contract, moderator, creator1, creator2;
+  let addresses, treasury, contentId;
+
+  const DAY = 24 * 60 * 60;
+
+  beforeEach(async function () {
+    ({ contract, moderator, creator1, creator2, addresses } =
+      await setupFull());
+    treasury = (await ethers.getSigners())[10];
+
+    await contract.transfer(addresses.creator2, toWei(1000));
+    contentId = await submitAndValidateContent(contract, creator1, 80);
+  });
+
+  describe("Tipping", function () {
+    it("Should route tips to the creator with the protocol cut", async function () {
+      await contract.setTreasury(treasury.address);
+      await expect(contract.setProtocolCut(1001)).to.be.revertedWith(
+        "Cut exceeds maximum"
+      );
+      await expect(contract.setProtocolCut(500))
+        .to.emit(contract, "ProtocolCutUpdated")
+        .withArgs(500);
+
+      await expect(contract.connect(creator2).tipContent(contentId, toWei(100)))
+        .to.emit(contract, "ContentTipped")
+        .withArgs(
+          contentId,
+          addresses.creator2,
+          addresses.creator1,
+          toWei(100),
+          toWei(5)
+        );
+
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(95));
+      expect(await contract.balanceOf(treasury.address)).to.equal(toWei(5));
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1))
+          .supportReceived
+      ).to.equal(toWei(95));
+    });
+
+    it("Should pay the whole tip while no treasury is set", async function () {
+      await contract.setProtocolCut(500);
+      await contract.connect(creator2).tipContent(contentId, toWei(100));
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(100));
+    });
+
+    it("Should reject empty, self and removed-content tips", async function () {
+      await expect(
+        contract.connect(creator2).tipContent(contentId, 0)
+      ).to.be.revertedWith("Invalid amount");
+      await expect(
+        contract.connect(creator1).tipContent(contentId, toWei(1))
+      ).to.be.revertedWith("Cannot tip own content");
+      await expect(
+        contract
+          .connect(creator2)
+          .tipContent(ethers.utils.id("missing"), toWei(1))
+      ).to.be.revertedWith("Content does not exist");
+
+      await contract.connect(moderator).removeContent(contentId);
+      await expect(
+        contract.connect(creator2).tipContent(contentId, toWei(1))
+      ).to.be.revertedWith("Content removed");
+    });
+  });
+
+  describe("Subscriptions", function () {
+    it("Should charge the first period and let anyone pull due payments", async function () {
+      await contract.connect(creator2).approve(contract.address, toWei(20));
+      await expect(
+        contract
+          .connect(creator2)
+          .subscribe(addresses.creator1, toWei(10), 30 * DAY)
+      )
+        .to.emit(contract, "Subscribed")
+        .withArgs(addresses.creator2, addresses.creator1, toWei(10), 30 * DAY);
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(10));
+
+      await expect(
+        contract.collectSubscription(addresses.creator2, addresses.creator1)
+      ).to.be.revertedWith("Payment not due");
+
+      await increaseTime(30 * DAY);
+      await expect(
+        contract
+          .connect(moderator)
+          .collectSubscription(addresses.creator2, addresses.creator1)
+      ).to.emit(contract, "SubscriptionCharged");
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(20));
+      expect(
+        await contract.allowance(addresses.creator2, contract.address)
+      ).to.equal(toWei(10));
+
+      const subscription = await contract.getSubscription(
+        addresses.creator2,
+        addresses.creator1
+      );
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      expect(subscription.nextPaymentAt).to.equal(timestamp + 30 * DAY);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1))
+          .supportReceived
+      ).to.equal(toWei(20));
+    });
+
+    it("Should stop pulling without allowance or after cancelling", async function () {
+      await contract
+        .connect(creator2)
+        .subscribe(addresses.creator1, toWei(10), 7 * DAY);
+
+      await increaseTime(7 * DAY);
+      await expect(
+        contract.collectSubscription(addresses.creator2, addresses.creator1)
+      ).to.be.revertedWith("ERC20: insufficient allowance");
+
+      await contract.connect(creator2).approve(contract.address, toWei(100));
+      await expect(
+        contract.connect(creator2).cancelSubscription(addresses.creator1)
+      )
+        .to.emit(contract, "SubscriptionCancelled")
+        .withArgs(addresses.creator2, addresses.creator1);
+      await expect(
+        contract.collectSubscription(addresses.creator2, addresses.creator1)
+      ).to.be.revertedWith("Not subscribed");
+    });
+
+    it("Should validate subscription terms", async function () {
+      await expect(
+        contract
+          .connect(creator2)
+          .subscribe(addresses.creator2, toWei(10), 7 * DAY)
+      ).to.be.revertedWith("Invalid creator");
+      await expect(
+        contract.connect(creator2).subscribe(addresses.creator1, 0, 7 * DAY)
+      ).to.be.revertedWith("Invalid amount");
+      await expect(
+        contract
+          .connect(creator2)
+          .subscribe(addresses.creator1, toWei(10), DAY - 1)
+      ).to.be.revertedWith("Invalid period");
+      await expect(
+        contract.connect(creator2).cancelSubscription(addresses.creator1)
+      ).to.be.revertedWith("Not subscribed");
+    });
+  });
+
+  describe("Creator Levels", function () {
+    it("Should count paying audiences toward creator levels", async function () {
+      for (let i = 1; i < 5; i++) {
+        await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+        await submitAndValidateContent(contract, creator1, 80);
+      }
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1)).level
+      ).to.equal(0);
+
+      // 500 CCT of support counts as 500 engagement points
+      await contract.connect(creator2).tipContent(contentId, toWei(400));
+      await expect(
+        contract
+          .connect(creator2)
+          .subscribe(addresses.creator1, toWei(100), 30 * DAY)
+      )
+        .to.emit(contract, "AchievementUnlocked")
+        .withArgs(addresses.creator1, 1);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  CONSTANTS,
+  toWei,
+  validateContent,
+  submitContent,
+  submitAndValidateContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Content NFT Tests", function () {
+  let contract, nft, moderator, validator1, validator2;
+  let creator1, creator2, addresses, collector;
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+    collector = (await ethers.getSigners())[10];
+
+    const ContentNFT = await ethers.getContractFactory("ContentNFT");
+    nft = await ContentNFT.deploy(contract.address);
+    await nft.deployed();
+    await expect(contract.setContentNFT(nft.address))
+      .to.emit(contract, "ContentNFTUpdated")
+      .withArgs(nft.address);
+  });
+
+  describe("Minting", function () {
+    it("Should mint the NFT to the creator on approval", async function () {
+      const pendingId = await submitContent(contract, creator1, "QmPending");
+      expect(await nft.holderOf(pendingId)).to.equal(
+        ethers.constants.AddressZero
+      );
+
+      await validateContent(contract, pendingId, [validator1, validator2], 80);
+      const tokenId = ethers.BigNumber.from(pendingId);
+      expect(await nft.ownerOf(tokenId)).to.equal(addresses.creator1);
+      expect(await nft.originalCreator(tokenId)).to.equal(addresses.creator1);
+      expect(await nft.tokenURI(tokenId)).to.equal("QmPending");
+
+      await nft.setBaseURI("ipfs://");
+      expect(await nft.tokenURI(tokenId)).to.equal("ipfs://QmPending");
+    });
+
+    it("Should not mint for rejected content", async function () {
+      const contentId = await submitContent(contract, creator1, "QmRejected");
+      await validateContent(contract, contentId, [validator1, validator2], 30);
+      expect(await nft.holderOf(contentId)).to.equal(
+        ethers.constants.AddressZero
+      );
+      await expect(contract.mintContentNFT(contentId)).to.be.revertedWith(
+        "Content not approved"
+      );
+    });
+
+    it("Should backfill content approved before the NFT was set", async function () {
+      await contract.setContentNFT(ethers.constants.AddressZero);
+      const contentId = await submitAndValidateContent(contract, creator1, 80);
+      await expect(contract.mintContentNFT(contentId)).to.be.revertedWith(
+        "Content NFT not set"
+      );
+
+      await contract.setContentNFT(nft.address);
+      await contract.connect(creator2).mintContentNFT(contentId);
+      expect(await nft.holderOf(contentId)).to.equal(addresses.creator1);
+      await expect(contract.mintContentNFT(contentId)).to.be.revertedWith(
+        "Already minted"
+      );
+    });
+
+    it("Should only take hooks from the system", async function () {
+      const contentId = ethers.utils.id("content");
+      await expect(
+        nft.activate(addresses.creator1, contentId, "QmContent")
+      ).to.be.revertedWith("Caller is not the system");
+      await expect(nft.freeze(contentId)).to.be.revertedWith(
+        "Caller is not the system"
+      );
+    });
+  });
+
+  describe("Royalties", function () {
+    it("Should pay royalties to the original creator after a sale", async function () {
+      const contentId = await submitAndValidateContent(contract, creator1, 80);
+      const tokenId = ethers.BigNumber.from(contentId);
+      await nft
+        .connect(creator1)
+        .transferFrom(addresses.creator1, collector.address, tokenId);
+
+      const [receiver, royalty] = await nft.royaltyInfo(tokenId, toWei(100));
+      expect(receiver).to.equal(addresses.creator1);
+      expect(royalty).to.equal(toWei(5));
+      // ERC-2981
+      expect(await nft.supportsInterface("0x2a55205a")).to.be.true;
+    });
+
+    it("Should cap royalties and gate setters by the owner", async function () {
+      await expect(nft.setRoyalty(1001)).to.be.revertedWith(
+        "Royalty exceeds maximum"
+      );
+      await expect(nft.connect(creator1).setRoyalty(100)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(
+        nft.connect(creator1).setBaseURI("ipfs://")
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+
+      await expect(nft.setRoyalty(250))
+        .to.emit(nft, "RoyaltyUpdated")
+        .withArgs(250);
+      const [, royalty] = await nft.royaltyInfo(1, toWei(100));
+      expect(royalty).to.equal(toWei(2.5));
+    });
+  });
+
+  describe("Holder Payments", function () {
+    let contentId;
+
+    beforeEach(async function () {
+      contentId = await submitAndValidateContent(contract, creator1, 80);
+      await nft
+        .connect(creator1)
+        .transferFrom(
+          addresses.creator1,
+          collector.address,
+          ethers.BigNumber.from(contentId)
+        );
+    });
+
+    it("Should send tips to the current holder", async function () {
+      await contract.transfer(addresses.creator2, toWei(10));
+      await expect(contract.connect(creator2).tipContent(contentId, toWei(10)))
+        .to.emit(contract, "ContentTipped")
+        .withArgs(
+          contentId,
+          addresses.creator2,
+          collector.address,
+          toWei(10),
+          0
+        );
+      expect(await contract.balanceOf(collector.address)).to.equal(toWei(10));
+
+      // The creator no longer owns the content, so may tip it
+      await contract.transfer(addresses.creator1, toWei(1));
+      await contract.connect(creator1).tipContent(contentId, toWei(1));
+      await expect(
+        contract.connect(collector).tipContent(contentId, toWei(1))
+      ).to.be.revertedWith("Cannot tip own content");
+    });
+
+    it("Should vest engagement rewards to the current holder", async function () {
+      const creatorVested = (
+        await contract.getVestingSchedule(addresses.creator1)
+      ).totalAmount;
+
+      await contract.connect(moderator).recordEngagement(contentId, {
+        views: 10 * CONSTANTS.VIEWS_PER_POINT,
+        likes: 0,
+        shares: 0,
+      });
+
+      expect(
+        (await contract.getVestingSchedule(collector.address)).totalAmount
+      ).to.be.gt(0);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount
+      ).to.equal(creatorVested);
+    });
+
+    it("Should let the holder, not the creator, remove the content", async function () {
+      await expect(
+        contract.connect(creator1).removeContent(contentId)
+      ).to.be.revertedWith("Not authorized");
+      await contract.connect(collector).removeContent(contentId);
+      expect((await contract.getContent(contentId)).status).to.equal(3);
+    });
+  });
+
+  describe("Removal", function () {
+    it("Should freeze the NFT on removal and unfreeze it on a restoring appeal", async function () {
+      const signers = await ethers.getSigners();
+      for (const validator of signers.slice(6, 8)) {
+        await contract.addValidator(validator.address);
+        await contract.transfer(validator.address, CONSTANTS.VALIDATOR_STAKE);
+        await contract.connect(validator).stakeAsValidator();
+      }
+      await contract.transfer(addresses.creator1, CONSTANTS.APPEAL_BOND);
+
+      const contentId = await submitAndValidateContent(contract, creator1, 80);
+      const tokenId = ethers.BigNumber.from(contentId);
+      await expect(contract.connect(moderator).removeContent(contentId))
+        .to.emit(nft, "ContentFrozen")
+        .withArgs(contentId);
+      expect(await nft.frozen(tokenId)).to.be.true;
+      await expect(
+        nft
+          .connect(creator1)
+          .transferFrom(addresses.creator1, collector.address, tokenId)
+      ).to.be.revertedWith("Token frozen");
+
+      await contract.connect(creator1).appealContent(contentId);
+      await contract.connect(signers[6]).voteOnAppeal(contentId, 90);
+      await expect(contract.connect(signers[7]).voteOnAppeal(contentId, 90))
+        .to.emit(nft, "ContentUnfrozen")
+        .withArgs(contentId);
+
+      await nft
+        .connect(creator1)
+        .transferFrom(addresses.creator1, collector.address, tokenId);
+      expect(await nft.ownerOf(tokenId)).to.equal(collector.address);
+    });
+
+    it("Should leave content without an NFT removable", async function () {
+      const contentId = await submitContent(contract, creator1, "QmPending");
+      await expect(contract.connect(moderator).removeContent(contentId)).to.not
+        .be.reverted;
+      expect(await nft.holderOf(contentId)).to.equal(
+        ethers.constants.AddressZero
+      );
+    });
+  });
+});
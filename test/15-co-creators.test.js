@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  CONSTANTS,
+  toWei,
+  validateContent,
+  commitScore,
+  submitContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Co-Creator Tests", function () {
+  let contract, moderator, validator1, validator2, creator1, creator2;
+  let addresses, fan;
+
+  async function submitWithSplits(creator, splits) {
+    const contentHash = ethers.utils.id("co-created " + Math.random());
+    const tx = await contract
+      .connect(creator)
+      .submitContentWithSplits(contentHash, 0, splits);
+    const receipt = await tx.wait();
+    return receipt.events.find((e) => e.event === "ContentSubmitted").args
+      .contentId;
+  }
+
+  // creator1 submits and holds 60%; creator2 holds 40%
+  const defaultSplits = () => [
+    { account: addresses.creator1, share: 6000 },
+    { account: addresses.creator2, share: 4000 },
+  ];
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+    fan = (await ethers.getSigners())[10];
+  });
+
+  describe("Submission", function () {
+    it("Should record the splits and list the content for every co-creator", async function () {
+      const tx = await contract
+        .connect(creator1)
+        .submitContentWithSplits(
+          ethers.utils.id("co-created"),
+          0,
+          defaultSplits()
+        );
+      const receipt = await tx.wait();
+      const contentId = receipt.events.find(
+        (e) => e.event === "ContentSubmitted"
+      ).args.contentId;
+      await expect(tx)
+        .to.emit(contract, "CoCreatorAdded")
+        .withArgs(contentId, addresses.creator2, 4000);
+
+      const splits = await contract.getContentSplits(contentId);
+      expect(splits.map((s) => s.account)).to.deep.equal([
+        addresses.creator1,
+        addresses.creator2,
+      ]);
+      expect(splits.map((s) => s.share.toNumber())).to.deep.equal([6000, 4000]);
+      expect((await contract.getContent(contentId)).creator).to.equal(
+        addresses.creator1
+      );
+      expect(
+        await contract.getCreatorContents(addresses.creator1)
+      ).to.deep.equal([contentId]);
+      expect(
+        await contract.getCreatorContents(addresses.creator2)
+      ).to.deep.equal([contentId]);
+    });
+
+    it("Should reject invalid splits", async function () {
+      const { creator1: a, creator2: b } = addresses;
+      const cases = [
+        [[{ account: a, share: 10000 }], "Invalid co-creator count"],
+        [
+          Array.from({ length: 11 }, (_, i) => ({
+            account: ethers.Wallet.createRandom().address,
+            share: i === 0 ? 9000 : 100,
+          })),
+          "Invalid co-creator count",
+        ],
+        [
+          [
+            { account: a, share: 6000 },
+            { account: b, share: 3000 },
+          ],
+          "Shares must sum to 100%",
+        ],
+        [
+          [
+            { account: a, share: 6000 },
+            { account: a, share: 4000 },
+          ],
+          "Duplicate co-creator",
+        ],
+        [
+          [
+            { account: a, share: 10000 },
+            { account: b, share: 0 },
+          ],
+          "Invalid share",
+        ],
+        [
+          [
+            { account: a, share: 6000 },
+            { account: ethers.constants.AddressZero, share: 4000 },
+          ],
+          "Invalid co-creator",
+        ],
+        [
+          [
+            { account: b, share: 6000 },
+            { account: fan.address, share: 4000 },
+          ],
+          "Submitter must be a co-creator",
+        ],
+      ];
+      for (const [splits, reason] of cases) {
+        await expect(
+          contract
+            .connect(creator1)
+            .submitContentWithSplits(ethers.utils.id("bad"), 0, splits)
+        ).to.be.revertedWith(reason);
+      }
+    });
+
+    it("Should keep every co-creator off the panel", async function () {
+      const contentId = await submitWithSplits(creator1, [
+        { account: addresses.creator1, share: 5000 },
+        { account: addresses.validator1, share: 5000 },
+      ]);
+      await expect(
+        commitScore(contract, validator1, contentId, 90)
+      ).to.be.revertedWith("Cannot validate own content");
+    });
+
+    it("Should count a rejection only against the submitter", async function () {
+      const ownId = await submitContent(contract, creator2);
+      await validateContent(contract, ownId, [validator1, validator2], 90);
+
+      const contentId = await submitWithSplits(creator1, defaultSplits());
+      await validateContent(contract, contentId, [validator1, validator2], 30);
+
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1))
+          .rejectedContent
+      ).to.equal(1);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator2))
+          .rejectedContent
+      ).to.equal(0);
+      // The co-creator still loses 40% of the 100 rejection penalty
+      expect(
+        (await contract.getCreatorReputation(addresses.creator2)).score
+      ).to.equal(50);
+    });
+  });
+
+  describe("Revenue Splits", function () {
+    let contentId;
+
+    beforeEach(async function () {
+      contentId = await submitWithSplits(creator1, defaultSplits());
+      await validateContent(contract, contentId, [validator1, validator2], 80);
+    });
+
+    it("Should split the approval reward and credit both co-creators", async function () {
+      // 80% of the 10 token base reward, split 60/40
+      expect(
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount
+      ).to.equal(toWei(4.8));
+      expect(
+        (await contract.getVestingSchedule(addresses.creator2)).totalAmount
+      ).to.equal(toWei(3.2));
+
+      for (const creator of [addresses.creator1, addresses.creator2]) {
+        const achievements = await contract.getCreatorAchievements(creator);
+        expect(achievements.totalContent).to.equal(1);
+        expect(achievements.highQualityContent).to.equal(1);
+      }
+    });
+
+    it("Should split tips and reject tips from any co-creator", async function () {
+      await contract.transfer(fan.address, toWei(100));
+      await expect(contract.connect(fan).tipContent(contentId, toWei(100)))
+        .to.emit(contract, "ContentTipped")
+        .withArgs(contentId, fan.address, addresses.creator1, toWei(100), 0);
+
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(60));
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(toWei(40));
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator2))
+          .supportReceived
+      ).to.equal(toWei(40));
+
+      await expect(
+        contract.connect(creator2).tipContent(contentId, toWei(1))
+      ).to.be.revertedWith("Cannot tip own content");
+    });
+
+    it("Should split engagement points and rewards", async function () {
+      const before = [
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount,
+        (await contract.getVestingSchedule(addresses.creator2)).totalAmount,
+      ];
+
+      // 100 points pay 2% of the base reward each: 20 tokens
+      const metrics = {
+        views: 100 * CONSTANTS.VIEWS_PER_POINT,
+        likes: 0,
+        shares: 0,
+      };
+      await contract.connect(moderator).recordEngagement(contentId, metrics);
+
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1))
+          .totalEngagement
+      ).to.equal(60);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator2))
+          .totalEngagement
+      ).to.equal(40);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount
+      ).to.equal(before[0].add(toWei(12)));
+      expect(
+        (await contract.getVestingSchedule(addresses.creator2)).totalAmount
+      ).to.equal(before[1].add(toWei(8)));
+
+      // Re-recording the day swaps each co-creator's part, not adds to it
+      await contract.connect(moderator).recordEngagement(contentId, {
+        ...metrics,
+        views: 50 * CONSTANTS.VIEWS_PER_POINT,
+      });
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator2))
+          .totalEngagement
+      ).to.equal(20);
+    });
+
+    it("Should pay three co-creators each their own share", async function () {
+      const third = (await ethers.getSigners())[11];
+      const payees = [addresses.creator1, addresses.creator2, third.address];
+      const vested = async () =>
+        Promise.all(
+          payees.map(
+            async (account) =>
+              (await contract.getVestingSchedule(account)).totalAmount
+          )
+        );
+      const before = await vested();
+
+      const splitId = await submitWithSplits(creator2, [
+        { account: addresses.creator2, share: 2500 },
+        { account: addresses.creator1, share: 5000 },
+        { account: third.address, share: 2500 },
+      ]);
+      await validateContent(contract, splitId, [validator1, validator2], 80);
+      // 100 points pay 20 tokens on top of the 8 token approval reward
+      await contract.connect(moderator).recordEngagement(splitId, {
+        views: 100 * CONSTANTS.VIEWS_PER_POINT,
+        likes: 0,
+        shares: 0,
+      });
+
+      const after = await vested();
+      expect(after.map((amount, i) => amount.sub(before[i]))).to.deep.equal([
+        toWei(14),
+        toWei(7),
+        toWei(7),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  validateContent,
+  submitContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Content Registry Tests", function () {
+  let contract, moderator, validator1, validator2, creator1, creator2;
+  let addresses;
+
+  const Status = {
+    Pending: 0,
+    Approved: 1,
+    Rejected: 2,
+    Removed: 3,
+    UnderAppeal: 4,
+    Expired: 5,
+  };
+
+  async function idsByStatus(status) {
+    const [records] = await contract.getContentsByStatus(status, 0, 100);
+    return records.map((r) => r.contentId);
+  }
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+  });
+
+  describe("Global and Type Indexes", function () {
+    let ids;
+
+    beforeEach(async function () {
+      ids = [];
+      for (const contentType of [0, 2, 0]) {
+        const contentHash = "QmContent" + ids.length;
+        ids.push(
+          await submitContent(contract, creator1, contentHash, contentType)
+        );
+        await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      }
+    });
+
+    it("Should page through all content in submission order", async function () {
+      const [firstPage, total] = await contract.getContents(0, 2);
+      expect(total).to.equal(3);
+      expect(firstPage.map((r) => r.contentId)).to.deep.equal(ids.slice(0, 2));
+
+      const [lastPage] = await contract.getContents(2, 2);
+      expect(lastPage.map((r) => r.contentId)).to.deep.equal([ids[2]]);
+      const [empty] = await contract.getContents(3, 2);
+      expect(empty).to.be.empty;
+
+      const record = firstPage[1];
+      const content = await contract.getContent(ids[1]);
+      expect(record.creator).to.equal(content.creator);
+      expect(record.contentHash).to.equal(content.contentHash);
+      expect(record.timestamp).to.equal(content.timestamp);
+      expect(record.contentType).to.equal(2);
+      expect(record.status).to.equal(Status.Pending);
+      expect(record.deadline).to.equal(
+        content.timestamp.add(CONSTANTS.VALIDATION_WINDOW)
+      );
+    });
+
+    it("Should page by content type and creator", async function () {
+      const [articles, articleCount] = await contract.getContentsByType(
+        0,
+        0,
+        10
+      );
+      expect(articleCount).to.equal(2);
+      expect(articles.map((r) => r.contentId)).to.deep.equal([ids[0], ids[2]]);
+      const [, imageCount] = await contract.getContentsByType(1, 0, 10);
+      expect(imageCount).to.equal(0);
+
+      const [mine, mineCount] = await contract.getCreatorContentRecords(
+        addresses.creator1,
+        1,
+        1
+      );
+      expect(mineCount).to.equal(3);
+      expect(mine.map((r) => r.contentId)).to.deep.equal([ids[1]]);
+    });
+
+    it("Should find where a time window starts", async function () {
+      const second = (await contract.getContent(ids[1])).timestamp;
+      expect(await contract.findContentIndex(0)).to.equal(0);
+      expect(await contract.findContentIndex(second)).to.equal(1);
+      expect(await contract.findContentIndex(second.add(1))).to.equal(2);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      expect(await contract.findContentIndex(timestamp + 1)).to.equal(3);
+    });
+  });
+
+  describe("Status Index", function () {
+    it("Should follow validation, expiry and removal", async function () {
+      const approved = await submitContent(contract, creator1);
+      const rejected = await submitContent(contract, creator2);
+      expect(await idsByStatus(Status.Pending)).to.have.members([
+        approved,
+        rejected,
+      ]);
+
+      await validateContent(contract, approved, [validator1, validator2], 80);
+      await validateContent(contract, rejected, [validator1, validator2], 30);
+      expect(await idsByStatus(Status.Pending)).to.be.empty;
+      expect(await idsByStatus(Status.Approved)).to.deep.equal([approved]);
+      expect(await idsByStatus(Status.Rejected)).to.deep.equal([rejected]);
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const expiring = await submitContent(contract, creator1);
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+      await contract.finalizeExpired(expiring);
+      expect(await idsByStatus(Status.Expired)).to.deep.equal([expiring]);
+
+      await contract.connect(moderator).removeContent(approved);
+      expect(await idsByStatus(Status.Approved)).to.be.empty;
+      expect(await idsByStatus(Status.Removed)).to.deep.equal([approved]);
+      const [, pendingCount] = await contract.getContentsByStatus(
+        Status.Pending,
+        0,
+        10
+      );
+      expect(pendingCount).to.equal(0);
+    });
+
+    it("Should follow appeals", async function () {
+      const signers = await ethers.getSigners();
+      for (const validator of signers.slice(6, 8)) {
+        await contract.addValidator(validator.address);
+        await contract.transfer(validator.address, CONSTANTS.VALIDATOR_STAKE);
+        await contract.connect(validator).stakeAsValidator();
+      }
+      await contract.transfer(addresses.creator1, CONSTANTS.APPEAL_BOND);
+
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(contract, contentId, [validator1, validator2], 30);
+      await contract.connect(creator1).appealContent(contentId);
+      expect(await idsByStatus(Status.Rejected)).to.be.empty;
+      expect(await idsByStatus(Status.UnderAppeal)).to.deep.equal([contentId]);
+
+      await contract.connect(signers[6]).voteOnAppeal(contentId, 90);
+      await contract.connect(signers[7]).voteOnAppeal(contentId, 90);
+      expect(await idsByStatus(Status.UnderAppeal)).to.be.empty;
+      expect(await idsByStatus(Status.Approved)).to.deep.equal([contentId]);
+    });
+  });
+});
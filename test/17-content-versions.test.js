@@ -0,0 +1,298 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  validateContent,
+  drawnPanel,
+  submitContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Content Version Tests", function () {
+  let contract, moderator, validator1, validator2, creator1, creator2;
+  let addresses;
+
+  const Status = { Pending: 0, Approved: 1, Rejected: 2, Expired: 5 };
+  const Policy = { Revalidate: 0, KeepApproval: 1 };
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+  });
+
+  describe("Revalidated Updates", function () {
+    let contentId, vested;
+
+    beforeEach(async function () {
+      contentId = await submitContent(contract, creator1, "QmOriginal");
+      await validateContent(contract, contentId, [validator1, validator2], 80);
+      vested = (await contract.getVestingSchedule(addresses.creator1))
+        .totalAmount;
+      // Revalidated updates wait out the submission cooldown
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+    });
+
+    it("Should send an updated version back to validation", async function () {
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "QmFixed")
+      )
+        .to.emit(contract, "ContentUpdated")
+        .withArgs(contentId, 1, "QmFixed", true);
+
+      const content = await contract.getContent(contentId);
+      expect(content.contentHash).to.equal("QmFixed");
+      expect(content.status).to.equal(Status.Pending);
+      expect(content.isValidated).to.be.false;
+      expect(content.validationCount).to.equal(0);
+      expect(content.qualityScore).to.equal(0);
+      expect(await contract.getPendingContentCount()).to.equal(1);
+
+      const [pending] = await contract.getContentsByStatus(
+        Status.Pending,
+        0,
+        10
+      );
+      expect(pending.map((r) => r.contentId)).to.deep.equal([contentId]);
+      expect(pending[0].version).to.equal(1);
+    });
+
+    it("Should let the previous panel score the new version without a second creator reward", async function () {
+      // The new window opens at the update, not at the original submission
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW);
+      await contract.connect(creator1).updateContent(contentId, "QmFixed");
+      await validateContent(contract, contentId, [validator1, validator2], 70);
+
+      const content = await contract.getContent(contentId);
+      expect(content.status).to.equal(Status.Approved);
+      expect(content.qualityScore).to.equal(70);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount
+      ).to.equal(vested);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1)).totalContent
+      ).to.equal(1);
+    });
+
+    it("Should reward rejected content once a fixed version is approved", async function () {
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const rejectedId = await submitContent(contract, creator1, "QmTypo");
+      await validateContent(contract, rejectedId, [validator1, validator2], 30);
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await contract.connect(creator1).updateContent(rejectedId, "QmNoTypo");
+      await validateContent(contract, rejectedId, [validator1, validator2], 80);
+
+      expect((await contract.getContent(rejectedId)).status).to.equal(
+        Status.Approved
+      );
+      expect(
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount
+      ).to.equal(vested.mul(2));
+    });
+
+    it("Should let a rejected revision be appealed after the original was", async function () {
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const rejectedId = await submitContent(contract, creator1, "QmTypo");
+      await validateContent(contract, rejectedId, [validator1, validator2], 30);
+
+      // Two validators who did not score the content hear its appeals
+      const signers = await ethers.getSigners();
+      const appealPanel = signers.slice(6, 8);
+      for (const validator of appealPanel) {
+        await contract.addValidator(validator.address);
+        await contract.transfer(validator.address, CONSTANTS.VALIDATOR_STAKE);
+        await contract.connect(validator).stakeAsValidator();
+      }
+      await contract.transfer(addresses.creator1, CONSTANTS.APPEAL_BOND.mul(2));
+
+      await contract.connect(creator1).appealContent(rejectedId);
+      for (const validator of appealPanel) {
+        await contract.connect(validator).voteOnAppeal(rejectedId, 20);
+      }
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await contract.connect(creator1).updateContent(rejectedId, "QmStillTypo");
+      const revisionPanel = await drawnPanel(contract, rejectedId);
+      await validateContent(contract, rejectedId, revisionPanel, 30);
+
+      await expect(contract.connect(creator1).appealContent(rejectedId))
+        .to.emit(contract, "AppealFiled")
+        .withArgs(rejectedId, addresses.creator1, CONSTANTS.APPEAL_BOND);
+      // A fresh panel, drawn from outside the revision's panel
+      const drawn = await contract.getAppealPanel(rejectedId);
+      expect(drawn.length).to.equal(CONSTANTS.MIN_VALIDATORS_REQUIRED);
+      for (const validator of revisionPanel) {
+        expect(drawn).to.not.include(validator.address);
+      }
+    });
+
+    it("Should share the submission cooldown with new submissions", async function () {
+      await submitContent(contract, creator1);
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "QmFixed")
+      ).to.be.revertedWith("Cooldown period not elapsed");
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await contract.connect(creator1).updateContent(contentId, "QmFixed");
+      expect(await contract.lastContentSubmission(addresses.creator1)).to.equal(
+        (await ethers.provider.getBlock("latest")).timestamp
+      );
+      await expect(submitContent(contract, creator1)).to.be.revertedWith(
+        "Cooldown period not elapsed"
+      );
+    });
+
+    it("Should charge the submission fee again and freeze the NFT", async function () {
+      const ContentNFT = await ethers.getContractFactory("ContentNFT");
+      const nft = await ContentNFT.deploy(contract.address);
+      await nft.deployed();
+      await contract.setContentNFT(nft.address);
+      await contract.mintContentNFT(contentId);
+      await contract.setSubmissionFee(toWei(10));
+      await contract.transfer(addresses.creator1, toWei(10));
+
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "QmFixed")
+      )
+        .to.emit(nft, "ContentFrozen")
+        .withArgs(contentId);
+      expect(await contract.getHeldSubmissionFee(contentId)).to.equal(
+        toWei(10)
+      );
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(0);
+
+      await validateContent(contract, contentId, [validator1, validator2], 80);
+      const tokenId = ethers.BigNumber.from(contentId);
+      expect(await nft.frozen(tokenId)).to.be.false;
+      expect(await nft.tokenURI(tokenId)).to.equal("QmFixed");
+      expect(await contract.balanceOf(addresses.creator1)).to.equal(toWei(10));
+    });
+  });
+
+  describe("Kept Approvals", function () {
+    it("Should keep the approval for types that allow it", async function () {
+      await expect(
+        contract.connect(creator1).setUpdatePolicy(0, Policy.KeepApproval)
+      ).to.be.reverted;
+      await expect(contract.setUpdatePolicy(0, Policy.KeepApproval))
+        .to.emit(contract, "UpdatePolicyUpdated")
+        .withArgs(0, Policy.KeepApproval);
+
+      const contentId = await submitContent(contract, creator1, "QmOriginal");
+      await validateContent(contract, contentId, [validator1, validator2], 80);
+      // Right away, as kept approvals skip the submission cooldown
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "QmFixed")
+      )
+        .to.emit(contract, "ContentUpdated")
+        .withArgs(contentId, 1, "QmFixed", false);
+
+      const content = await contract.getContent(contentId);
+      expect(content.status).to.equal(Status.Approved);
+      expect(content.qualityScore).to.equal(80);
+      expect(content.contentHash).to.equal("QmFixed");
+    });
+
+    it("Should still revalidate rejected content", async function () {
+      await contract.setUpdatePolicy(0, Policy.KeepApproval);
+      const contentId = await submitContent(contract, creator1, "QmOriginal");
+      await validateContent(contract, contentId, [validator1, validator2], 30);
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await contract.connect(creator1).updateContent(contentId, "QmFixed");
+      expect((await contract.getContent(contentId)).status).to.equal(
+        Status.Pending
+      );
+    });
+  });
+
+  describe("History", function () {
+    it("Should return every version with its timestamp", async function () {
+      await contract.setUpdatePolicy(0, Policy.KeepApproval);
+      const contentId = await submitContent(contract, creator1, "QmV0");
+      const submittedAt = (await contract.getContent(contentId)).timestamp;
+
+      const [original, count] = await contract.getContentVersions(
+        contentId,
+        0,
+        10
+      );
+      expect(count).to.equal(1);
+      expect(original[0].contentHash).to.equal("QmV0");
+      expect(original[0].timestamp).to.equal(submittedAt);
+
+      await validateContent(contract, contentId, [validator1, validator2], 80);
+      await contract.connect(creator1).updateContent(contentId, "QmV1");
+      await contract.connect(creator1).updateContent(contentId, "QmV2");
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      const [versions, total] = await contract.getContentVersions(
+        contentId,
+        1,
+        10
+      );
+      expect(total).to.equal(3);
+      expect(versions.map((v) => v.contentHash)).to.deep.equal([
+        "QmV1",
+        "QmV2",
+      ]);
+      expect(versions[1].timestamp).to.equal(timestamp);
+      expect(versions[1].keptApproval).to.be.true;
+
+      const first = await contract.getContentVersion(contentId, 0);
+      expect(first.contentHash).to.equal("QmV0");
+      expect(first.timestamp).to.equal(submittedAt);
+      expect(first.keptApproval).to.be.false;
+      await expect(contract.getContentVersion(contentId, 3)).to.be.revertedWith(
+        "Version does not exist"
+      );
+    });
+  });
+
+  describe("Restrictions", function () {
+    it("Should only update decided content of the caller", async function () {
+      const contentId = await submitContent(contract, creator1, "QmOriginal");
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "QmFixed")
+      ).to.be.revertedWith("Content not updatable");
+
+      await validateContent(contract, contentId, [validator1, validator2], 80);
+      await expect(
+        contract.connect(creator2).updateContent(contentId, "QmFixed")
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "QmOriginal")
+      ).to.be.revertedWith("Content hash unchanged");
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "")
+      ).to.be.revertedWith("Content hash cannot be empty");
+
+      await contract.connect(moderator).removeContent(contentId);
+      await expect(
+        contract.connect(creator1).updateContent(contentId, "QmFixed")
+      ).to.be.revertedWith("Content not updatable");
+    });
+
+    it("Should update expired content", async function () {
+      const contentId = await submitContent(contract, creator1, "QmOriginal");
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+      await contract.finalizeExpired(contentId);
+
+      await contract.connect(creator1).updateContent(contentId, "QmFixed");
+      const content = await contract.getContent(contentId);
+      expect(content.status).to.equal(Status.Pending);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const [[record]] = await contract.getContents(0, 1);
+      expect(record.deadline).to.equal(timestamp + CONSTANTS.VALIDATION_WINDOW);
+    });
+  });
+});
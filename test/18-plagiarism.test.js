@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  validateContent,
+  submitContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Plagiarism Tests", function () {
+  let contract, moderator, validator1, validator2, creator1, creator2;
+  let addresses;
+
+  const FINGERPRINT = ethers.utils.id("perceptual hash");
+  const Status = { Pending: 0, Removed: 3 };
+
+  async function submit(creator, contentHash, fingerprint) {
+    if (!fingerprint) {
+      return submitContent(contract, creator, contentHash);
+    }
+    const tx = await contract
+      .connect(creator)
+      .submitContentWithFingerprint(contentHash, 0, fingerprint);
+    const receipt = await tx.wait();
+    return receipt.events.find((e) => e.event === "ContentSubmitted").args
+      .contentId;
+  }
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+  });
+
+  describe("Hash Registry", function () {
+    it("Should flag a content hash another creator holds", async function () {
+      const contentId = await submit(creator1, "QmWork");
+      expect(await contract.getHashClaimant("QmWork")).to.equal(contentId);
+
+      // Whoever submitted first, the other creator is not locked out
+      const tx = await contract.connect(creator2).submitContent("QmWork", 0);
+      const receipt = await tx.wait();
+      const copy = receipt.events.find((e) => e.event === "ContentSubmitted")
+        .args.contentId;
+      await expect(tx)
+        .to.emit(contract, "DuplicateFlagged")
+        .withArgs(copy, contentId, ethers.utils.id("QmWork"));
+      const [, duplicate] = await contract.getContentProvenance(copy);
+      expect(duplicate).to.equal(contentId);
+      expect(await contract.getHashClaimant("QmWork")).to.equal(contentId);
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await expect(submit(creator1, "QmWork")).to.be.revertedWith(
+        "Content hash already claimed"
+      );
+    });
+
+    it("Should flag an update to another creator's hash", async function () {
+      const theirs = await submit(creator1, "QmTheirs");
+      const mine = await submit(creator2, "QmMine");
+      await validateContent(contract, mine, [validator1, validator2], 80);
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await expect(contract.connect(creator2).updateContent(mine, "QmTheirs"))
+        .to.emit(contract, "DuplicateFlagged")
+        .withArgs(mine, theirs, ethers.utils.id("QmTheirs"));
+      expect(await contract.getHashClaimant("QmTheirs")).to.equal(theirs);
+
+      await validateContent(contract, mine, [validator1, validator2], 80);
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await contract.connect(creator2).updateContent(mine, "QmMineFixed");
+      expect(await contract.getHashClaimant("QmMineFixed")).to.equal(mine);
+    });
+
+    it("Should release the hash of expired, rejected and self-removed content", async function () {
+      const expired = await submit(creator1, "QmExpired");
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+      await contract.finalizeExpired(expired);
+      expect(await contract.getHashClaimant("QmExpired")).to.equal(
+        ethers.constants.HashZero
+      );
+
+      // The creator can resubmit the stuck item, as new content or in place
+      const resubmitted = await submit(creator1, "QmExpired");
+      expect(await contract.getHashClaimant("QmExpired")).to.equal(resubmitted);
+      const [, duplicate] = await contract.getContentProvenance(resubmitted);
+      expect(duplicate).to.equal(ethers.constants.HashZero);
+      await contract.connect(creator1).removeContent(resubmitted);
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await contract.connect(creator1).updateContent(expired, "QmExpired");
+      expect((await contract.getContent(expired)).status).to.equal(
+        Status.Pending
+      );
+      expect(await contract.getHashClaimant("QmExpired")).to.equal(expired);
+
+      const rejected = await submit(creator2, "QmRejected");
+      await validateContent(contract, rejected, [validator1, validator2], 20);
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const again = await submit(creator2, "QmRejected");
+      expect(await contract.getHashClaimant("QmRejected")).to.equal(again);
+
+      // A moderator's removal keeps the hash blocked
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const removed = await submit(creator2, "QmRemoved");
+      await contract.connect(moderator).removeContent(removed);
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await expect(submit(creator2, "QmRemoved")).to.be.revertedWith(
+        "Content hash already claimed"
+      );
+    });
+
+    it("Should flag submissions whose fingerprint was claimed before", async function () {
+      const original = await submit(creator1, "QmOriginal", FINGERPRINT);
+      expect(await contract.getFingerprintClaimant(FINGERPRINT)).to.equal(
+        original
+      );
+
+      const tx = await contract
+        .connect(creator2)
+        .submitContentWithFingerprint("QmReencoded", 0, FINGERPRINT);
+      const receipt = await tx.wait();
+      const copy = receipt.events.find((e) => e.event === "ContentSubmitted")
+        .args.contentId;
+      await expect(tx)
+        .to.emit(contract, "DuplicateFlagged")
+        .withArgs(copy, original, FINGERPRINT);
+
+      const [fingerprint, duplicate, attributed] =
+        await contract.getContentProvenance(copy);
+      expect(fingerprint).to.equal(FINGERPRINT);
+      expect(duplicate).to.equal(original);
+      expect(attributed).to.equal(ethers.constants.HashZero);
+      // Flagged content still goes to validation
+      expect((await contract.getContent(copy)).status).to.equal(Status.Pending);
+      expect(await contract.getFingerprintClaimant(FINGERPRINT)).to.equal(
+        original
+      );
+    });
+  });
+
+  describe("Confirmed Plagiarism", function () {
+    let original, copy;
+
+    beforeEach(async function () {
+      original = await submit(creator1, "QmOriginal", FINGERPRINT);
+      await validateContent(contract, original, [validator1, validator2], 80);
+      copy = await submit(creator2, "QmCopy", FINGERPRINT);
+      await validateContent(contract, copy, [validator1, validator2], 80);
+    });
+
+    it("Should remove the copy and move its rewards to the original", async function () {
+      const originalVested = (
+        await contract.getVestingSchedule(addresses.creator1)
+      ).totalAmount;
+      // 80% of the 10 token base reward
+      const copyReward = toWei(8);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator2)).totalAmount
+      ).to.equal(copyReward);
+
+      await expect(
+        contract.connect(moderator).confirmPlagiarism(copy, original)
+      )
+        .to.emit(contract, "PlagiarismConfirmed")
+        .withArgs(copy, original, copyReward)
+        .and.to.emit(contract, "RewardClawedBack")
+        .withArgs(addresses.creator2, copy, copyReward);
+
+      expect((await contract.getContent(copy)).status).to.equal(Status.Removed);
+      const [, , attributed] = await contract.getContentProvenance(copy);
+      expect(attributed).to.equal(original);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator2)).totalAmount
+      ).to.equal(0);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator1)).totalAmount
+      ).to.equal(originalVested.add(copyReward));
+
+      await contract.transfer(addresses.creator2, CONSTANTS.APPEAL_BOND);
+      await expect(
+        contract.connect(creator2).appealContent(copy)
+      ).to.be.revertedWith("Content not appealable");
+    });
+
+    it("Should claw back released rewards from the copier's balance", async function () {
+      await contract.connect(moderator).recordEngagement(copy, {
+        views: 10 * CONSTANTS.VIEWS_PER_POINT,
+        likes: 0,
+        shares: 0,
+      });
+      const paid = (await contract.getVestingSchedule(addresses.creator2))
+        .totalAmount;
+
+      // Release part of it, then spend some of what was released
+      await increaseTime(CONSTANTS.VESTING_PERIOD / 2);
+      await contract.connect(creator2).releaseVested();
+      const released = await contract.balanceOf(addresses.creator2);
+      await contract
+        .connect(creator2)
+        .transfer(addresses.moderator, released.div(2));
+      const left = released.sub(released.div(2));
+
+      await expect(
+        contract.connect(moderator).confirmPlagiarism(copy, original)
+      )
+        .to.emit(contract, "PlagiarismConfirmed")
+        .withArgs(copy, original, paid.sub(released).add(left));
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(0);
+
+      const schedule = await contract.getVestingSchedule(addresses.creator2);
+      expect(schedule.totalAmount).to.equal(released);
+      await increaseTime(CONSTANTS.VESTING_PERIOD);
+      expect(await contract.releasableAmount(addresses.creator2)).to.equal(0);
+    });
+
+    it("Should only accept valid rulings from moderators", async function () {
+      await expect(
+        contract.connect(creator1).confirmPlagiarism(copy, original)
+      ).to.be.revertedWith("Caller is not a moderator");
+      await expect(
+        contract.connect(moderator).confirmPlagiarism(original, copy)
+      ).to.be.revertedWith("Original must be earlier");
+
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const second = await submit(creator2, "QmCopyAgain");
+      await expect(
+        contract.connect(moderator).confirmPlagiarism(second, copy)
+      ).to.be.revertedWith("Same creator");
+
+      await contract.connect(moderator).confirmPlagiarism(copy, original);
+      await expect(
+        contract.connect(moderator).confirmPlagiarism(copy, original)
+      ).to.be.revertedWith("Already confirmed");
+    });
+
+    it("Should take pending copies out of validation and keep their fee", async function () {
+      await contract.setSubmissionFee(toWei(10));
+      await contract.transfer(addresses.creator2, toWei(10));
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const pending = await submit(creator2, "QmPendingCopy");
+
+      await expect(
+        contract.connect(moderator).confirmPlagiarism(pending, original)
+      )
+        .to.emit(contract, "SubmissionFeeForfeited")
+        .withArgs(pending, toWei(10));
+      expect(await contract.getPendingContentCount()).to.equal(0);
+      const [removed] = await contract.getContentsByStatus(
+        Status.Removed,
+        0,
+        10
+      );
+      expect(removed.map((r) => r.contentId)).to.deep.equal([pending]);
+    });
+  });
+});
@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  commitScore,
+  revealScore,
+  submitContent,
+  submitAndValidateContent,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Creator Reputation Tests", function () {
+  let contract, moderator, validator1, validator2, creator1, creator2;
+  let addresses;
+
+  async function setCooldown(cooldownPeriod) {
+    const params = await contract.contentTypeParams(0);
+    await contract.setContentTypeParams(0, {
+      minValidators: params.minValidators,
+      minQualityScore: params.minQualityScore,
+      baseReward: params.baseReward,
+      cooldownPeriod,
+      validationWindow: params.validationWindow,
+    });
+  }
+
+  async function reputationOf(creator) {
+    return (await contract.getCreatorReputation(creator)).score;
+  }
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+    // Back-to-back submissions keep decay out of the exact scores below
+    await setCooldown(0);
+  });
+
+  describe("Scores", function () {
+    it("Should raise reputation on approval and halve it every half-life", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await commitScore(contract, validator1, contentId, 80);
+      await commitScore(contract, validator2, contentId, 80);
+      await revealScore(contract, validator1, contentId, 80);
+      await expect(revealScore(contract, validator2, contentId, 80))
+        .to.emit(contract, "ReputationUpdated")
+        .withArgs(addresses.creator1, 80);
+
+      const [score, level] = await contract.getCreatorReputation(
+        addresses.creator1
+      );
+      expect(score).to.equal(80);
+      expect(level).to.equal(0);
+
+      await increaseTime(CONSTANTS.REPUTATION_HALF_LIFE);
+      expect(await reputationOf(addresses.creator1)).to.equal(40);
+      // Decays linearly to the next halving in between
+      await increaseTime(CONSTANTS.REPUTATION_HALF_LIFE / 2);
+      expect(await reputationOf(addresses.creator1)).to.equal(30);
+      await increaseTime(CONSTANTS.REPUTATION_HALF_LIFE / 2);
+      expect(await reputationOf(addresses.creator1)).to.equal(20);
+    });
+
+    it("Should count rejections and take their penalty", async function () {
+      await submitAndValidateContent(contract, creator1, 90);
+      await submitAndValidateContent(contract, creator1, 90);
+      await submitAndValidateContent(contract, creator1, 30);
+
+      expect(await reputationOf(addresses.creator1)).to.equal(80);
+      const achievements = await contract.getCreatorAchievements(
+        addresses.creator1
+      );
+      expect(achievements.rejectedContent).to.equal(1);
+      expect(achievements.removedContent).to.equal(0);
+
+      // Reputation never goes below zero
+      await submitAndValidateContent(contract, creator1, 30);
+      expect(await reputationOf(addresses.creator1)).to.equal(0);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1))
+          .rejectedContent
+      ).to.equal(2);
+    });
+
+    it("Should count moderator removals but not owners removing their own", async function () {
+      await submitAndValidateContent(contract, creator1, 90);
+      await submitAndValidateContent(contract, creator1, 90);
+      await submitAndValidateContent(contract, creator1, 90);
+      const removed = await submitAndValidateContent(contract, creator1, 90);
+      await contract.connect(moderator).removeContent(removed);
+      expect(await reputationOf(addresses.creator1)).to.equal(360 - 250);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1))
+          .removedContent
+      ).to.equal(1);
+
+      const own = await submitAndValidateContent(contract, creator2, 90);
+      await contract.connect(creator2).removeContent(own);
+      expect(await reputationOf(addresses.creator2)).to.equal(90);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator2))
+          .removedContent
+      ).to.equal(0);
+    });
+
+    it("Should give back a rejection overturned on appeal", async function () {
+      await submitAndValidateContent(contract, creator1, 90);
+      await submitAndValidateContent(contract, creator1, 90);
+      const contentId = await submitAndValidateContent(contract, creator1, 30);
+      expect(await reputationOf(addresses.creator1)).to.equal(80);
+
+      // Two validators staked after the original panel was drawn hear the appeal
+      const signers = await ethers.getSigners();
+      for (const validator of signers.slice(6, 8)) {
+        await contract.addValidator(validator.address);
+        await contract.transfer(validator.address, CONSTANTS.VALIDATOR_STAKE);
+        await contract.connect(validator).stakeAsValidator();
+      }
+      await contract.transfer(addresses.creator1, CONSTANTS.APPEAL_BOND);
+
+      await contract.connect(creator1).appealContent(contentId);
+      await contract.connect(signers[6]).voteOnAppeal(contentId, 90);
+      await contract.connect(signers[7]).voteOnAppeal(contentId, 90);
+
+      // The restored approval earns its 90 and the 100 penalty comes back
+      expect(await reputationOf(addresses.creator1)).to.equal(270);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1))
+          .rejectedContent
+      ).to.equal(0);
+    });
+
+    it("Should count confirmed plagiarism as one removal", async function () {
+      const original = await submitAndValidateContent(contract, creator1, 90);
+      const copy = await submitAndValidateContent(contract, creator2, 90);
+      await contract.connect(moderator).removeContent(copy);
+      await contract.connect(moderator).confirmPlagiarism(copy, original);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator2))
+          .removedContent
+      ).to.equal(1);
+
+      const other = await submitAndValidateContent(contract, creator2, 90);
+      await contract.connect(moderator).confirmPlagiarism(other, original);
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator2))
+          .removedContent
+      ).to.equal(2);
+    });
+  });
+
+  describe("Levels and Cooldowns", function () {
+    beforeEach(async function () {
+      // Six approvals at 100 clear the first level with room for some decay
+      for (let i = 0; i < 6; i++) {
+        await submitAndValidateContent(contract, creator1, 100);
+      }
+    });
+
+    it("Should pay a level bonus from reputation", async function () {
+      expect(
+        (await contract.getCreatorReputation(addresses.creator1)).level
+      ).to.equal(1);
+      // The lifetime achievement level is unchanged
+      expect(
+        (await contract.getCreatorAchievements(addresses.creator1)).level
+      ).to.equal(0);
+
+      const before = (await contract.getVestingSchedule(addresses.creator1))
+        .totalAmount;
+      await submitAndValidateContent(contract, creator1, 100);
+      const after = (await contract.getVestingSchedule(addresses.creator1))
+        .totalAmount;
+      // 10% on top of the full 10 token base reward
+      expect(after.sub(before)).to.equal(toWei(11));
+    });
+
+    it("Should drop the bonus once reputation decays", async function () {
+      await increaseTime(CONSTANTS.REPUTATION_HALF_LIFE);
+      expect(
+        (await contract.getCreatorReputation(addresses.creator1)).level
+      ).to.equal(0);
+
+      const before = (await contract.getVestingSchedule(addresses.creator1))
+        .totalAmount;
+      await submitAndValidateContent(contract, creator1, 100);
+      const after = (await contract.getVestingSchedule(addresses.creator1))
+        .totalAmount;
+      expect(after.sub(before)).to.equal(toWei(10));
+    });
+
+    it("Should shorten the cooldown for reputable creators only", async function () {
+      await setCooldown(CONSTANTS.COOLDOWN_PERIOD);
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      await submitContent(contract, creator1);
+      await submitContent(contract, creator2);
+
+      // 15% off per level
+      const shortened = (CONSTANTS.COOLDOWN_PERIOD * 85) / 100;
+      const [cooldown, availableAt] = await contract.getSubmissionCooldown(
+        addresses.creator1,
+        0
+      );
+      expect(cooldown).to.equal(shortened);
+      expect(availableAt).to.equal(
+        (await contract.lastContentSubmission(addresses.creator1)).add(
+          shortened
+        )
+      );
+      expect(
+        (await contract.getSubmissionCooldown(addresses.creator2, 0)).cooldown
+      ).to.equal(CONSTANTS.NEWCOMER_COOLDOWN);
+
+      await increaseTime(shortened);
+      await submitContent(contract, creator1);
+      await expect(submitContent(contract, creator2)).to.be.revertedWith(
+        "Cooldown period not elapsed"
+      );
+    });
+
+    it("Should lengthen the cooldown below the first level", async function () {
+      await setCooldown(CONSTANTS.COOLDOWN_PERIOD);
+      // 50% longer for an address with no reputation at all
+      expect(
+        (await contract.getSubmissionCooldown(addresses.creator2, 0)).cooldown
+      ).to.equal(CONSTANTS.NEWCOMER_COOLDOWN);
+
+      // ...shrinking as reputation grows: 100 of 500 points leaves 40%
+      await setCooldown(0);
+      await submitAndValidateContent(contract, creator2, 100);
+      await setCooldown(CONSTANTS.COOLDOWN_PERIOD);
+      expect(await reputationOf(addresses.creator2)).to.equal(100);
+      expect(
+        (await contract.getSubmissionCooldown(addresses.creator2, 0)).cooldown
+      ).to.equal((CONSTANTS.COOLDOWN_PERIOD * 140) / 100);
+    });
+  });
+});
@@ -0,0 +1,364 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  setupFull,
+  increaseTime,
+  CONSTANTS,
+  toWei,
+  validateContent,
+  submitContent,
+  commitScore,
+  revealScore,
+} = require("./test-helpers");
+
+describe("ContentCreatorSystem - Flexible Staking Tests", function () {
+  let contract, moderator, validator1, validator2, creator1, creator2;
+  let addresses;
+
+  const pool = CONSTANTS.BASE_REWARD.mul(CONSTANTS.VALIDATOR_REWARD_SHARE).div(
+    100
+  );
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  beforeEach(async function () {
+    ({
+      contract,
+      moderator,
+      validator1,
+      validator2,
+      creator1,
+      creator2,
+      addresses,
+    } = await setupFull());
+  });
+
+  describe("Stake Sizes", function () {
+    it("Should open stakes above the minimum and top them up", async function () {
+      await contract.addValidator(addresses.creator2);
+      await contract.transfer(addresses.creator2, toWei(3000));
+      await expect(
+        contract.connect(creator2).increaseStake(toWei(999))
+      ).to.be.revertedWith("Stake below minimum");
+
+      await contract.connect(creator2).increaseStake(toWei(2500));
+      await expect(contract.connect(creator2).increaseStake(toWei(500)))
+        .to.emit(contract, "ValidatorStaked")
+        .withArgs(addresses.creator2, toWei(500));
+      expect(
+        (await contract.getValidatorStake(addresses.creator2)).amount
+      ).to.equal(toWei(3000));
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(0);
+
+      await expect(
+        contract.connect(validator1).stakeAsValidator()
+      ).to.be.revertedWith("Already staked");
+      await expect(
+        contract.connect(creator1).increaseStake(toWei(1000))
+      ).to.be.revertedWith("Not a validator");
+    });
+
+    it("Should let a slashed validator top back up to the minimum", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [100, 20]
+      );
+      await contract
+        .connect(moderator)
+        .slashValidator(addresses.validator1, contentId, 1000);
+
+      await contract.transfer(addresses.validator1, toWei(100));
+      await contract.connect(validator1).increaseStake(toWei(100));
+      await increaseTime(CONSTANTS.NEWCOMER_COOLDOWN);
+      const nextId = await submitContent(contract, creator1);
+      await validateContent(contract, nextId, [validator1, validator2], 80);
+      expect((await contract.getContent(nextId)).isValidated).to.be.true;
+    });
+  });
+
+  describe("Unbonding Queue", function () {
+    beforeEach(async function () {
+      await contract.transfer(addresses.validator1, toWei(2000));
+      await contract.connect(validator1).increaseStake(toWei(2000));
+      await increaseTime(CONSTANTS.MIN_STAKE_DURATION);
+    });
+
+    it("Should unbond part of a stake and keep the validator serving", async function () {
+      await expect(
+        contract.connect(validator1).unbondStake(toWei(2500))
+      ).to.be.revertedWith("Remaining stake below minimum");
+
+      await contract.connect(validator1).unbondStake(toWei(500));
+      const tx = await contract.connect(validator1).unbondStake(toWei(1000));
+      const availableAt =
+        (await latestTimestamp()) + CONSTANTS.UNSTAKE_SLASH_WINDOW;
+      await expect(tx)
+        .to.emit(contract, "StakeUnbonding")
+        .withArgs(
+          addresses.validator1,
+          addresses.validator1,
+          toWei(1000),
+          availableAt
+        );
+
+      const stake = await contract.getValidatorStake(addresses.validator1);
+      expect(stake.amount).to.equal(toWei(1500));
+      expect(stake.isStaked).to.be.true;
+      const entries = await contract.getUnbondings(addresses.validator1);
+      expect(entries.map((e) => e.amount)).to.deep.equal([
+        toWei(500),
+        toWei(1000),
+      ]);
+      expect(entries[1].availableAt).to.equal(availableAt);
+
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(contract, contentId, [validator1, validator2], 80);
+      expect((await contract.getContent(contentId)).isValidated).to.be.true;
+    });
+
+    it("Should pay out entries only once their slash window has passed", async function () {
+      await contract.connect(validator1).unbondStake(toWei(500));
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW / 2);
+      await contract.connect(validator1).unbondStake(toWei(1000));
+      await expect(
+        contract.connect(validator1).withdrawUnbonded()
+      ).to.be.revertedWith("Slash window not elapsed");
+
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW / 2);
+      await expect(contract.connect(validator1).withdrawUnbonded())
+        .to.emit(contract, "UnbondingWithdrawn")
+        .withArgs(addresses.validator1, toWei(500));
+      expect(await contract.getUnbondings(addresses.validator1)).to.have.length(
+        1
+      );
+
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW / 2);
+      await contract.connect(validator1).withdrawUnbonded();
+      expect(await contract.balanceOf(addresses.validator1)).to.equal(
+        toWei(1500)
+      );
+      await expect(
+        contract.connect(validator1).withdrawUnbonded()
+      ).to.be.revertedWith("Unstake not requested");
+    });
+
+    it("Should slash stake that is still unbonding", async function () {
+      await contract.connect(validator1).unbondStake(toWei(1000));
+      const contentId = await submitContent(contract, creator1);
+      // Backed 2:1, so the final score is 66 and validator1 is 34 off
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [100, 0]
+      );
+
+      // 10% of the 2000 still staked and of the 1000 unbonding
+      await expect(
+        contract
+          .connect(moderator)
+          .slashValidator(addresses.validator1, contentId, 1000)
+      )
+        .to.emit(contract, "ValidatorSlashed")
+        .withArgs(addresses.validator1, contentId, toWei(300));
+
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW);
+      await expect(contract.connect(validator1).withdrawUnbonded())
+        .to.emit(contract, "UnbondingWithdrawn")
+        .withArgs(addresses.validator1, toWei(900));
+    });
+
+    it("Should take the missed reveal penalty from stake that is unbonding", async function () {
+      const contentId = await submitContent(contract, creator1);
+      await commitScore(contract, validator1, contentId, 80);
+      await commitScore(contract, validator2, contentId, 80);
+      await revealScore(contract, validator2, contentId, 80);
+      await contract.connect(validator1).requestUnstake();
+
+      await increaseTime(CONSTANTS.VALIDATION_WINDOW + 1);
+      const penalty = toWei(3000)
+        .mul(CONSTANTS.MISSED_REVEAL_PENALTY)
+        .div(10000);
+      await expect(contract.finalizeExpired(contentId))
+        .to.emit(contract, "RevealMissed")
+        .withArgs(contentId, addresses.validator1, penalty);
+
+      await expect(contract.connect(validator1).withdrawUnbonded())
+        .to.emit(contract, "UnbondingWithdrawn")
+        .withArgs(addresses.validator1, toWei(3000).sub(penalty));
+    });
+
+    it("Should start unbonding the whole stake when a validator is removed", async function () {
+      await contract.addValidator(addresses.creator2);
+      await contract.transfer(addresses.creator2, toWei(1500));
+      await contract.connect(creator2).increaseStake(toWei(1500));
+
+      // No minimum stake duration for removed validators
+      const tx = await contract.removeValidator(addresses.creator2);
+      await expect(tx)
+        .to.emit(contract, "StakeUnbonding")
+        .withArgs(
+          addresses.creator2,
+          addresses.creator2,
+          toWei(1500),
+          (await latestTimestamp()) + CONSTANTS.UNSTAKE_SLASH_WINDOW
+        )
+        .and.to.emit(contract, "UnstakeRequested");
+      expect((await contract.getValidatorStake(addresses.creator2)).isStaked).to
+        .be.false;
+
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW);
+      await contract.connect(creator2).unstakeValidator();
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(
+        toWei(1500)
+      );
+    });
+
+    it("Should hold a validator renouncing their role to the minimum stake duration", async function () {
+      const VALIDATOR_ROLE = await contract.VALIDATOR_ROLE();
+      await contract.addValidator(addresses.creator2);
+      await contract.transfer(addresses.creator2, toWei(1500));
+      await contract.connect(creator2).increaseStake(toWei(1500));
+
+      await expect(
+        contract
+          .connect(creator2)
+          .renounceRole(VALIDATOR_ROLE, addresses.creator2)
+      ).to.be.revertedWith("Minimum stake duration not met");
+
+      await increaseTime(CONSTANTS.MIN_STAKE_DURATION);
+      await expect(
+        contract
+          .connect(creator2)
+          .renounceRole(VALIDATOR_ROLE, addresses.creator2)
+      )
+        .to.emit(contract, "UnstakeRequested")
+        .and.to.emit(contract, "ValidatorRemoved");
+      expect((await contract.getValidatorStake(addresses.creator2)).isStaked).to
+        .be.false;
+    });
+  });
+
+  describe("Delegation", function () {
+    beforeEach(async function () {
+      await contract.transfer(addresses.creator2, toWei(2000));
+    });
+
+    it("Should only delegate to other staked validators", async function () {
+      await contract.transfer(addresses.validator1, 1);
+      await expect(
+        contract.connect(validator1).delegateStake(addresses.validator1, 1)
+      ).to.be.revertedWith("Cannot delegate to self");
+      await expect(
+        contract.connect(creator2).delegateStake(addresses.creator1, 1)
+      ).to.be.revertedWith("Validator not staked");
+      await expect(
+        contract
+          .connect(creator2)
+          .delegateStake(addresses.validator1, toWei(2001))
+      ).to.be.revertedWith("Insufficient balance");
+
+      await expect(
+        contract
+          .connect(creator2)
+          .delegateStake(addresses.validator1, toWei(2000))
+      )
+        .to.emit(contract, "StakeDelegated")
+        .withArgs(addresses.creator2, addresses.validator1, toWei(2000));
+      const [ownStake, delegated] = await contract.getValidatorBacking(
+        addresses.validator1
+      );
+      expect(ownStake).to.equal(CONSTANTS.VALIDATOR_STAKE);
+      expect(delegated).to.equal(toWei(2000));
+    });
+
+    it("Should weight scores and rewards by backing and share them with delegators", async function () {
+      await contract
+        .connect(creator2)
+        .delegateStake(addresses.validator1, toWei(2000));
+      const contentId = await submitContent(contract, creator1);
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [80, 40]
+      );
+
+      // Backed 3:1, so the final score is (80 * 3 + 40) / 4
+      expect((await contract.getContent(contentId)).qualityScore).to.equal(70);
+      expect(
+        await contract.getValidatorWeight(contentId, addresses.validator1)
+      ).to.equal(toWei(3000));
+
+      // Deviations of 10 and 30 weigh 90 * 3 against 70 * 1
+      const reward = pool.mul(270).div(340);
+      expect(
+        (await contract.getValidatorStats(addresses.validator2))
+          .lifetimeEarnings
+      ).to.equal(pool.mul(70).div(340));
+
+      // Two thirds of validator1's reward goes to its delegator, less the
+      // accumulator's rounding
+      const [, pending] = await contract.getDelegation(
+        addresses.creator2,
+        addresses.validator1
+      );
+      expect(pending).to.be.closeTo(reward.mul(2).div(3), 2000);
+      expect(
+        (await contract.getValidatorStats(addresses.validator1))
+          .lifetimeEarnings
+      ).to.equal(reward.sub(pending));
+      await expect(
+        contract.connect(creator2).claimDelegationRewards(addresses.validator1)
+      )
+        .to.emit(contract, "DelegationRewardClaimed")
+        .withArgs(addresses.creator2, addresses.validator1, pending);
+      expect(
+        (await contract.getVestingSchedule(addresses.creator2)).totalAmount
+      ).to.equal(pending);
+      await expect(
+        contract.connect(creator2).claimDelegationRewards(addresses.validator1)
+      ).to.be.revertedWith("No rewards to claim");
+    });
+
+    it("Should unbond delegations without slashing them", async function () {
+      await contract
+        .connect(creator2)
+        .delegateStake(addresses.validator1, toWei(500));
+      const contentId = await submitContent(contract, creator1);
+      // Backed 3:2, so the final score is 60 and validator1 is 40 off
+      await validateContent(
+        contract,
+        contentId,
+        [validator1, validator2],
+        [100, 0]
+      );
+      await contract
+        .connect(moderator)
+        .slashValidator(addresses.validator1, contentId, 10000);
+
+      await expect(
+        contract
+          .connect(creator2)
+          .undelegateStake(addresses.validator1, toWei(501))
+      ).to.be.revertedWith("Invalid amount");
+      await contract
+        .connect(creator2)
+        .undelegateStake(addresses.validator1, toWei(500));
+      expect(
+        (await contract.getValidatorBacking(addresses.validator1)).delegated
+      ).to.equal(0);
+
+      await increaseTime(CONSTANTS.UNSTAKE_SLASH_WINDOW);
+      await contract.connect(creator2).withdrawUnbonded();
+      expect(await contract.balanceOf(addresses.creator2)).to.equal(
+        toWei(2000)
+      );
+    });
+  });
+});
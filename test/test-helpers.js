@@ -1,4 +1,15 @@
 const { ethers } = require("hardhat");
+const {
+  LIBRARIES,
+  setLogger,
+  deployContract,
+  deployLibraries,
+  deployImplementation,
+  systemAt,
+} = require("../scripts/implementation");
+
+// The deploy helpers' progress output would drown the test report
+setLogger(() => {});
 
 // Helper functions
 const toWei = (value) => ethers.utils.parseEther(value.toString());
@@ -11,11 +22,32 @@ const CONSTANTS = {
   MIN_VALIDATORS_REQUIRED: 2,
   MIN_QUALITY_SCORE: 50,
   COOLDOWN_PERIOD: 86400, // 1 day in seconds
+  NEWCOMER_COOLDOWN: 86400 * 1.5, // the cooldown at zero reputation
   BASE_REWARD: toWei(10),
+  VALIDATION_WINDOW: 7 * 24 * 60 * 60, // 7 days in seconds
   VALIDATOR_STAKE: toWei(1000),
+  VALIDATOR_REWARD_SHARE: 20, // % of BASE_REWARD
+  VESTING_PERIOD: 7 * 24 * 60 * 60, // 7 days in seconds
+  APPEAL_BOND: toWei(100),
+  APPEAL_WINDOW: 14 * 24 * 60 * 60, // 14 days in seconds
   MIN_STAKE_DURATION: 30 * 24 * 60 * 60, // 30 days in seconds
+  UNSTAKE_SLASH_WINDOW: 7 * 24 * 60 * 60, // 7 days in seconds
+  MISSED_REVEAL_PENALTY: 500, // basis points of stake
+  ENGAGEMENT_MULTIPLIER: 2, // % of base reward per engagement point
+  VIEWS_PER_POINT: 100,
+  LIKES_PER_POINT: 10,
+  SHARES_PER_POINT: 2,
+  EMISSION_EPOCH: 7 * 24 * 60 * 60, // 7 days in seconds
+  INITIAL_EPOCH_EMISSION: toWei(200000),
+  EMISSION_HALVING_EPOCHS: 52,
+  FULL_RATE_EMISSION: 5000, // basis points of each epoch's budget
+  REPUTATION_HALF_LIFE: 90 * 24 * 60 * 60, // 90 days in seconds
+  REPUTATION_PER_LEVEL: 500,
 };
 
+// Default salt for score commitments
+const SALT = ethers.utils.id("salt");
+
 // Utility functions
 async function increaseTime(seconds) {
   // Ensure seconds is a valid number and within safe limits
@@ -24,19 +56,50 @@ async function increaseTime(seconds) {
   await ethers.provider.send("evm_mine");
 }
 
+async function deployForwarder() {
+  return deployContract("ContentCreatorForwarder");
+}
+
+// Deploy the libraries, a forwarder and an implementation behind an
+// initialized transparent proxy administered by a fresh ProxyAdmin, drawing
+// panels through a mock randomness provider that fulfills at once
+async function deployContentCreatorSystem() {
+  const libraries = await deployLibraries();
+  const forwarder = await deployForwarder();
+  const randomness = await deployContract("MockRandomnessProvider");
+  const { implementation } = await deployImplementation(
+    forwarder.address,
+    "ContentCreatorSystem",
+    libraries
+  );
+
+  const proxyAdmin = await deployContract("ProxyAdmin");
+  const proxy = await deployContract("ContentCreatorProxy", [
+    implementation.address,
+    proxyAdmin.address,
+    implementation.interface.encodeFunctionData("initialize", [
+      randomness.address,
+    ]),
+  ]);
+
+  const contract = await systemAt(proxy.address);
+  return { contract, proxyAdmin, libraries, forwarder, randomness };
+}
+
 // Basic setup without role assignment
 async function setupBasic() {
   const [owner, moderator, validator1, validator2, creator1, creator2] =
     await ethers.getSigners();
 
-  const ContentCreatorSystem = await ethers.getContractFactory(
-    "ContentCreatorSystem"
-  );
-  const contract = await ContentCreatorSystem.deploy();
-  await contract.deployed();
+  const { contract, proxyAdmin, libraries, forwarder, randomness } =
+    await deployContentCreatorSystem();
 
   return {
     contract,
+    proxyAdmin,
+    libraries,
+    forwarder,
+    randomness,
     owner,
     moderator,
     validator1,
@@ -73,23 +136,71 @@ async function setupFull() {
   return setup;
 }
 
-// Helper function for content submission
-async function submitAndValidateContent(
+// Commit-reveal helpers
+function scoreCommitment(contentId, validator, score, salt = SALT) {
+  return ethers.utils.solidityKeccak256(
+    ["bytes32", "address", "uint256", "bytes32"],
+    [contentId, validator, score, salt]
+  );
+}
+
+async function commitScore(contract, validator, contentId, score, salt = SALT) {
+  return contract
+    .connect(validator)
+    .commitScore(
+      contentId,
+      scoreCommitment(contentId, validator.address, score, salt)
+    );
+}
+
+async function revealScore(contract, validator, contentId, score, salt = SALT) {
+  return contract.connect(validator).revealScore(contentId, score, salt);
+}
+
+// Commits every validator's score, then reveals them in the same order.
+// `scores` is either one score for all validators or one per validator.
+async function validateContent(contract, contentId, validators, scores) {
+  const scoreOf = (i) => (Array.isArray(scores) ? scores[i] : scores);
+  for (let i = 0; i < validators.length; i++) {
+    await commitScore(contract, validators[i], contentId, scoreOf(i));
+  }
+  for (let i = 0; i < validators.length; i++) {
+    await revealScore(contract, validators[i], contentId, scoreOf(i));
+  }
+}
+
+// Signers of the panel drawn to score a content item, or to vote on its appeal
+async function drawnPanel(contract, contentId, isAppeal = false) {
+  const members = isAppeal
+    ? await contract.getAppealPanel(contentId)
+    : await contract.getAssignedValidators(contentId);
+  return Promise.all(members.map((member) => ethers.getSigner(member)));
+}
+
+// Submits content, under a random hash unless one is given, and returns its id
+async function submitContent(
   contract,
   creator,
-  validator1,
-  validator2,
-  qualityScore
+  contentHash = ethers.utils.id("test content " + Math.random()),
+  contentType = 0
 ) {
-  const contentHash = ethers.utils.id("test content " + Math.random());
-  const tx = await contract.connect(creator).submitContent(contentHash, 0);
+  const tx = await contract
+    .connect(creator)
+    .submitContent(contentHash, contentType);
   const receipt = await tx.wait();
-  const contentId = receipt.events.find((e) => e.event === "ContentSubmitted")
-    .args.contentId;
-
-  await contract.connect(validator1).validateContent(contentId, qualityScore);
-  await contract.connect(validator2).validateContent(contentId, qualityScore);
+  return receipt.events.find((e) => e.event === "ContentSubmitted").args
+    .contentId;
+}
 
+// Submits content and has the panel drawn for it score it; returns its id
+async function submitAndValidateContent(contract, creator, qualityScore) {
+  const contentId = await submitContent(contract, creator);
+  await validateContent(
+    contract,
+    contentId,
+    await drawnPanel(contract, contentId),
+    qualityScore
+  );
   return contentId;
 }
 
@@ -97,8 +208,22 @@ module.exports = {
   toWei,
   fromWei,
   CONSTANTS,
+  LIBRARIES,
+  deployContract,
+  deployLibraries,
+  deployForwarder,
+  deployImplementation,
+  systemAt,
+  deployContentCreatorSystem,
   setupBasic,
   setupFull,
   increaseTime,
+  SALT,
+  scoreCommitment,
+  commitScore,
+  revealScore,
+  validateContent,
+  drawnPanel,
+  submitContent,
   submitAndValidateContent,
 };